@@ -3,30 +3,302 @@ let db;
 const DB_NAME = 'TaskMasterDB';
 const TASK_STORE = 'tasks';
 const SETTINGS_STORE = 'settings';
+const BACKUP_STORE = 'migrationBackups'; // *** NEW: Pre-migration snapshots
+const REMINDER_STORE = 'reminders'; // *** NEW: Reminder delivery state, shared with service-worker.js
+const HISTORY_STORE = 'history'; // *** NEW: Undo history, kept across sessions
+const MAX_MIGRATION_BACKUPS = 3;
 
+// *** NEW: Versioned schema migrations ***
 /**
- * Initializes the IndexedDB database and object stores.
+ * Ordered list of database upgrades. Each migration moves the schema to `version`
+ * and runs inside the versionchange transaction, so it may create stores and
+ * indexes or rewrite stored tasks and settings. Append new entries; never edit
+ * a migration that has already shipped.
  */
-async function initDB() {
-    db = await idb.openDB(DB_NAME, 1, {
-        upgrade(db) {
-            // Create the 'tasks' object store if it doesn't exist
-            if (!db.objectStoreNames.contains(TASK_STORE)) {
-                const taskStore = db.createObjectStore(TASK_STORE, { keyPath: 'id' });
-                // Add indexes for efficient querying and sorting
-                taskStore.createIndex('category', 'category');
-                taskStore.createIndex('completed', 'completed');
-                taskStore.createIndex('priority', 'priority');
-                taskStore.createIndex('dueDate', 'dueDate');
-                taskStore.createIndex('order', 'order');
-                taskStore.createIndex('parentId', 'parentId');
+const DB_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Create tasks and settings stores',
+        migrate(database) {
+            const taskStore = database.createObjectStore(TASK_STORE, { keyPath: 'id' });
+            // Add indexes for efficient querying and sorting
+            taskStore.createIndex('category', 'category');
+            taskStore.createIndex('completed', 'completed');
+            taskStore.createIndex('priority', 'priority');
+            taskStore.createIndex('dueDate', 'dueDate');
+            taskStore.createIndex('order', 'order');
+            taskStore.createIndex('parentId', 'parentId');
+            
+            database.createObjectStore(SETTINGS_STORE, { keyPath: 'id' });
+        }
+    },
+    {
+        version: 2,
+        description: 'Backfill tags, ordering, hierarchy and collapse state on tasks',
+        async migrate(database, transaction) {
+            await updateStoredRecords(transaction.objectStore(TASK_STORE), t => ({
+                ...t,
+                tags: Array.isArray(t.tags) ? t.tags : [],
+                priority: t.priority || 'medium',
+                category: t.category || 'personal',
+                previousInstanceId: t.previousInstanceId || null,
+                order: t.order || new Date(t.createdAt).getTime() || Date.now(),
+                parentId: t.parentId || null,
+                collapsed: t.collapsed || false
+            }));
+        }
+    },
+    {
+        version: 3,
+        description: 'Convert repeatFrequency to iCalendar RRULE recurrence',
+        async migrate(database, transaction) {
+            await updateStoredRecords(transaction.objectStore(TASK_STORE), t => {
+                const { repeatFrequency, ...rest } = t;
+                return {
+                    ...rest,
+                    rrule: t.rrule || (t.repeat ? frequencyToRRule(repeatFrequency) || 'FREQ=DAILY' : null),
+                    occurrence: t.occurrence || 1
+                };
+            });
+        }
+    },
+    {
+        version: 4,
+        description: 'Add recurrence basis and skip-missed options',
+        async migrate(database, transaction) {
+            await updateStoredRecords(transaction.objectStore(TASK_STORE), t => ({
+                ...t,
+                recurrenceBasis: t.recurrenceBasis || 'schedule',
+                skipMissed: t.skipMissed || false
+            }));
+        }
+    },
+    {
+        version: 5,
+        description: 'Link recurring occurrences into series',
+        async migrate(database, transaction) {
+            const store = transaction.objectStore(TASK_STORE);
+            const byId = new Map((await store.getAll()).map(t => [t.id, t]));
+            
+            // The series id is the id of the first occurrence in the previousInstanceId chain
+            const findSeriesRoot = task => {
+                let current = task;
+                const seen = new Set();
+                while (current.previousInstanceId && byId.has(current.previousInstanceId) && !seen.has(current.id)) {
+                    seen.add(current.id);
+                    current = byId.get(current.previousInstanceId);
+                }
+                return current.id;
+            };
+            
+            await updateStoredRecords(store, t => ({
+                ...t,
+                seriesId: t.seriesId || (t.repeat || t.previousInstanceId ? findSeriesRoot(t) : null),
+                seriesDefaults: t.seriesDefaults || null
+            }));
+            store.createIndex('seriesId', 'seriesId');
+        }
+    },
+    {
+        version: 6,
+        description: 'Add task dependencies (blockedBy)',
+        async migrate(database, transaction) {
+            const store = transaction.objectStore(TASK_STORE);
+            await updateStoredRecords(store, t => Array.isArray(t.blockedBy) ? null : { ...t, blockedBy: [] });
+            store.createIndex('blockedBy', 'blockedBy', { multiEntry: true });
+        }
+    },
+    {
+        version: 7,
+        description: 'Add time estimates and time entries',
+        async migrate(database, transaction) {
+            await updateStoredRecords(transaction.objectStore(TASK_STORE), t => ({
+                ...t,
+                estimateMinutes: t.estimateMinutes || null,
+                timeEntries: Array.isArray(t.timeEntries) ? t.timeEntries : []
+            }));
+        }
+    },
+    {
+        version: 8,
+        description: 'Add board workflow state',
+        async migrate(database, transaction) {
+            await updateStoredRecords(transaction.objectStore(TASK_STORE), t => ({
+                ...t,
+                workflowState: t.workflowState || null
+            }));
+        }
+    },
+    {
+        version: 9,
+        description: 'Move reminder state from localStorage into a reminders store',
+        async migrate(database, transaction) {
+            const store = database.createObjectStore(REMINDER_STORE, { keyPath: 'taskId' });
+            store.createIndex('status', 'status');
+            
+            const storedTasks = await transaction.objectStore(TASK_STORE).getAll();
+            for (const task of storedTasks) {
+                // Tasks still have a single `reminder` at this version (see version 10)
+                const time = task.completed || !task.reminder ? null : new Date(task.reminder);
+                if (!time || isNaN(time.getTime())) continue;
+                const record = {
+                    taskId: task.id,
+                    title: task.title,
+                    dueDate: task.dueDate || null,
+                    at: time.toISOString(),
+                    status: Date.now() - time > REMINDER_GRACE_MS ? 'seen' : 'pending',
+                    firedAt: null
+                };
+                // The old page timer only remembered what it showed; anything else that passed was missed
+                if (localStorage.getItem(`notified_${task.id}`) === task.reminder) {
+                    record.status = 'notified';
+                } else if (new Date(record.at) <= Date.now()) {
+                    record.status = 'missed';
+                }
+                await store.put(record);
             }
-            // Create the 'settings' object store
-            if (!db.objectStoreNames.contains(SETTINGS_STORE)) {
-                db.createObjectStore(SETTINGS_STORE, { keyPath: 'id' });
+            Object.keys(localStorage).filter(key => key.startsWith('notified_')).forEach(key => localStorage.removeItem(key));
+        }
+    },
+    {
+        version: 10,
+        description: 'Allow several reminders per task, at fixed times or before the due date',
+        async migrate(database, transaction) {
+            await updateStoredRecords(transaction.objectStore(TASK_STORE), t => upgradeLegacyReminder(t));
+            
+            // One record per reminder time instead of one per task; the times themselves don't change
+            const records = await transaction.objectStore(REMINDER_STORE).getAll();
+            database.deleteObjectStore(REMINDER_STORE);
+            const store = database.createObjectStore(REMINDER_STORE, { keyPath: 'id' });
+            store.createIndex('taskId', 'taskId');
+            store.createIndex('status', 'status');
+            for (const record of records) {
+                await store.put({ ...record, id: `${record.taskId}@${record.at}` });
             }
-        },
+        }
+    },
+    {
+        version: 11,
+        description: 'Keep the undo history between sessions',
+        async migrate(database) {
+            database.createObjectStore(HISTORY_STORE, { keyPath: 'id' });
+        }
+    }
+];
+const DB_VERSION = DB_MIGRATIONS[DB_MIGRATIONS.length - 1].version;
+
+/**
+ * Rewrites every record in a store through `transform`.
+ * Returning a falsy value from `transform` leaves the record unchanged.
+ */
+async function updateStoredRecords(store, transform) {
+    let cursor = await store.openCursor();
+    while (cursor) {
+        const updated = transform(cursor.value);
+        if (updated) {
+            await cursor.update(updated);
+        }
+        cursor = await cursor.continue();
+    }
+}
+
+/**
+ * Copies the current tasks and settings into the backup store before any
+ * migration touches them, keeping only the most recent snapshots.
+ */
+async function backupBeforeMigration(database, transaction, fromVersion, toVersion) {
+    if (!database.objectStoreNames.contains(BACKUP_STORE)) {
+        database.createObjectStore(BACKUP_STORE, { keyPath: 'id' });
+    }
+    const backupStore = transaction.objectStore(BACKUP_STORE);
+    
+    await backupStore.put({
+        id: `${Date.now()}-v${fromVersion}-v${toVersion}`,
+        fromVersion,
+        toVersion,
+        createdAt: new Date().toISOString(),
+        tasks: await transaction.objectStore(TASK_STORE).getAll(),
+        settings: await transaction.objectStore(SETTINGS_STORE).getAll()
     });
+    
+    // Keys start with a timestamp, so the oldest backups come first
+    const keys = await backupStore.getAllKeys();
+    const expired = keys.slice(0, Math.max(0, keys.length - MAX_MIGRATION_BACKUPS));
+    for (const key of expired) {
+        await backupStore.delete(key);
+    }
+}
+
+/**
+ * Initializes the IndexedDB database, running any pending migrations.
+ * A failed migration aborts the whole upgrade, leaving the data at its old version.
+ */
+async function initDB() {
+    let migrationError = null;
+    
+    try {
+        db = await idb.openDB(DB_NAME, DB_VERSION, {
+            async upgrade(database, oldVersion, newVersion, transaction) {
+                let current = null;
+                try {
+                    if (oldVersion > 0) {
+                        await backupBeforeMigration(database, transaction, oldVersion, newVersion);
+                    } else if (!database.objectStoreNames.contains(BACKUP_STORE)) {
+                        database.createObjectStore(BACKUP_STORE, { keyPath: 'id' });
+                    }
+                    
+                    const pending = DB_MIGRATIONS.filter(m => m.version > oldVersion && m.version <= newVersion);
+                    for (const migration of pending) {
+                        current = migration;
+                        console.log(`Migrating database to v${migration.version}: ${migration.description}`);
+                        await migration.migrate(database, transaction);
+                    }
+                } catch (error) {
+                    const step = current ? `v${current.version} (${current.description})` : 'pre-migration backup';
+                    migrationError = new Error(`Database upgrade from v${oldVersion} to v${newVersion} failed at ${step}: ${error.message}`);
+                    migrationError.name = 'MigrationError';
+                    // openDB() rejects with the abort; the transaction's own promise needs no handler
+                    transaction.done.catch(() => {});
+                    transaction.abort();
+                }
+            },
+            blocked() {
+                showToast('Close other TaskMaster tabs to finish updating the database', 'info');
+            },
+            blocking() {
+                // A newer version is waiting in another tab; let it upgrade
+                db.close();
+                showToast('TaskMaster was updated in another tab. Please reload.', 'info');
+            }
+        });
+    } catch (error) {
+        throw migrationError || error;
+    }
+}
+
+/**
+ * Downloads the most recent pre-migration backup as an importable JSON file.
+ */
+async function exportMigrationBackup() {
+    const backups = await db.getAll(BACKUP_STORE);
+    if (backups.length === 0) {
+        showToast('No pre-upgrade backups available', 'info');
+        return;
+    }
+    
+    const latest = backups[backups.length - 1];
+    const exportData = {
+        exportedAt: new Date().toISOString(),
+        backupCreatedAt: latest.createdAt,
+        schemaVersion: latest.fromVersion,
+        totalTasks: latest.tasks.length,
+        tasks: latest.tasks,
+        settings: latest.settings
+    };
+    
+    const filename = getTimestampedFilename(`tasks_backup_v${latest.fromVersion}`, 'json');
+    downloadFile(JSON.stringify(exportData, null, 2), filename, 'application/json');
+    showToast(`Backup exported to ${filename}`, 'success');
 }
 
 
@@ -35,9 +307,10 @@ let tasks = [];
 let currentFilter = 'all';
 let currentEditingTask = null;
 let selectedTasks = new Set();
-let currentSort = 'dueDate'; // *** UPDATED: Default sort is nearest due date
+const DEFAULT_SORT = 'dueDate'; // *** UPDATED: Default sort is nearest due date
+let currentSort = DEFAULT_SORT;
 let currentSearch = ''; // *** NEW: Search state
-let activeQuickFilter = null; // *** NEW: Active quick filter (overdue, today, week)
+let activeQuickFilter = null; // *** NEW: Active quick filter (overdue, today, week, blocked, ready)
 let activePriorityFilter = null; // *** NEW: Active priority filter (urgent, high, medium, low)
 
 // *** NEW: Pagination State ***
@@ -46,21 +319,46 @@ let pageSize = 10;
 let totalTasks = 0;
 let totalPages = 0;
 
-// *** NEW: Undo/Redo State ***
-let history = [];
-let historyIndex = -1;
-const maxHistorySize = 50;
+// *** UPDATED: Undo/Redo State ***
+let history = []; // Patch entries, oldest first (see saveToHistory)
+let historyIndex = -1; // Last applied entry; later ones have been undone
+let historyBaseline = new Map(); // Task id -> JSON as of the last recorded entry
+let nextHistoryId = 1;
+let historyWrites = Promise.resolve();
+const maxHistorySize = 200;
 
 // *** NEW: Auto-save State ***
 let autoSaveTimer = null;
 let autoSaveDelay = 2000; // 2 seconds
 let hasUnsavedChanges = false;
 
+// *** NEW: Built-in categories, used until the user edits the list in Settings ***
+const DEFAULT_CATEGORIES = [
+    { id: 'personal', name: 'Personal', color: '#16a34a' },
+    { id: 'office', name: 'Office', color: '#2563eb' },
+    { id: 'misc', name: 'Misc Work', color: '#9333ea' }
+];
+const RESERVED_FILTERS = ['all', 'recurring', 'completed']; // Tab filters that aren't categories
+const DEFAULT_WORKFLOW_STATES = ['To Do', 'In Progress', 'Review'];
+const BOARD_GROUP_BY_OPTIONS = ['status', 'priority', 'category', 'workflow'];
+const VIEW_MODES = ['table', 'board', 'calendar'];
+const CALENDAR_MODES = ['month', 'week', 'day'];
+
 let settings = {
     id: 'main-settings', // *** NEW: Key for IndexedDB settings object
+    categories: DEFAULT_CATEGORIES.map(c => ({ ...c })), // *** NEW: User-defined, in display order
+    savedViews: [], // *** NEW: { id, name, pinned, state } combinations of search, filters and sort
+    viewMode: 'table', // *** NEW: One of VIEW_MODES
+    boardGroupBy: 'status', // *** NEW: One of BOARD_GROUP_BY_OPTIONS
+    calendarMode: 'month', // *** NEW: One of CALENDAR_MODES
+    workflowStates: [...DEFAULT_WORKFLOW_STATES], // *** NEW: Board columns when grouping by workflow
+    importPresets: [], // *** NEW: { id, name, mapping: { header: field }, dateFormat } for CSV imports
     defaultCategory: 'personal',
     defaultPriority: 'medium',
     defaultReminderHours: 2,
+    dailyDigestEnabled: false, // *** NEW: Morning agenda notification
+    dailyDigestTime: '08:00',
+    todayPlan: { date: null, taskIds: [] }, // *** NEW: Focus tasks picked in Plan my day, for one day
     pinEnabled: false,
     pin: null,
     theme: 'light'
@@ -75,17 +373,16 @@ document.addEventListener('DOMContentLoaded', async function() {
     try {
         await initDB();
         await loadSettings();
+        renderCategoryUI(); // *** NEW: Tabs and selects come from the stored category list
+        renderSavedViews();
         await loadTasks();
-        
-        // *** NEW: Initialize history with initial state ***
-        if (history.length === 0) {
-            saveToHistory('Initial state');
-        }
+        await loadHistory(); // *** UPDATED: Undo history survives a reload
+        finishBackgroundCompletions(); // *** NEW: Tasks marked done from a notification
         
         applyTheme();
         checkPinProtection();
         setupEventListeners();
-        checkReminders();
+        await startReminders(); // *** UPDATED: Reminders are delivered by the service worker
         renderAISummary();
         updateFilterCounts(); // *** NEW: Initialize filter counts
         
@@ -99,15 +396,29 @@ document.addEventListener('DOMContentLoaded', async function() {
             openAdvancedForm();
             // Clean up the URL so it doesn't trigger on refresh
             window.history.replaceState({}, document.title, window.location.pathname);
+        } else if (urlParams.get('task')) {
+            // *** NEW: Opened from a reminder notification (a timed snooze is finished here) ***
+            handleNotificationAction(urlParams.get('snooze') || 'open', urlParams.get('task'));
+            window.history.replaceState({}, document.title, window.location.pathname);
+        } else if (urlParams.get('plan')) {
+            // *** NEW: Opened from the daily digest ***
+            openPlanMyDay();
+            window.history.replaceState({}, document.title, window.location.pathname);
         }
         
-        // Check reminders every minute
-        setInterval(checkReminders, 60000);
+        // Check reminders every minute while the app is open
+        setInterval(requestReminderCheck, REMINDER_CHECK_INTERVAL_MS);
         
     } catch (error) {
         console.error("Failed to initialize the app:", error);
         // Use custom modal instead of alert
-        showInfoModal("Initialization Error", "Error loading app data. Please try refreshing the page.");
+        if (error.name === 'MigrationError') {
+            showInfoModal("Database Upgrade Failed",
+                `<p>${escapeHtml(error.message)}</p>
+                 <p>Your existing data has not been changed. Please reload the page to try again.</p>`);
+        } else {
+            showInfoModal("Initialization Error", "Error loading app data. Please try refreshing the page.");
+        }
     }
 });
 
@@ -118,6 +429,9 @@ function setupEventListeners() {
             quickAddTask();
         }
     });
+    
+    // *** NEW: Live preview of parsed quick-add text ***
+    document.getElementById('quickTaskInput').addEventListener('input', renderQuickAddPreview);
 
     document.getElementById('pinInput').addEventListener('keypress', function(e) {
         if (e.key === 'Enter') {
@@ -146,7 +460,10 @@ function setupEventListeners() {
             if(clearSearchBtn) clearSearchBtn.classList.toggle('hidden', !currentSearch);
             // Reset pagination when searching
             currentPage = 1;
-            renderTasks();
+            syncSortWithSearch(); // *** NEW: Rank results by relevance while searching
+            // *** UPDATED: Debounced so fast typing doesn't re-render on every keystroke ***
+            clearTimeout(searchDebounceTimer);
+            searchDebounceTimer = setTimeout(renderTasks, SEARCH_DEBOUNCE_MS);
         });
     }
     
@@ -178,8 +495,23 @@ function handleHashChange() {
         hash = 'all'; // Default filter
     }
     
+    // *** NEW: "#view=<id>" opens a saved view; "#filter=...&q=..." is a shared view ***
+    if (hash.includes('=')) {
+        const params = new URLSearchParams(hash);
+        const savedView = params.has('view') && (settings.savedViews || []).find(v => v.id === params.get('view'));
+        if (savedView) {
+            applyViewState(savedView.state);
+        } else {
+            applyViewState(viewStateFromParams(params));
+            if (params.get('name')) {
+                showToast(`Opened shared view '${params.get('name')}'. Use Save View to keep it.`, 'info');
+            }
+        }
+        return;
+    }
+    
     // Check if the filter is a valid one from our tabs
-    const validFilters = ['all', 'personal', 'office', 'misc', 'recurring', 'completed'];
+    const validFilters = [...RESERVED_FILTERS, ...getCategories().map(c => c.id)];
     if (validFilters.includes(hash)) {
         currentFilter = hash;
     } else {
@@ -187,17 +519,25 @@ function handleHashChange() {
         window.location.hash = 'all'; // Correct an invalid hash
     }
     
-    // Update active tab UI
+    updateActiveTab();
+    renderTasks();
+}
+
+/**
+ * Highlights the pinned view tab matching the current state, or else the current filter's tab.
+ */
+function updateActiveTab() {
     const tabs = document.querySelectorAll('.tab');
     tabs.forEach(tab => tab.classList.remove('active'));
     
-    // Find the tab that corresponds to the current filter
-    const tabToActive = [...tabs].find(tab => tab.onclick && tab.onclick.toString().includes(`'${currentFilter}'`));
+    const activeView = getMatchingSavedView();
+    const tabToActive = activeView && activeView.pinned ?
+        [...tabs].find(tab => tab.dataset.viewId === activeView.id) :
+        // Find the tab that corresponds to the current filter
+        [...tabs].find(tab => !tab.dataset.viewId && tab.onclick && tab.onclick.toString().includes(`'${currentFilter}'`));
     if (tabToActive) {
         tabToActive.classList.add('active');
     }
-    
-    renderTasks();
 }
 
 // *** NEW: Clear search input ***
@@ -209,6 +549,7 @@ function clearSearch() {
     if(clearSearchBtn) clearSearchBtn.classList.add('hidden');
     // Reset pagination when clearing search
     currentPage = 1;
+    syncSortWithSearch();
     renderTasks();
 }
 
@@ -335,6 +676,11 @@ function updateFilterCounts() {
         return dueDate >= today && dueDate < weekEnd;
     }).length;
     
+    // *** NEW: Count by dependency state ***
+    const blockedCount = pendingTasks.filter(t => isTaskBlocked(t)).length;
+    const readyCount = pendingTasks.length - blockedCount;
+    const focusCount = pendingTasks.filter(t => isTodayFocusTask(t)).length;
+    
     // Count by priority
     const urgentCount = pendingTasks.filter(t => t.priority === 'urgent').length;
     const highCount = pendingTasks.filter(t => t.priority === 'high').length;
@@ -350,6 +696,9 @@ function updateFilterCounts() {
     updateCount('count-overdue', overdueCount);
     updateCount('count-today', todayCount);
     updateCount('count-week', weekCount);
+    updateCount('count-blocked', blockedCount);
+    updateCount('count-ready', readyCount);
+    updateCount('count-focus', focusCount);
     updateCount('count-urgent', urgentCount);
     updateCount('count-high', highCount);
     updateCount('count-medium', mediumCount);
@@ -359,10 +708,15 @@ function updateFilterCounts() {
 /**
  * Check if task matches quick filter criteria
  */
-function matchesQuickFilter(task) {
-    if (!activeQuickFilter) return true;
+function matchesQuickFilter(task, filterType = activeQuickFilter) {
+    if (!filterType) return true;
     if (task.completed) return false; // Quick filters only apply to pending tasks
     
+    // *** NEW: Dependency filters don't depend on the due date ***
+    if (filterType === 'blocked') return isTaskBlocked(task);
+    if (filterType === 'ready') return !isTaskBlocked(task);
+    if (filterType === 'focus') return isTodayFocusTask(task); // *** NEW: Picked in Plan my day
+    
     const now = new Date();
     const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
     const tomorrow = new Date(today.getTime() + 24 * 60 * 60 * 1000);
@@ -371,7 +725,7 @@ function matchesQuickFilter(task) {
     if (!task.dueDate) return false;
     const dueDate = new Date(task.dueDate);
     
-    switch (activeQuickFilter) {
+    switch (filterType) {
         case 'overdue':
             return dueDate < today;
         case 'today':
@@ -386,9 +740,9 @@ function matchesQuickFilter(task) {
 /**
  * Check if task matches priority filter
  */
-function matchesPriorityFilter(task) {
-    if (!activePriorityFilter) return true;
-    return task.priority === activePriorityFilter && !task.completed;
+function matchesPriorityFilter(task, priority = activePriorityFilter) {
+    if (!priority) return true;
+    return task.priority === priority && !task.completed;
 }
 
 // PIN Protection
@@ -492,25 +846,39 @@ if (quickInput) {
 }
 
 // Task Management
+// *** UPDATED: Quick add understands dates, priorities, tags, categories and recurrence ***
 async function quickAddTask() {
     const input = document.getElementById('quickTaskInput');
-    const title = input.value.trim();
+    if (!input.value.trim()) return;
     
-    if (!title) return;
+    const parsed = parseQuickAddInput(input.value);
+    if (!parsed.title) {
+        showToast('Task title is required (quote words to keep them as text)', 'error');
+        return;
+    }
     
     const now = Date.now();
     
     const task = {
         id: now.toString(),
-        title: title,
+        title: parsed.title,
         description: '',
-        category: settings.defaultCategory,
-        priority: settings.defaultPriority,
-        dueDate: null,
-        reminder: null,
-        repeat: false,
-        repeatFrequency: null,
-        tags: [],
+        category: parsed.category || settings.defaultCategory,
+        priority: parsed.priority || settings.defaultPriority,
+        dueDate: parsed.dueDate,
+        // *** UPDATED: The settings default applies when no reminder was typed ***
+        reminders: parsed.reminders.length > 0 || !parsed.dueDate ? parsed.reminders : getDefaultReminders(),
+        repeat: !!parsed.rrule,
+        rrule: parsed.rrule, // *** UPDATED: iCalendar RRULE replaces repeatFrequency
+        recurrenceBasis: 'schedule',
+        skipMissed: false,
+        occurrence: 1,
+        seriesId: parsed.rrule ? now.toString() : null,
+        seriesDefaults: null,
+        blockedBy: [], // *** NEW: Task dependencies
+        estimateMinutes: null, // *** NEW: Time tracking
+        timeEntries: [],
+        tags: parsed.tags,
         completed: false,
         createdAt: new Date(now).toISOString(),
         order: now, // *** NEW: For manual sorting
@@ -518,15 +886,424 @@ async function quickAddTask() {
     };
     
     tasks.push(task);
-    saveToHistory('Quick add task: ' + title);
+    saveToHistory('Quick add task: ' + task.title);
     await saveTasks(); // *** UPDATED: Await DB save
     renderTasks();
     renderAISummary(); 
     input.value = '';
+    renderQuickAddPreview();
     showToast('Task added successfully', 'success');
 }
 
-function openAdvancedForm() {
+// *** NEW: Natural-Language Quick Add ***
+// "Pay rent tomorrow 9am !urgent #finance @office every month" becomes a task titled
+// "Pay rent" with a due date, priority, tag, category and RRULE. Words in "double quotes"
+// or prefixed with a backslash (\tomorrow) are always kept as title text.
+
+const QUICK_ADD_DEFAULT_TIME = { hours: 9, minutes: 0 }; // Used when a date has no time
+const QUICK_ADD_PRIORITIES = { urgent: 'urgent', high: 'high', medium: 'medium', med: 'medium', low: 'low', 1: 'urgent', 2: 'high', 3: 'medium', 4: 'low' };
+const MONTH_ABBREVIATIONS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const RRULE_UNITS = { day: 'DAILY', week: 'WEEKLY', month: 'MONTHLY', year: 'YEARLY' };
+
+/**
+ * Splits quick-add text into words, marking quoted and backslash-escaped words as literal.
+ */
+function tokenizeQuickAdd(text) {
+    const words = [];
+    const pattern = /"([^"]*)"|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(text))) {
+        if (match[1] !== undefined) {
+            if (match[1]) words.push({ text: match[1], literal: true });
+        } else if (match[2].startsWith('\\') && match[2].length > 1) {
+            words.push({ text: match[2].slice(1), literal: true });
+        } else {
+            words.push({ text: match[2], literal: false });
+        }
+    }
+    return words;
+}
+
+/**
+ * Reads a weekday name ("mon", "tues", "friday") as a Date.getDay() index.
+ */
+function parseWeekdayWord(word) {
+    if (!word || word.length < 3) return null;
+    const index = WEEKDAY_NAMES.findIndex(name => name.toLowerCase().startsWith(word));
+    return index > -1 ? index : null;
+}
+
+function parseMonthWord(word) {
+    if (!word || word.length < 3) return null;
+    const index = MONTH_ABBREVIATIONS.findIndex(abbr => word.startsWith(abbr));
+    return index > -1 && 'january february march april may june july august september october november december'.split(' ')[index].startsWith(word) ? index : null;
+}
+
+/**
+ * Reads a time of day: "9am", "9:30pm", "14:00", "noon", "midnight".
+ * With an empty `meridiem` ("at 15") a bare hour is only read as 13-23, since "at 3"
+ * could mean either 3am or 3pm.
+ * @returns {Object|null} - { hours, minutes }
+ */
+function parseTimeWord(word, meridiem) {
+    if (word === 'noon') return { hours: 12, minutes: 0 };
+    if (word === 'midnight') return { hours: 0, minutes: 0 };
+    
+    const match = (word + (meridiem || '')).match(/^(\d{1,2})(?::(\d{2}))?(am|pm)?$/);
+    if (!match || (!match[2] && !match[3] && (meridiem === undefined || parseInt(match[1], 10) < 13))) return null;
+    
+    let hours = parseInt(match[1], 10);
+    const minutes = match[2] ? parseInt(match[2], 10) : 0;
+    if (match[3]) {
+        if (hours < 1 || hours > 12) return null;
+        if (match[3] === 'pm' && hours < 12) hours += 12;
+        if (match[3] === 'am' && hours === 12) hours = 0;
+    }
+    return hours < 24 && minutes < 60 ? { hours, minutes } : null;
+}
+
+/**
+ * Reads "N unit" or "Nunit" as minutes for reminder offsets ("30m", "2 hours", "1 day").
+ * @returns {Object|null} - { minutes, consumed }
+ */
+function parseQuickAddDuration(words) {
+    const joined = `${words[0] || ''} ${words[1] || ''}`;
+    const match = joined.match(/^(\d+(?:\.\d+)?)\s?(m|mins?|minutes?|h|hrs?|hours?|d|days?)\b/);
+    if (!match) return null;
+    
+    const unit = match[2][0];
+    const minutes = Math.round(parseFloat(match[1]) * (unit === 'd' ? 1440 : unit === 'h' ? 60 : 1));
+    return { minutes, consumed: /^\S+$/.test(match[0]) ? 1 : 2 };
+}
+
+/**
+ * True when nothing follows `words` or the next word starts another quick-add token, i.e.
+ * a phrase just before it is not in the middle of the title.
+ */
+function endsQuickAddPhrase(words, original, now) {
+    if (words.length === 0) return true;
+    return QUICK_ADD_MATCHERS.some(matcher => matcher(words, { tags: [], reminders: [] }, original, now, false) > 0);
+}
+
+/**
+ * Each matcher looks at the words from the current position (lower-cased, or null when
+ * literal) and returns how many it consumed, recording what it found in `found`.
+ * `atStart` is true while no title words have been collected yet.
+ */
+const QUICK_ADD_MATCHERS = [
+    // !urgent, !high, !2 ...
+    (words, found) => {
+        const match = words[0] && words[0].match(/^!(\w+)$/);
+        if (!match || !QUICK_ADD_PRIORITIES[match[1]]) return 0;
+        found.priority = QUICK_ADD_PRIORITIES[match[1]];
+        return 1;
+    },
+    // #tag
+    (words, found, original) => {
+        const match = original[0].match(/^#([^\s#]+)$/);
+        if (!match) return 0;
+        if (!found.tags.includes(match[1])) found.tags.push(match[1]);
+        return 1;
+    },
+    // @category (by id or name; unknown names stay in the title)
+    (words, found) => {
+        const match = words[0] && words[0].match(/^@(.+)$/);
+        if (!match) return 0;
+        const normalize = text => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+        const category = getCategories().find(c => normalize(c.id) === normalize(match[1]) || normalize(c.name) === normalize(match[1]));
+        if (!category) return 0;
+        found.category = category.id;
+        return 1;
+    },
+    // daily, weekly, every 2 weeks, every other month, every weekday, every mon,fri
+    (words, found) => {
+        const shorthand = { daily: 'DAILY', weekly: 'WEEKLY', monthly: 'MONTHLY', yearly: 'YEARLY', annually: 'YEARLY' };
+        if (shorthand[words[0]]) {
+            found.rrule = `FREQ=${shorthand[words[0]]}`;
+            return 1;
+        }
+        if (words[0] !== 'every') return 0;
+        
+        let index = 1;
+        let interval = 1;
+        if (words[index] === 'other') {
+            interval = 2;
+            index++;
+        } else if (/^\d+$/.test(words[index] || '')) {
+            interval = parseInt(words[index], 10);
+            index++;
+        }
+        
+        const unit = words[index] && RRULE_UNITS[words[index].replace(/s$/, '')];
+        if (unit && interval > 0) {
+            found.rrule = `FREQ=${unit}${interval > 1 ? `;INTERVAL=${interval}` : ''}`;
+            return index + 1;
+        }
+        if (interval !== 1) return 0;
+        
+        if (words[index] === 'weekday' || words[index] === 'weekdays') {
+            found.rrule = 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR';
+            found.recurrenceDays = [1, 2, 3, 4, 5];
+            return index + 1;
+        }
+        
+        // A run of weekday names: "mon,fri", "monday and thursday"
+        const days = [];
+        while (words[index]) {
+            if (words[index] === 'and' && days.length > 0) {
+                index++;
+                continue;
+            }
+            const parts = words[index].split(',').filter(part => part);
+            const parsedDays = parts.map(parseWeekdayWord);
+            if (parsedDays.length === 0 || parsedDays.some(day => day === null)) break;
+            parsedDays.forEach(day => { if (!days.includes(day)) days.push(day); });
+            index++;
+        }
+        if (days.length === 0) return 0;
+        if (words[index - 1] === 'and') index--;
+        
+        found.rrule = `FREQ=WEEKLY;BYDAY=${days.map(day => RRULE_WEEKDAYS[day]).join(',')}`;
+        found.recurrenceDays = days;
+        return index;
+    },
+    // remind 30m before, remind me 2 hours before, remind at 8am
+    (words, found) => {
+        if (words[0] !== 'remind') return 0;
+        let index = words[1] === 'me' ? 2 : 1;
+        
+        const duration = parseQuickAddDuration(words.slice(index));
+        if (duration) {
+            index += duration.consumed;
+            if (words[index] === 'before') index++;
+            found.reminders.push({ before: duration.minutes });
+            return index;
+        }
+        
+        if (words[index] === 'at') index++;
+        const hasMeridiem = words[index + 1] === 'am' || words[index + 1] === 'pm';
+        const time = parseTimeWord(words[index] || '', hasMeridiem ? words[index + 1] : undefined);
+        if (!time) return 0;
+        found.reminders.push({ time });
+        return index + (hasMeridiem ? 2 : 1);
+    },
+    // 9am, 9:30 pm, at 14:00, at 15, noon
+    (words, found) => {
+        let index = words[0] === 'at' ? 1 : 0;
+        const hasMeridiem = words[index + 1] === 'am' || words[index + 1] === 'pm';
+        const meridiem = hasMeridiem ? words[index + 1] : (index === 1 ? '' : undefined);
+        const time = parseTimeWord(words[index] || '', meridiem);
+        if (!time || found.time) return 0;
+        found.time = time;
+        return index + (hasMeridiem ? 2 : 1);
+    },
+    // Dates, optionally introduced by "on", "due" or "by"
+    (words, found, original, now, atStart) => {
+        const lead = ['on', 'due', 'by'].includes(words[0]) ? 1 : 0;
+        const date = parseQuickAddDate(words.slice(lead), now);
+        if (!date || found.date || found.dateTime) return 0;
+        
+        // Short weekday names and month dates are often just part of the title ("Put on
+        // sun cream", "Study for SAT", "Return the mar 3 invoice")
+        const ends = () => endsQuickAddPhrase(words.slice(lead + date.consumed), original.slice(lead + date.consumed), now);
+        if (date.shortWeekday && (!lead || (words[0] === 'on' && !ends()))) return 0;
+        if (date.monthDay && !lead && !atStart && !ends()) return 0;
+        Object.assign(found, date.result);
+        return lead + date.consumed;
+    }
+];
+
+/**
+ * Reads a date phrase at the start of `words`. `shortWeekday` marks an abbreviated weekday
+ * without "next"/"this" and `monthDay` a date like "oct 20", so the caller can ask for a lead word.
+ * @returns {Object|null} - { result: { date } | { dateTime } | { date, tonight }, consumed, shortWeekday, monthDay }
+ */
+function parseQuickAddDate(words, now) {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const addDays = days => new Date(today.getFullYear(), today.getMonth(), today.getDate() + days);
+    const [first, second, third] = words;
+    if (!first) return null;
+    
+    if (first === 'today') return { result: { date: today }, consumed: 1 };
+    if (first === 'tonight') return { result: { date: today, tonight: true }, consumed: 1 };
+    if (['tomorrow', 'tmr', 'tmrw'].includes(first)) return { result: { date: addDays(1) }, consumed: 1 };
+    
+    // next week / next month / next friday / this friday / friday
+    const lead = first === 'next' || first === 'this' ? 1 : 0;
+    if (first === 'next' && (second === 'week' || second === 'month')) {
+        if (second === 'week') {
+            return { result: { date: addDays(((8 - today.getDay()) % 7) || 7) }, consumed: 2 };
+        }
+        return { result: { date: new Date(today.getFullYear(), today.getMonth() + 1, 1) }, consumed: 2 };
+    }
+    const weekdayWord = (words[lead] || '').replace(/,$/, '');
+    const weekday = parseWeekdayWord(weekdayWord);
+    if (weekday !== null) {
+        return {
+            result: { date: addDays(((weekday - today.getDay() + 7) % 7) || 7) },
+            consumed: lead + 1,
+            shortWeekday: !lead && weekdayWord !== WEEKDAY_NAMES[weekday].toLowerCase()
+        };
+    }
+    
+    // in 3 days, in 2 weeks, in 1 month, in 2 hours, in 30 minutes
+    if (first === 'in' && /^\d+$/.test(second || '') && third) {
+        const amount = parseInt(second, 10);
+        const unit = third.replace(/s$/, '');
+        if (unit === 'day') return { result: { date: addDays(amount) }, consumed: 3 };
+        if (unit === 'week') return { result: { date: addDays(amount * 7) }, consumed: 3 };
+        if (unit === 'month') return { result: { date: new Date(today.getFullYear(), today.getMonth() + amount, today.getDate()) }, consumed: 3 };
+        if (unit === 'hour' || unit === 'hr') return { result: { dateTime: new Date(now.getTime() + amount * 3600000) }, consumed: 3 };
+        if (unit === 'minute' || unit === 'min') return { result: { dateTime: new Date(now.getTime() + amount * 60000) }, consumed: 3 };
+        return null;
+    }
+    
+    // 2026-10-20
+    const iso = first.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (iso) {
+        const date = new Date(parseInt(iso[1], 10), parseInt(iso[2], 10) - 1, parseInt(iso[3], 10));
+        return isNaN(date.getTime()) ? null : { result: { date }, consumed: 1 };
+    }
+    
+    // oct 20, october 20th, 20 oct, 20th october (next year if already past)
+    const dayNumber = word => {
+        const match = (word || '').replace(/,$/, '').match(/^(\d{1,2})(st|nd|rd|th)?$/);
+        return match ? parseInt(match[1], 10) : null;
+    };
+    let month = parseMonthWord(first);
+    let day = dayNumber(second);
+    if (month === null || day === null) {
+        day = dayNumber(first);
+        month = parseMonthWord((second || '').replace(/,$/, ''));
+    }
+    if (month !== null && day !== null && day >= 1 && day <= 31) {
+        let date = new Date(today.getFullYear(), month, day);
+        if (date.getDate() !== day) return null; // e.g. Feb 30
+        if (date < today) date = new Date(today.getFullYear() + 1, month, day);
+        return { result: { date }, consumed: 2, monthDay: true };
+    }
+    
+    return null;
+}
+
+/**
+ * Parses quick-add text into task fields plus a list of preview chips.
+ * @param {string} text
+ * @param {Date} [now]
+ * @returns {Object} - { title, dueDate, reminders, priority, category, tags, rrule, chips }
+ */
+function parseQuickAddInput(text, now = new Date()) {
+    const words = tokenizeQuickAdd(text);
+    const found = { tags: [], reminders: [] };
+    const titleWords = [];
+    
+    let i = 0;
+    while (i < words.length) {
+        if (words[i].literal) {
+            titleWords.push(words[i].text);
+            i++;
+            continue;
+        }
+        
+        // Literal words stop multi-word phrases, so "every \"week\"" is not a recurrence
+        const remaining = [];
+        for (let j = i; j < words.length && !words[j].literal; j++) remaining.push(words[j].text);
+        const lower = remaining.map(word => word.toLowerCase());
+        
+        let consumed = 0;
+        for (const matcher of QUICK_ADD_MATCHERS) {
+            consumed = matcher(lower, found, remaining, now, titleWords.length === 0);
+            if (consumed > 0) break;
+        }
+        
+        if (consumed > 0) {
+            i += consumed;
+        } else {
+            titleWords.push(words[i].text);
+            i++;
+        }
+    }
+    
+    // Resolve the due date: explicit date and/or time, or the first day of a weekday recurrence
+    let due = found.dateTime || null;
+    if (!due && (found.date || found.time || found.recurrenceDays)) {
+        const time = found.time || (found.tonight ? { hours: 20, minutes: 0 } : QUICK_ADD_DEFAULT_TIME);
+        due = new Date(found.date || new Date(now.getFullYear(), now.getMonth(), now.getDate()));
+        due.setHours(time.hours, time.minutes, 0, 0);
+        if (!found.date) {
+            // "5pm" after 5pm means tomorrow; "every mon,fri" starts on the next Monday or Friday
+            while (due <= now || (found.recurrenceDays && !found.recurrenceDays.includes(due.getDay()))) {
+                due.setDate(due.getDate() + 1);
+            }
+        }
+    }
+    
+    // "remind 1 day before" follows the due date; "remind at 8am" is a fixed time on the due day
+    const reminders = [];
+    let reminderIgnored = false;
+    found.reminders.forEach(({ before, time }) => {
+        if (time) {
+            const at = new Date(due || now);
+            at.setHours(time.hours, time.minutes, 0, 0);
+            reminders.push({ type: 'absolute', at: toDateTimeLocalValue(at) });
+        } else if (due) {
+            reminders.push({ type: 'relative', minutesBefore: before });
+        } else {
+            reminderIgnored = true;
+        }
+    });
+    
+    const result = {
+        title: titleWords.join(' ').trim(),
+        dueDate: due ? toDateTimeLocalValue(due) : null,
+        reminders,
+        priority: found.priority || null,
+        category: found.category || null,
+        tags: found.tags,
+        rrule: found.rrule || null,
+        chips: []
+    };
+    
+    if (result.dueDate) result.chips.push({ type: 'due', icon: 'fa-calendar-alt', label: formatDate(result.dueDate) });
+    result.reminders.forEach(reminder => result.chips.push({ type: 'reminder', icon: 'fa-bell', label: formatReminder(reminder) }));
+    if (reminderIgnored) result.chips.push({ type: 'warning', icon: 'fa-exclamation-triangle', label: 'Reminder needs a due date' });
+    if (result.rrule) result.chips.push({ type: 'repeat', icon: 'fa-redo', label: describeRRule(result.rrule) });
+    if (result.priority) result.chips.push({ type: 'priority', icon: 'fa-flag', label: capitalize(result.priority) });
+    if (result.category) result.chips.push({ type: 'category', icon: 'fa-folder', label: getCategoryName(result.category) });
+    result.tags.forEach(tag => result.chips.push({ type: 'tag', icon: 'fa-tag', label: tag }));
+    
+    return result;
+}
+
+/**
+ * Shows what the quick-add parser found, as chips under the input.
+ */
+function renderQuickAddPreview() {
+    const input = document.getElementById('quickTaskInput');
+    const preview = document.getElementById('quickAddPreview');
+    if (!input || !preview) return;
+    
+    const parsed = input.value.trim() ? parseQuickAddInput(input.value) : null;
+    if (!parsed || parsed.chips.length === 0) {
+        preview.classList.add('hidden');
+        preview.innerHTML = '';
+        return;
+    }
+    
+    preview.innerHTML = `
+        <span class="quick-add-chip title">${parsed.title ? escapeHtml(parsed.title) : '<em>No title yet</em>'}</span>
+        ${parsed.chips.map(chip => `
+            <span class="quick-add-chip ${chip.type}"><i class="fas ${chip.icon}"></i> ${escapeHtml(chip.label)}</span>
+        `).join('')}
+    `;
+    preview.classList.remove('hidden');
+}
+
+/**
+ * Opens the Add Task form.
+ * @param {Date} [dueDate] - Pre-fills the due date (e.g. the day clicked in the calendar)
+ */
+function openAdvancedForm(dueDate = null) {
     // *** NEW: a11y focus management ***
     lastFocusedElement = document.activeElement;
     
@@ -537,6 +1314,13 @@ function openAdvancedForm() {
     document.getElementById('taskParentId').value = ''; // *** NEW: Clear parent ID
     document.getElementById('taskCategory').value = settings.defaultCategory;
     document.getElementById('taskPriority').value = settings.defaultPriority;
+    if (dueDate instanceof Date) {
+        document.getElementById('taskDueDate').value = toDateTimeLocalValue(dueDate);
+    }
+    renderReminderRows(getDefaultReminders()); // *** NEW: Pre-filled from settings
+    populateRepeatForm(null);
+    toggleRepeatOptions();
+    populateBlockedByOptions(null, []);
     document.getElementById('taskModal').classList.remove('hidden');
     
     // *** NEW: a11y focus ***
@@ -583,6 +1367,7 @@ function toggleRepeatOptions() {
     
     if (isChecked) {
         repeatOptions.classList.remove('hidden');
+        updateRepeatOptionsUI();
     } else {
         repeatOptions.classList.add('hidden');
     }
@@ -598,123 +1383,321 @@ async function saveTask(event) {
     const category = document.getElementById('taskCategory').value;
     const priority = document.getElementById('taskPriority').value;
     const dueDate = document.getElementById('taskDueDate').value;
-    const reminder = document.getElementById('taskReminder').value;
+    const reminders = readReminderRows();
     const repeat = document.getElementById('taskRepeat').checked;
-    const repeatFrequency = repeat ? document.getElementById('repeatFrequency').value : null;
+    const rrule = repeat ? getRepeatRuleFromForm() : null;
+    const recurrenceBasis = document.getElementById('repeatBasis').value;
+    const skipMissed = repeat && document.getElementById('repeatSkipMissed').checked;
     const tags = document.getElementById('taskTags').value
         .split(',')
         .map(tag => tag.trim())
         .filter(tag => tag);
+    const blockedBy = Array.from(document.getElementById('taskBlockedBy').selectedOptions).map(option => option.value);
+    const estimateText = document.getElementById('taskEstimate').value.trim();
+    const estimateMinutes = estimateText ? parseDuration(estimateText) : null;
     
     if (!title) {
         showToast('Task title is required', 'error');
         return;
     }
+    
+    if (estimateText && !estimateMinutes) {
+        showToast('Estimate must be a duration like "45m", "1.5h" or "1h 30m"', 'error');
+        return;
+    }
+    
+    // *** NEW: Refuse dependency chains that loop back to this task ***
+    const cycle = taskId ? findDependencyCycle(taskId, blockedBy) : null;
+    if (cycle) {
+        showToast(`Circular dependency: ${cycle.map(id => tasks.find(t => t.id === id).title).join(' → ')}`, 'error');
+        return;
+    }
+    
+    const updates = {
+        title,
+        description,
+        category,
+        priority,
+        dueDate: dueDate || null,
+        reminders,
+        repeat,
+        rrule,
+        recurrenceBasis,
+        skipMissed,
+        tags,
+        blockedBy,
+        estimateMinutes,
+        parentId // Allow changing parent
+    };
 
     if (taskId) {
         // Edit existing task
         const task = tasks.find(t => t.id === taskId);
-        if (task) {
-            task.title = title;
-            task.description = description;
-            task.category = category;
-            task.priority = priority;
-            task.dueDate = dueDate || null;
-            task.reminder = reminder || null;
-            task.repeat = repeat;
-            task.repeatFrequency = repeatFrequency;
-            task.tags = tags;
-            task.parentId = parentId; // Allow changing parent
-        }
-        showToast('Task updated successfully', 'success');
-    } else {
-        // Create new task
-        const now = Date.now();
-        const task = {
-            id: now.toString(),
-            title,
-            description,
-            category,
-            priority,
-            dueDate: dueDate || null,
-            reminder: reminder || null,
-            repeat,
-            repeatFrequency,
-            tags,
-            completed: false,
-            createdAt: new Date(now).toISOString(),
-            order: now, // *** NEW
-            parentId: parentId, // *** NEW
-        };
-        tasks.push(task);
-        saveToHistory('Added task: ' + title);
-        showToast('Task added successfully', 'success');
+        if (!task) return;
+        
+        // *** NEW: Recurring edits can target one occurrence or the rest of the series ***
+        if (task.repeat && repeat && !task.completed && hasTaskChanges(task, updates)) {
+            showChoiceModal('Edit Recurring Task', 'Apply these changes to this occurrence only, or to this and all future occurrences?', [
+                { label: 'This occurrence', onSelect: () => finishTaskEdit(task, updates, 'this') },
+                { label: 'All future occurrences', className: 'btn-primary', onSelect: () => finishTaskEdit(task, updates, 'future') }
+            ]);
+            return;
+        }
+        
+        await finishTaskEdit(task, updates, 'future');
+        return;
     }
     
+    // Create new task
+    const now = Date.now();
+    const task = {
+        ...updates,
+        id: now.toString(),
+        occurrence: 1,
+        seriesId: repeat ? now.toString() : null, // *** NEW: First occurrence starts the series
+        seriesDefaults: null,
+        timeEntries: [],
+        completed: false,
+        createdAt: new Date(now).toISOString(),
+        order: now // *** NEW
+    };
+    tasks.push(task);
+    saveToHistory('Added task: ' + title);
+    showToast('Task added successfully', 'success');
+    
     await saveTasks(); // *** UPDATED: Await DB save
     renderTasks();
     renderAISummary(); 
     closeTaskModal();
 }
 
-function editTask(taskId) {
-    const task = tasks.find(t => t.id === taskId);
-    if (!task) return;
-    
-    // *** NEW: a11y focus management ***
-    lastFocusedElement = document.activeElement;
-    
-    currentEditingTask = task;
-    document.getElementById('modalTitle').textContent = 'Edit Task';
-    document.getElementById('taskId').value = task.id;
-    document.getElementById('taskParentId').value = task.parentId || ''; // *** NEW
-    document.getElementById('taskTitle').value = task.title;
-    document.getElementById('taskDescription').value = task.description || '';
-    document.getElementById('taskCategory').value = task.category;
-    document.getElementById('taskPriority').value = task.priority;
-    document.getElementById('taskDueDate').value = task.dueDate || '';
-    document.getElementById('taskReminder').value = task.reminder || '';
-    document.getElementById('taskRepeat').checked = task.repeat;
-    document.getElementById('taskTags').value = task.tags.join(', ');
-    
-    if (task.repeat) {
-        document.getElementById('repeatOptions').classList.remove('hidden');
-        document.getElementById('repeatFrequency').value = task.repeatFrequency || 'daily';
-    }
+/**
+ * Applies a task edit, saves, and closes the task modal.
+ * @param {'this'|'future'} scope - For recurring tasks, whether the rest of the series follows
+ */
+async function finishTaskEdit(task, updates, scope) {
+    applyTaskEdit(task, updates, scope);
+    saveToHistory('Edited task: ' + task.title);
+    showToast(scope === 'this' && task.seriesDefaults ? 'This occurrence updated successfully' : 'Task updated successfully', 'success');
     
-    document.getElementById('taskModal').classList.remove('hidden');
-    // *** NEW: a11y focus ***
-    setTimeout(() => document.getElementById('taskTitle').focus(), 100);
+    await saveTasks();
+    renderTasks();
+    renderAISummary();
+    closeTaskModal();
 }
 
-async function deleteTask(taskId) {
-    const task = tasks.find(t => t.id === taskId);
-    if (!task) return;
+// *** NEW: Recurring Series Model ***
+// Every occurrence of a recurring task shares a seriesId (the id of the first occurrence).
+// An occurrence edited on its own keeps the series values it replaced in `seriesDefaults`,
+// so the next occurrence is generated from the series rather than from the one-off edit.
 
-    // Prevent deletion of a completed recurring task if its next instance exists
-    const nextInstance = tasks.find(t => t.previousInstanceId === taskId);
-    if (nextInstance) {
-        showInfoModal('Deletion Blocked', 'Cannot delete this completed recurring task because its next instance has already been created. Please delete the pending instance first.');
-        return;
-    }
-    
-    // *** NEW: Find all descendant tasks ***
-    const tasksToDelete = [taskId];
+// Fields that can differ between one occurrence and the rest of its series
+const SERIES_FIELDS = ['title', 'description', 'category', 'priority', 'tags', 'rrule', 'recurrenceBasis', 'skipMissed', 'dueDate', 'reminders'];
+
+/**
+ * Checks whether any of the submitted values differ from the task.
+ */
+function hasTaskChanges(task, updates) {
+    return Object.keys(updates).some(field => JSON.stringify(task[field]) !== JSON.stringify(updates[field]));
+}
+
+/**
+ * Copies edited values onto a task.
+ * @param {Object} task
+ * @param {Object} updates - New field values from the task form
+ * @param {'this'|'future'} scope - 'this' keeps the series values for future occurrences;
+ *                                  'future' also updates other pending occurrences in the series
+ */
+function applyTaskEdit(task, updates, scope) {
+    if (scope === 'this' && task.seriesId) {
+        const defaults = { ...(task.seriesDefaults || {}) };
+        SERIES_FIELDS.filter(field => field in updates).forEach(field => {
+            const seriesValue = field in defaults ? defaults[field] : task[field];
+            if (JSON.stringify(seriesValue) === JSON.stringify(updates[field])) {
+                delete defaults[field]; // Edited back to the series value
+            } else if (!(field in defaults)) {
+                defaults[field] = Array.isArray(task[field]) ? [...task[field]] : task[field];
+            }
+        });
+        task.seriesDefaults = Object.keys(defaults).length > 0 ? defaults : null;
+    } else if (task.seriesId) {
+        // Dates stay per occurrence; other pending occurrences only take the series-wide fields
+        const changedFields = [...SERIES_FIELDS, 'repeat']
+            .filter(field => field !== 'dueDate' && field !== 'reminders')
+            .filter(field => field in updates && JSON.stringify(task[field]) !== JSON.stringify(updates[field]));
+        
+        tasks.filter(t => t.seriesId === task.seriesId && t.id !== task.id && !t.completed).forEach(other => {
+            changedFields.forEach(field => {
+                other[field] = Array.isArray(updates[field]) ? [...updates[field]] : updates[field];
+            });
+        });
+        task.seriesDefaults = null;
+    }
+    
+    Object.assign(task, updates);
+    if (task.repeat && !task.seriesId) {
+        task.seriesId = task.id;
+    }
+}
+
+/**
+ * Returns the series version of an occurrence, undoing any "this occurrence only" edits.
+ */
+function getSeriesTemplate(task) {
+    return { ...task, ...(task.seriesDefaults || {}) };
+}
+
+/**
+ * Collects a task's subtasks at every depth.
+ */
+function getDescendantTaskIds(taskId) {
+    const ids = [];
     const findChildren = (parentId) => {
-        const children = tasks.filter(t => t.parentId === parentId);
-        children.forEach(child => {
-            tasksToDelete.push(child.id);
+        tasks.filter(t => t.parentId === parentId).forEach(child => {
+            ids.push(child.id);
             findChildren(child.id); // Recurse
         });
     };
     findChildren(taskId);
+    return ids;
+}
+
+/**
+ * Summarizes a series: its occurrences, the next pending one, and the current streak of
+ * occurrences completed on time (broken by any late completion or an overdue next occurrence).
+ */
+function getSeriesStats(seriesId) {
+    const instances = tasks
+        .filter(t => t.seriesId === seriesId)
+        .sort((a, b) => (a.occurrence || 0) - (b.occurrence || 0) || new Date(a.createdAt) - new Date(b.createdAt));
+    const completed = instances.filter(t => t.completed);
+    const next = instances
+        .filter(t => !t.completed)
+        .sort((a, b) => (a.dueDate ? new Date(a.dueDate) : Infinity) - (b.dueDate ? new Date(b.dueDate) : Infinity))[0] || null;
+    
+    let streak = 0;
+    if (!next || getDueDateClass(next.dueDate) !== 'due-date-overdue') {
+        const byCompletion = [...completed].sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt));
+        for (const instance of byCompletion) {
+            if (!wasCompletedOnTime(instance)) break;
+            streak++;
+        }
+    }
+    
+    return { instances, completedCount: completed.length, next, streak };
+}
+
+/**
+ * An occurrence is on time if it was completed by the end of its due day (or has no due date).
+ */
+function wasCompletedOnTime(task) {
+    if (!task.dueDate || !task.completedAt) return true;
+    const due = new Date(task.dueDate);
+    const endOfDueDay = new Date(due.getFullYear(), due.getMonth(), due.getDate(), 23, 59, 59, 999);
+    return new Date(task.completedAt) <= endOfDueDay;
+}
+
+/**
+ * Shows every occurrence of a series with its due and completion dates.
+ */
+function showSeriesHistory(seriesId) {
+    const { instances, completedCount, next, streak } = getSeriesStats(seriesId);
+    if (instances.length === 0) return;
+    
+    const latest = getSeriesTemplate(instances[instances.length - 1]);
+    const rows = [...instances].reverse().map(instance => {
+        let status = 'pending';
+        if (instance.completed) {
+            status = wasCompletedOnTime(instance) ? 'on-time' : 'late';
+        } else if (getDueDateClass(instance.dueDate) === 'due-date-overdue') {
+            status = 'overdue';
+        }
+        
+        return `
+            <tr>
+                <td>#${instance.occurrence || 1}</td>
+                <td>${escapeHtml(instance.title)}</td>
+                <td>${instance.dueDate ? formatDate(instance.dueDate) : 'No due date'}</td>
+                <td>${instance.completedAt ? formatDate(instance.completedAt) : '—'}</td>
+                <td><span class="series-status ${status}">${capitalize(status.replace('-', ' '))}</span></td>
+            </tr>
+        `;
+    }).join('');
+    
+    showInfoModal(
+        `<i class="fas fa-history"></i> Series: ${escapeHtml(latest.title)}`,
+        `<p><strong>${escapeHtml(describeRRule(latest.rrule))}</strong></p>
+         <p>${completedCount} completed · Current streak: ${streak} · Next: ${next && next.dueDate ? formatDate(next.dueDate) : (next ? 'No due date' : 'Series ended')}</p>
+         <table class="series-history-table">
+            <thead>
+                <tr><th>#</th><th>Title</th><th>Due</th><th>Completed</th><th>Status</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+         </table>`
+    );
+}
+
+function editTask(taskId) {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return;
+    
+    // *** NEW: a11y focus management ***
+    lastFocusedElement = document.activeElement;
+    
+    currentEditingTask = task;
+    document.getElementById('modalTitle').textContent = 'Edit Task';
+    document.getElementById('taskId').value = task.id;
+    document.getElementById('taskParentId').value = task.parentId || ''; // *** NEW
+    document.getElementById('taskTitle').value = task.title;
+    document.getElementById('taskDescription').value = task.description || '';
+    document.getElementById('taskCategory').value = task.category;
+    document.getElementById('taskPriority').value = task.priority;
+    document.getElementById('taskDueDate').value = task.dueDate || '';
+    renderReminderRows(task.reminders || []);
+    document.getElementById('taskRepeat').checked = task.repeat;
+    document.getElementById('taskTags').value = task.tags.join(', ');
+    document.getElementById('taskEstimate').value = task.estimateMinutes ? formatDuration(task.estimateMinutes) : '';
+    
+    populateRepeatForm(task.repeat ? task.rrule : null, task.recurrenceBasis, task.skipMissed);
+    toggleRepeatOptions();
+    populateBlockedByOptions(task.id, task.blockedBy || []);
+    
+    document.getElementById('taskModal').classList.remove('hidden');
+    // *** NEW: a11y focus ***
+    setTimeout(() => document.getElementById('taskTitle').focus(), 100);
+}
+
+async function deleteTask(taskId) {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return;
+
+    // Prevent deletion of a completed recurring task if its next instance exists
+    const nextInstance = tasks.find(t => t.previousInstanceId === taskId);
+    if (nextInstance) {
+        showInfoModal('Deletion Blocked', 'Cannot delete this completed recurring task because its next instance has already been created. Please delete the pending instance first.');
+        return;
+    }
+    
+    // *** NEW: Find all descendant tasks ***
+    const tasksToDelete = [taskId, ...getDescendantTaskIds(taskId)];
     
     const message = tasksToDelete.length > 1 ?
         `Are you sure you want to delete this task and its ${tasksToDelete.length - 1} subtask(s)?` :
         'Are you sure you want to delete this task?';
+    
+    // *** NEW: Pending recurring tasks can skip one occurrence or end the series ***
+    if (task.repeat && !task.completed) {
+        showChoiceModal('Delete Recurring Task', `${message} Delete only this occurrence, or this and all future occurrences?`, [
+            { label: 'This occurrence', onSelect: () => deleteRecurringOccurrence(task, 'this') },
+            { label: 'All future occurrences', className: 'btn-danger', onSelect: () => deleteRecurringOccurrence(task, 'future') }
+        ]);
+        return;
+    }
 
     showConfirmModal('Confirm Deletion', message, async () => {
         tasks = tasks.filter(t => !tasksToDelete.includes(t.id));
+        removeDependencyReferences(tasksToDelete);
+        saveToHistory('Deleted task: ' + task.title);
         await saveTasks(); // *** UPDATED: Await DB save
         
         // Clear selection
@@ -726,6 +1709,251 @@ async function deleteTask(taskId) {
     });
 }
 
+/**
+ * Deletes a pending recurring occurrence.
+ * @param {'this'|'future'} scope - 'this' schedules the following occurrence in its place;
+ *                                  'future' removes every pending occurrence, ending the series
+ */
+async function deleteRecurringOccurrence(task, scope) {
+    let removedIds;
+    let message;
+    
+    if (scope === 'this') {
+        removedIds = [task.id, ...getDescendantTaskIds(task.id)];
+        const nextTask = createNextRecurringInstance({ ...task, completedAt: new Date().toISOString() });
+        if (nextTask) {
+            nextTask.previousInstanceId = task.previousInstanceId || null;
+            tasks.push(nextTask);
+            message = nextTask.dueDate ? `Occurrence skipped. Next one is due ${formatDate(nextTask.dueDate)}` : 'Occurrence skipped';
+        } else {
+            message = 'Occurrence deleted. This was the last one in the series.';
+        }
+    } else {
+        const pending = tasks.filter(t => t.seriesId && t.seriesId === task.seriesId && !t.completed);
+        const seriesIds = pending.length > 0 ? pending.map(t => t.id) : [task.id];
+        removedIds = seriesIds.flatMap(id => [id, ...getDescendantTaskIds(id)]);
+        message = 'Recurring series ended. Completed occurrences are kept in its history.';
+    }
+    
+    tasks = tasks.filter(t => !removedIds.includes(t.id));
+    removeDependencyReferences(removedIds);
+    removedIds.forEach(id => selectedTasks.delete(id));
+    saveToHistory('Deleted recurring task: ' + task.title);
+    
+    await saveTasks();
+    renderTasks();
+    renderAISummary();
+    showToast(message, 'success');
+}
+
+// *** NEW: Time Tracking ***
+// Each task keeps `timeEntries` ({ id, start, end } ISO timestamps; end is null while running)
+// and an optional `estimateMinutes`. Parents report their own time plus all of their subtasks'.
+
+let timerTickInterval = null;
+
+/**
+ * Parses a duration such as "90", "45m", "1.5h" or "1h 30m" into minutes.
+ * @returns {number|null} - Whole minutes, or null if the text isn't a positive duration
+ */
+function parseDuration(text) {
+    const value = String(text).trim().toLowerCase();
+    if (/^\d+(\.\d+)?$/.test(value)) {
+        const minutes = Math.round(parseFloat(value));
+        return minutes > 0 ? minutes : null;
+    }
+    
+    const match = value.match(/^(?:(\d+(?:\.\d+)?)\s*h(?:ours?|rs?)?)?\s*(?:(\d+)\s*m(?:in(?:utes?|s)?)?)?$/);
+    if (!match || (!match[1] && !match[2])) return null;
+    
+    const minutes = Math.round(parseFloat(match[1] || 0) * 60 + parseInt(match[2] || 0, 10));
+    return minutes > 0 ? minutes : null;
+}
+
+/**
+ * Formats minutes as "1h 30m", "45m" or "2h".
+ */
+function formatDuration(minutes) {
+    const total = Math.round(minutes);
+    const hours = Math.floor(total / 60);
+    const mins = total % 60;
+    if (hours === 0) return `${mins}m`;
+    return mins === 0 ? `${hours}h` : `${hours}h ${mins}m`;
+}
+
+/**
+ * Minutes logged directly on a task. A running entry counts up to now.
+ */
+function getTrackedMinutes(task) {
+    return (task.timeEntries || []).reduce((sum, entry) => {
+        const end = entry.end ? new Date(entry.end) : new Date();
+        return sum + Math.max(0, end - new Date(entry.start)) / 60000;
+    }, 0);
+}
+
+/**
+ * Rolls up tracked time and estimates from a task and all of its subtasks.
+ * A parent without its own estimate uses the sum of its subtasks' estimates.
+ * @returns {Object} - { trackedMinutes, estimateMinutes, includesSubtasks }
+ */
+function getTimeRollup(task) {
+    const descendants = getDescendantTaskIds(task.id)
+        .map(id => tasks.find(t => t.id === id))
+        .filter(Boolean);
+    const trackedMinutes = [task, ...descendants].reduce((sum, t) => sum + getTrackedMinutes(t), 0);
+    const subtaskEstimate = descendants
+        .filter(t => t.parentId === task.id)
+        .reduce((sum, child) => sum + (getTimeRollup(child).estimateMinutes || 0), 0);
+    
+    return {
+        trackedMinutes,
+        estimateMinutes: task.estimateMinutes || subtaskEstimate || null,
+        includesSubtasks: descendants.some(t => (t.timeEntries || []).length > 0)
+    };
+}
+
+function isTimerRunning(task) {
+    return (task.timeEntries || []).some(entry => !entry.end);
+}
+
+/**
+ * Closes a task's running time entry, if any.
+ * @returns {boolean} - True if a timer was stopped
+ */
+function stopTimeEntry(task) {
+    const running = (task.timeEntries || []).find(entry => !entry.end);
+    if (!running) return false;
+    running.end = new Date().toISOString();
+    return true;
+}
+
+/**
+ * Starts or stops the timer on a task. Only one timer runs at a time,
+ * so starting one stops whichever other task was being timed.
+ */
+async function toggleTimer(taskId) {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return;
+    
+    let message;
+    if (isTimerRunning(task)) {
+        stopTimeEntry(task);
+        message = `Timer stopped. ${formatDuration(getTrackedMinutes(task))} logged on '${task.title}'`;
+    } else {
+        const previous = tasks.find(t => t.id !== taskId && isTimerRunning(t));
+        if (previous) stopTimeEntry(previous);
+        
+        task.timeEntries = task.timeEntries || [];
+        task.timeEntries.push({ id: Date.now().toString(), start: new Date().toISOString(), end: null });
+        message = previous ? `Timer moved from '${previous.title}' to '${task.title}'` : `Timer started for '${task.title}'`;
+    }
+    
+    saveToHistory('Timer toggled: ' + task.title);
+    await saveTasks();
+    renderTasks();
+    showToast(message, 'success');
+}
+
+/**
+ * Keeps the elapsed time of a running timer up to date without re-rendering the table.
+ */
+function updateTimerTicker() {
+    const running = tasks.some(t => isTimerRunning(t));
+    if (running && !timerTickInterval) {
+        timerTickInterval = setInterval(() => {
+            document.querySelectorAll('.task-time-indicator[data-task-id]').forEach(el => {
+                const task = tasks.find(t => t.id === el.dataset.taskId);
+                if (task) el.querySelector('.task-time-tracked').textContent = formatDuration(getTimeRollup(task).trackedMinutes);
+            });
+        }, 30000);
+    } else if (!running && timerTickInterval) {
+        clearInterval(timerTickInterval);
+        timerTickInterval = null;
+    }
+}
+
+// *** NEW: Task Dependencies ***
+// `blockedBy` lists the ids of tasks that must be completed before a task can start.
+
+/**
+ * Returns the pending tasks that a task is waiting on.
+ */
+function getBlockingTasks(task) {
+    if (!task.blockedBy || task.blockedBy.length === 0) return [];
+    return tasks.filter(t => task.blockedBy.includes(t.id) && !t.completed);
+}
+
+/**
+ * A task is blocked while it is pending and any of its blockers is still pending.
+ */
+function isTaskBlocked(task) {
+    return !task.completed && getBlockingTasks(task).length > 0;
+}
+
+/**
+ * Returns the tasks that list `taskId` as a blocker.
+ */
+function getDependentTasks(taskId) {
+    return tasks.filter(t => t.blockedBy && t.blockedBy.includes(taskId));
+}
+
+/**
+ * Checks whether making `taskId` depend on `blockerIds` would create a loop.
+ * @returns {string[]|null} - The ids along the loop (starting and ending at taskId), or null
+ */
+function findDependencyCycle(taskId, blockerIds) {
+    const visited = new Set();
+    const walk = (id, path) => {
+        if (id === taskId) return [...path, id];
+        if (visited.has(id)) return null;
+        visited.add(id);
+        
+        const task = tasks.find(t => t.id === id);
+        for (const nextId of (task && task.blockedBy) || []) {
+            const cycle = walk(nextId, [...path, id]);
+            if (cycle) return cycle;
+        }
+        return null;
+    };
+    
+    for (const blockerId of blockerIds) {
+        const cycle = walk(blockerId, [taskId]);
+        if (cycle) return cycle;
+    }
+    return null;
+}
+
+/**
+ * Drops deleted tasks from every remaining task's blockedBy list.
+ */
+function removeDependencyReferences(deletedIds) {
+    tasks.forEach(t => {
+        if (t.blockedBy && t.blockedBy.some(id => deletedIds.includes(id))) {
+            t.blockedBy = t.blockedBy.filter(id => !deletedIds.includes(id));
+        }
+    });
+}
+
+/**
+ * Fills the "Blocked by" select in the task modal with the tasks this one can depend on.
+ * Tasks that would create a circular dependency are listed but disabled.
+ */
+function populateBlockedByOptions(taskId, selectedIds) {
+    const select = document.getElementById('taskBlockedBy');
+    if (!select) return;
+    
+    const candidates = tasks
+        .filter(t => t.id !== taskId && (!t.completed || selectedIds.includes(t.id)))
+        .sort((a, b) => a.title.localeCompare(b.title));
+    
+    select.innerHTML = candidates.map(t => {
+        const createsCycle = taskId && findDependencyCycle(taskId, [t.id]);
+        return `<option value="${t.id}" ${selectedIds.includes(t.id) ? 'selected' : ''} ${createsCycle ? 'disabled' : ''}>
+            ${escapeHtml(t.title)}${t.completed ? ' (completed)' : ''}${createsCycle ? ' (depends on this task)' : ''}
+        </option>`;
+    }).join('');
+}
+
 // Bulk Actions
 function toggleTaskSelection(taskId, isChecked) {
     if (isChecked) {
@@ -811,14 +2039,18 @@ function deleteSelectedTasks() {
              showInfoModal('Deletion Blocked', `Cannot delete ${nextInstanceCount} completed recurring task(s) because their next instance(s) are still pending. Please delete the pending instance(s) first.`);
              const deletableTaskIds = tasksToDeleteArr.filter(id => !tasksToKeep.includes(id));
              tasks = tasks.filter(t => !deletableTaskIds.includes(t.id));
+             removeDependencyReferences(deletableTaskIds);
              selectedTasks = new Set();
+             saveToHistory(`Deleted ${deletableTaskIds.length} selected task(s)`);
              await saveTasks(); // *** UPDATED
              renderTasks();
              return;
         }
 
         tasks = tasks.filter(t => !finalTasksToDelete.has(t.id));
+        removeDependencyReferences(tasksToDeleteArr);
         selectedTasks = new Set();
+        saveToHistory(`Deleted ${finalTasksToDelete.size} selected task(s)`);
         await saveTasks(); // *** UPDATED
         renderTasks();
         renderAISummary();
@@ -827,9 +2059,10 @@ function deleteSelectedTasks() {
 }
 
 async function clearAllTasks() {
-    showConfirmModal('Confirm Clear All', 'Are you sure you want to delete ALL tasks permanently? This cannot be undone.', async () => {
+    showConfirmModal('Confirm Clear All', 'Are you sure you want to delete ALL tasks? You can still restore them from the undo history.', async () => {
         tasks = [];
         selectedTasks = new Set();
+        saveToHistory('Cleared all tasks');
         await saveTasks(); // *** UPDATED
         renderTasks();
         renderAISummary();
@@ -869,68 +2102,6 @@ function updateBulkActionUI() {
     }
 }
 
-async function toggleTask(taskId) {
-    const task = tasks.find(t => t.id === taskId);
-    if (!task) return;
-
-    const isCompleting = !task.completed;
-
-    if (isCompleting) {
-        task.completed = true;
-        task.completedAt = new Date().toISOString();
-        
-        if (task.repeat) {
-            const newTask = { ...task };
-            newTask.id = Date.now().toString();
-            newTask.completed = false;
-            newTask.completedAt = null;
-            newTask.createdAt = new Date().toISOString();
-            newTask.previousInstanceId = task.id; 
-            newTask.order = Date.now(); // Give it a new order
-            // Note: We keep the parentId if it was a recurring subtask
-
-            if (task.dueDate) {
-                const nextDate = new Date(task.dueDate);
-                switch (task.repeatFrequency) {
-                    case 'daily': nextDate.setDate(nextDate.getDate() + 1); break;
-                    case 'weekly': nextDate.setDate(nextDate.getDate() + 7); break;
-                    case 'monthly': nextDate.setMonth(nextDate.getMonth() + 1); break;
-                    case 'yearly': nextDate.setFullYear(nextDate.getFullYear() + 1); break;
-                }
-                newTask.dueDate = new Date(nextDate.getTime() - (nextDate.getTimezoneOffset() * 60000)).toISOString().slice(0, 16);
-                
-                if (task.reminder) {
-                    const originalDueDate = new Date(task.dueDate);
-                    const originalReminderDate = new Date(task.reminder);
-                    const diffMs = originalDueDate.getTime() - originalReminderDate.getTime();
-                    
-                    const newReminderTime = new Date(nextDate.getTime() - diffMs);
-                    newTask.reminder = new Date(newReminderTime.getTime() - (newReminderTime.getTimezoneOffset() * 60000)).toISOString().slice(0, 16);
-                }
-            }
-            
-            tasks.push(newTask);
-            showToast(`Next recurring task created for '${task.title}'`, 'success');
-        }
-    } else {
-        task.completed = false;
-        task.completedAt = null;
-
-        if (task.repeat) {
-            const nextInstanceIndex = tasks.findIndex(t => t.previousInstanceId === task.id);
-            
-            if (nextInstanceIndex > -1) {
-                tasks.splice(nextInstanceIndex, 1);
-                showToast('Next recurring instance removed.', 'info');
-            }
-        }
-    }
-    
-    await saveTasks(); // *** UPDATED: Await DB save
-    renderTasks();
-    renderAISummary(); 
-}
-
 // Update Filter Logic
 function filterTasks(filter) {
     // *** UPDATED: Set URL Hash, which triggers handleHashChange() ***
@@ -967,120 +2138,34 @@ function renderTasks() {
         console.warn('Bulk actions container not found');
     }
     
-    let processedTasks = tasks;
+    // *** UPDATED: Filtering lives in getFilteredTasks so saved views can count with it ***
+    searchIndex.queryCache.clear(); // Each render compiles a query once (due: terms depend on the time)
+    const viewState = getCurrentViewState();
+    const viewMode = settings.viewMode;
+    let filteredTasks = getViewModeTasks(viewState);
     
-    // 1. Apply Search Filter
-    let searchedTaskIds = new Set();
-    if (currentSearch) {
-        const searchMatches = processedTasks.filter(t => 
-            t.title.toLowerCase().includes(currentSearch) ||
-            (t.description && t.description.toLowerCase().includes(currentSearch)) ||
-            (t.tags && t.tags.some(tag => tag.toLowerCase().includes(currentSearch)))
-        );
-        
-        // If a task matches, we need to show it *and* all its parents
-        const getParentIds = (task) => {
-            let ids = new Set();
-            let current = task;
-            while (current && current.parentId) {
-                ids.add(current.parentId);
-                current = tasks.find(t => t.id === current.parentId);
-            }
-            return ids;
-        };
-        
-        searchMatches.forEach(task => {
-            searchedTaskIds.add(task.id);
-            const parentIds = getParentIds(task);
-            parentIds.forEach(id => searchedTaskIds.add(id));
-        });
-        
-        processedTasks = processedTasks.filter(t => searchedTaskIds.has(t.id));
-    }
-
-    // 1.5. Apply Quick Filters (time-based and priority)
-    if (activeQuickFilter || activePriorityFilter) {
-        processedTasks = processedTasks.filter(t => {
-            return matchesQuickFilter(t) && matchesPriorityFilter(t);
-        });
-    }
+    // *** NEW: Highlight query terms and explain malformed queries ***
+    const searchQuery = compileSearchQuery(viewState.search);
+    searchHighlightTerms = searchQuery.highlights;
+    updateSearchHint(searchQuery);
     
-   
+    // 4. Apply Sorting
+    filteredTasks = sortTaskList(filteredTasks, currentSort, getSearchRelevance(searchQuery));
     
-    // 2. Apply Tab Filter (e.g., 'all', 'personal', 'completed')
-    let filteredTasks = [];
-    if (currentSearch) {
-        // If searching, use search results but exclude completed tasks unless in completed tab
-        filteredTasks = processedTasks;
-        if (currentFilter !== 'completed') {
-            filteredTasks = filteredTasks.filter(t => !t.completed);
+    // *** NEW: The board and calendar show the same tasks without the tree or pagination ***
+    updateViewModeUI();
+    if (viewMode === 'board' || viewMode === 'calendar') {
+        if (viewMode === 'board') {
+            renderBoard(filteredTasks);
+        } else {
+            renderCalendar(filteredTasks);
         }
-    } else if (currentFilter === 'all') {
-        // *** UPDATED: In 'all' tab, hide completed tasks and show repetitive tasks only if due within 15 days ***
-        filteredTasks = processedTasks.filter(t => {
-            // Don't show completed tasks in main tabs
-            if (t.completed) return false;
-            
-            // For repetitive/recurring tasks, only show if due within 15 days
-            if (t.repeat) {
-                return isTaskDueWithin15Days(t);
-            }
-            
-            // Show all non-repetitive pending tasks
-            return true;
-        });
-    } else if (currentFilter === 'completed') {
-        // Show all completed tasks (no filtering)
-        filteredTasks = processedTasks.filter(t => t.completed);
-    } else if (currentFilter === 'recurring') {
-        // *** UPDATED: Recurring tab shows only uncompleted repetitive tasks ***
-        filteredTasks = processedTasks.filter(t => !t.completed && t.repeat);
-    } else {
-        // *** UPDATED: Category filters exclude completed tasks and apply 15-day horizon for repetitive tasks ***
-        filteredTasks = processedTasks.filter(t => {
-            // Only show tasks in the current category
-            if (t.category !== currentFilter) return false;
-            
-            // Don't show completed tasks in category views
-            if (t.completed) return false;
-            
-            // For repetitive tasks, only show if due within 15 days
-            if (t.repeat) {
-                return isTaskDueWithin15Days(t);
-            }
-            
-            // Show all non-repetitive pending tasks in this category
-            return true;
-        });
+        updateBulkActionUI();
+        updateFilterCounts();
+        updateSavedViewCounts();
+        updateTimerTicker();
+        return;
     }
-
-    // 4. Apply Sorting
-    const sortTasks = (taskList, sortBy) => {
-        return taskList.sort((a, b) => {
-            // Always sort completed tasks below pending tasks
-            if (a.completed !== b.completed) {
-                return a.completed ? 1 : -1;
-            }
-            
-            switch (sortBy) {
-                case 'priority':
-                    const priorityOrder = { urgent: 0, high: 1, medium: 2, low: 3 };
-                    return priorityOrder[a.priority] - priorityOrder[b.priority];
-                case 'dueDate':
-                    if (!a.dueDate && !b.dueDate) return 0;
-                    if (!a.dueDate) return 1;
-                    if (!b.dueDate) return -1;
-                    return new Date(a.dueDate) - new Date(b.dueDate);
-                case 'title':
-                    return a.title.localeCompare(b.title);
-                case 'order':
-                default:
-                    return (a.order || 0) - (b.order || 0);
-            }
-        });
-    };
-    
-    filteredTasks = sortTasks(filteredTasks, currentSort);
     
     // 5. Build Task Tree (for subtasks)
     const taskMap = new Map(filteredTasks.map(task => [task.id, { ...task, children: [] }]));
@@ -1134,6 +2219,8 @@ function renderTasks() {
     // 7. Update UI Elements
     updateBulkActionUI();
     updateFilterCounts();
+    updateSavedViewCounts();
+    updateTimerTicker();
     
     } catch (error) {
         console.error('Error in renderTasks:', error);
@@ -1141,435 +2228,3506 @@ function renderTasks() {
     }
 }
 
-// *** NEW: Fallback renderTasks function for old structure ***
-function renderTasksFallback() {
-    const container = document.getElementById('tasksContainer');
-    if (!container) {
-        console.error('Tasks container not found');
-        return;
+// *** NEW: Full-Text Search Index ***
+// An inverted index from word to the tasks containing it, weighted by where the word appears.
+// It is built in loadTasks and kept in step by the mutation paths: saveToHistory and undo/redo
+// re-index just the tasks whose searchable text changed (see updateSearchIndex).
+
+const SEARCH_DEBOUNCE_MS = 150;
+const SEARCH_FIELD_WEIGHTS = { title: 3, tags: 2, description: 1 };
+
+let searchDebounceTimer = null;
+let searchIndex = {
+    postings: new Map(),    // word -> Map(taskId -> weight)
+    taskEntries: new Map(), // taskId -> { words }
+    lookupCache: new Map(), // query word -> lookup result, cleared whenever the index changes
+    queryCache: new Map()   // query text -> compileSearchQuery result, cleared on each render too
+};
+
+/**
+ * Lower-cases, strips accents and splits text into words.
+ */
+function tokenizeSearchText(text) {
+    if (!text) return [];
+    return text.toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word);
+}
+
+const SEARCH_INDEXED_FIELDS = ['title', 'description', 'tags'];
+
+function addToSearchIndex(task) {
+    const weights = new Map();
+    const addWords = (text, weight) => tokenizeSearchText(text).forEach(word => {
+        weights.set(word, (weights.get(word) || 0) + weight);
+    });
+    addWords(task.title, SEARCH_FIELD_WEIGHTS.title);
+    (task.tags || []).forEach(tag => addWords(tag, SEARCH_FIELD_WEIGHTS.tags));
+    addWords(task.description, SEARCH_FIELD_WEIGHTS.description);
+    
+    weights.forEach((weight, word) => {
+        if (!searchIndex.postings.has(word)) searchIndex.postings.set(word, new Map());
+        searchIndex.postings.get(word).set(task.id, weight);
+    });
+    searchIndex.taskEntries.set(task.id, { words: [...weights.keys()] });
+}
+
+function removeFromSearchIndex(taskId) {
+    const entry = searchIndex.taskEntries.get(taskId);
+    if (!entry) return;
+    entry.words.forEach(word => {
+        const posting = searchIndex.postings.get(word);
+        if (!posting) return;
+        posting.delete(taskId);
+        if (posting.size === 0) searchIndex.postings.delete(word);
+    });
+    searchIndex.taskEntries.delete(taskId);
+}
+
+function buildSearchIndex() {
+    searchIndex = { postings: new Map(), taskEntries: new Map(), lookupCache: new Map(), queryCache: new Map() };
+    tasks.forEach(addToSearchIndex);
+}
+
+/**
+ * Re-indexes tasks that were added or edited and drops deleted ones.
+ * @param {string[]} taskIds - Tasks whose title, description or tags may have changed
+ */
+function updateSearchIndex(taskIds) {
+    if (taskIds.length === 0) return;
+    const tasksById = new Map(tasks.map(t => [t.id, t]));
+    taskIds.forEach(id => {
+        removeFromSearchIndex(id);
+        if (tasksById.has(id)) addToSearchIndex(tasksById.get(id));
+    });
+    searchIndex.lookupCache.clear();
+    searchIndex.queryCache.clear();
+}
+
+/**
+ * The tasks in a history patch whose searchable text changed (see saveToHistory).
+ */
+function getSearchChangedIds(changes) {
+    return changes
+        .filter(c => c.before === null || c.after === null || SEARCH_INDEXED_FIELDS.some(field => field in c.after))
+        .map(c => c.taskId);
+}
+
+/**
+ * Edit distance (with adjacent transpositions) that gives up once it exceeds `max`.
+ */
+function boundedEditDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previousPrevious = previous;
+        previous = current;
     }
+    return previous[b.length];
+}
+
+/**
+ * Finds the tasks matching every word of `text`, allowing prefixes and typos.
+ * @returns {Object} - { scores: Map(taskId -> relevance), matchedTokens: indexed words that matched }
+ */
+function searchIndexLookup(text) {
+    if (searchIndex.lookupCache.has(text)) return searchIndex.lookupCache.get(text);
+    
+    const queryWords = tokenizeSearchText(text);
+    const totalTasks = Math.max(1, searchIndex.taskEntries.size);
+    const matchedTokens = [];
+    let scores = null;
+    
+    queryWords.forEach(queryWord => {
+        // Short words only match exactly or as a prefix; longer ones tolerate 1-2 typos
+        const maxDistance = queryWord.length <= 3 ? 0 : queryWord.length <= 6 ? 1 : 2;
+        const wordScores = new Map();
+        
+        searchIndex.postings.forEach((posting, word) => {
+            let quality = 0;
+            if (word === queryWord) {
+                quality = 1;
+            } else if (queryWord.length >= 2 && word.startsWith(queryWord)) {
+                quality = 0.8;
+            } else if (maxDistance > 0) {
+                const distance = boundedEditDistance(queryWord, word, maxDistance);
+                if (distance <= maxDistance) quality = 0.7 - 0.15 * (distance - 1);
+            }
+            if (quality === 0) return;
+            
+            if (word !== queryWord) matchedTokens.push(word);
+            const idf = Math.log(1 + totalTasks / posting.size); // Rare words count for more
+            posting.forEach((weight, taskId) => {
+                wordScores.set(taskId, Math.max(wordScores.get(taskId) || 0, quality * weight * idf));
+            });
+        });
+        
+        // Every query word has to match
+        if (scores === null) {
+            scores = wordScores;
+        } else {
+            const combined = new Map();
+            scores.forEach((score, taskId) => {
+                if (wordScores.has(taskId)) combined.set(taskId, score + wordScores.get(taskId));
+            });
+            scores = combined;
+        }
+    });
     
-    // Simple fallback - show a message about the new structure
-    container.innerHTML = `
-        <div style="text-align: center; padding: 2rem; color: var(--text-secondary);">
-            <i class="fas fa-exclamation-triangle" style="font-size: 2rem; margin-bottom: 1rem; display: block;"></i>
-            <h3>Table Structure Not Found</h3>
-            <p>Please refresh the page to load the new tabular layout.</p>
-        </div>
-    `;
+    const result = { scores: scores || new Map(), matchedTokens };
+    searchIndex.lookupCache.set(text, result);
+    return result;
 }
 
-// *** NEW: Add Subtask Function ***
-function addSubtask(parentId) {
-    const parentTask = tasks.find(t => t.id === parentId);
-    if (!parentTask) return;
+// *** NEW: Search Query Language ***
+// Free words and "exact phrases" match title, description and tags. Field terms narrow further:
+//   title:  desc:  tag:  category:  priority:high,urgent  due:<7d  due:today  due:2026-10-20
+//   is:overdue|today|week|completed|pending|recurring|blocked|ready|subtask
+//   has:due|reminder|tags|estimate|subtasks|description
+// Terms are ANDed; use OR, NOT or a leading "-", and parentheses to group.
+
+let searchHighlightTerms = []; // Text terms from the current query, highlighted in rows
+
+const SEARCH_IS_VALUES = {
+    overdue: t => !t.completed && getDueDateClass(t.dueDate) === 'due-date-overdue',
+    today: t => !!t.dueDate && new Date(t.dueDate).toDateString() === new Date().toDateString(),
+    week: t => matchesQuickFilter(t, 'week'),
+    completed: t => t.completed,
+    done: t => t.completed,
+    pending: t => !t.completed,
+    open: t => !t.completed,
+    recurring: t => !!t.repeat,
+    blocked: t => isTaskBlocked(t),
+    ready: t => !t.completed && !isTaskBlocked(t),
+    subtask: t => !!t.parentId
+};
+
+const SEARCH_HAS_VALUES = {
+    due: t => !!t.dueDate,
+    reminder: t => getReminderTimes(t).length > 0,
+    tags: t => t.tags && t.tags.length > 0,
+    estimate: t => !!t.estimateMinutes,
+    subtasks: t => tasks.some(other => other.parentId === t.id),
+    description: t => !!t.description,
+    notes: t => !!t.description
+};
+
+const SEARCH_FIELD_ALIASES = {
+    title: 'title', desc: 'description', description: 'description', tag: 'tag', tags: 'tag',
+    category: 'category', cat: 'category', priority: 'priority', p: 'priority',
+    due: 'due', is: 'is', has: 'has'
+};
+
+function searchQueryError(message, position) {
+    const error = new Error(message);
+    error.name = 'SearchQueryError';
+    error.position = position;
+    return error;
+}
+
+/**
+ * Splits a query into terms, parentheses and the AND / OR / NOT operators.
+ */
+function tokenizeSearchQuery(text) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+        const ch = text[i];
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+        if (ch === '(' || ch === ')') {
+            tokens.push({ type: ch, position: i });
+            i++;
+            continue;
+        }
+        if (ch === '-' && i + 1 < text.length && !/[\s)]/.test(text[i + 1])) {
+            tokens.push({ type: 'NOT', position: i });
+            i++;
+            continue;
+        }
+        
+        const start = i;
+        let field = null;
+        // Only known field names start a field term; "re:" or a URL is plain text
+        const fieldMatch = /^([a-zA-Z]+):/.exec(text.slice(i));
+        if (fieldMatch && SEARCH_FIELD_ALIASES[fieldMatch[1].toLowerCase()]) {
+            field = fieldMatch[1].toLowerCase();
+            i += fieldMatch[0].length;
+        }
+        
+        let value;
+        let quoted = false;
+        if (text[i] === '"') {
+            const end = text.indexOf('"', i + 1);
+            if (end === -1) throw searchQueryError('Missing closing quote', i);
+            value = text.slice(i + 1, end);
+            quoted = true;
+            i = end + 1;
+        } else {
+            value = /^[^\s()"]*/.exec(text.slice(i))[0];
+            i += value.length;
+        }
+        
+        if (field !== null && value === '') {
+            throw searchQueryError(`'${field}:' needs a value`, start);
+        }
+        if (field === null && !quoted && ['AND', 'OR', 'NOT'].includes(value)) {
+            tokens.push({ type: value, position: start });
+        } else {
+            tokens.push({ type: 'TERM', field, value, quoted, position: start });
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Builds a test for "due:" values: today, tomorrow, overdue, week, none, any,
+ * relative windows (<7d, >2w, <12h) and dates with optional comparison (<=2026-10-20).
+ */
+function compileDueTerm(value, position) {
+    const startOfDay = date => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const due = t => t.dueDate ? new Date(t.dueDate) : null;
+    
+    const named = {
+        none: t => !t.dueDate,
+        any: t => !!t.dueDate,
+        today: SEARCH_IS_VALUES.today,
+        tomorrow: t => {
+            const tomorrow = new Date();
+            tomorrow.setDate(tomorrow.getDate() + 1);
+            return !!t.dueDate && due(t).toDateString() === tomorrow.toDateString();
+        },
+        overdue: SEARCH_IS_VALUES.overdue,
+        week: SEARCH_IS_VALUES.week
+    };
+    if (named[value]) return named[value];
+    
+    const relative = value.match(/^([<>]=?)?(\d+)([hdw])$/);
+    if (relative) {
+        const hours = parseInt(relative[2], 10) * { h: 1, d: 24, w: 168 }[relative[3]];
+        const op = relative[1] || '<';
+        return t => {
+            if (!t.dueDate) return false;
+            const limit = new Date(Date.now() + hours * 3600000);
+            return op.startsWith('<') ? due(t) <= limit : due(t) >= limit;
+        };
+    }
     
-    // Set the parent ID in the hidden field
-    document.getElementById('taskParentId').value = parentId;
+    const absolute = value.match(/^([<>]=?)?(\d{4})-(\d{2})-(\d{2})$/);
+    if (absolute) {
+        const dayStart = new Date(parseInt(absolute[2], 10), parseInt(absolute[3], 10) - 1, parseInt(absolute[4], 10));
+        const dayEnd = new Date(dayStart.getFullYear(), dayStart.getMonth(), dayStart.getDate() + 1);
+        const op = absolute[1] || '=';
+        return t => {
+            if (!t.dueDate) return false;
+            const date = due(t);
+            switch (op) {
+                case '<': return date < dayStart;
+                case '<=': return date < dayEnd;
+                case '>': return date >= dayEnd;
+                case '>=': return date >= dayStart;
+                default: return startOfDay(date).getTime() === dayStart.getTime();
+            }
+        };
+    }
     
-    // Update modal title
-    document.getElementById('modalTitle').textContent = `Add Subtask to: ${parentTask.title}`;
+    throw searchQueryError(`Unrecognised due date '${value}'. Try due:today, due:<7d or due:2026-10-20`, position);
+}
+
+/**
+ * Turns one term into a test function, rejecting unknown fields and values.
+ */
+function compileSearchTerm(token) {
+    const value = token.value.toLowerCase();
+    const textIncludes = text => !!text && text.toLowerCase().includes(value);
+    
+    if (token.field === null) {
+        // *** UPDATED: Bare words go through the full-text index (prefix and typo tolerant);
+        // quoted phrases and infix matches still use plain substring matching
+        const textMatch = t => textIncludes(t.title) || textIncludes(t.description) || (t.tags || []).some(textIncludes);
+        if (token.quoted) return textMatch;
+        const { scores } = searchIndexLookup(value);
+        return t => scores.has(t.id) || textMatch(t);
+    }
     
-    // Clear form
-    document.getElementById('taskForm').reset();
-    document.getElementById('taskId').value = '';
+    const field = SEARCH_FIELD_ALIASES[token.field];
+    const values = value.split(',').filter(v => v);
+    switch (field) {
+        case 'title':
+            return t => textIncludes(t.title);
+        case 'description':
+            return t => textIncludes(t.description);
+        case 'tag':
+            return t => (t.tags || []).some(textIncludes);
+        case 'priority': {
+            const invalid = values.find(v => !['urgent', 'high', 'medium', 'low'].includes(v));
+            if (invalid) throw searchQueryError(`Unknown priority '${invalid}'. Use urgent, high, medium or low`, token.position);
+            return t => values.includes(t.priority);
+        }
+        case 'category': {
+            const normalize = text => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+            const ids = values.map(v => {
+                const category = getCategories().find(c => normalize(c.id) === normalize(v) || normalize(c.name) === normalize(v));
+                if (!category) throw searchQueryError(`No category named '${v}'`, token.position);
+                return category.id;
+            });
+            return t => ids.includes(t.category);
+        }
+        case 'due':
+            return compileDueTerm(value, token.position);
+        case 'is':
+        case 'has': {
+            const table = field === 'is' ? SEARCH_IS_VALUES : SEARCH_HAS_VALUES;
+            const invalid = values.find(v => !table[v]);
+            if (invalid) throw searchQueryError(`Unknown ${field}: value '${invalid}'. Try ${Object.keys(table).join(', ')}`, token.position);
+            return t => values.some(v => table[v](t));
+        }
+        default:
+            throw searchQueryError(`Unknown field '${token.field}:'. Try title:, tag:, category:, priority:, due:, is: or has:`, token.position);
+    }
+}
+
+/**
+ * Compiles a search query.
+ * @param {string} text
+ * @returns {Object} - { test: (task) => boolean | null, highlights: string[], includesCompleted, error }
+ *                     `test` is null for an empty or malformed query; `error` has { message, position }.
+ */
+function compileSearchQuery(text) {
+    const result = { test: null, highlights: [], scores: new Map(), includesCompleted: false, error: null };
+    if (!text || !text.trim()) return result;
+    // *** NEW: Filtering, counts and highlighting all compile the same query during a render ***
+    if (searchIndex.queryCache.has(text)) return searchIndex.queryCache.get(text);
+    searchIndex.queryCache.set(text, result);
     
-    // Set default category and priority from parent
-    document.getElementById('taskCategory').value = parentTask.category;
-    document.getElementById('taskPriority').value = parentTask.priority;
+    try {
+        const tokens = tokenizeSearchQuery(text);
+        let index = 0;
+        const peek = () => tokens[index];
+        
+        // Recursive descent: or := and (OR and)* ; and := not (AND? not)* ; not := (NOT|-) not | primary
+        const parseOr = (negated) => {
+            const parts = [parseAnd(negated)];
+            while (peek() && peek().type === 'OR') {
+                index++;
+                parts.push(parseAnd(negated));
+            }
+            return parts.length === 1 ? parts[0] : t => parts.some(test => test(t));
+        };
+        const parseAnd = (negated) => {
+            const parts = [parseNot(negated)];
+            while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+                if (peek().type === 'AND') index++;
+                parts.push(parseNot(negated));
+            }
+            return parts.length === 1 ? parts[0] : t => parts.every(test => test(t));
+        };
+        const parseNot = (negated) => {
+            const token = peek();
+            if (!token) throw searchQueryError('Query ends too early', text.length);
+            if (token.type === 'NOT') {
+                index++;
+                const inner = parseNot(!negated);
+                return t => !inner(t);
+            }
+            if (token.type === '(') {
+                index++;
+                const inner = parseOr(negated);
+                if (!peek() || peek().type !== ')') throw searchQueryError('Missing closing parenthesis', token.position);
+                index++;
+                return inner;
+            }
+            if (token.type !== 'TERM') {
+                throw searchQueryError(`Unexpected '${token.type}'`, token.position);
+            }
+            
+            index++;
+            if (!negated) {
+                const field = SEARCH_FIELD_ALIASES[token.field];
+                if (token.field === null || ['title', 'description', 'tag'].includes(field)) {
+                    result.highlights.push(token.value);
+                }
+                // *** NEW: Relevance from the search index, plus the fuzzy matches to highlight ***
+                if (token.field === null && !token.quoted) {
+                    const lookup = searchIndexLookup(token.value.toLowerCase());
+                    lookup.scores.forEach((score, id) => result.scores.set(id, (result.scores.get(id) || 0) + score));
+                    result.highlights.push(...lookup.matchedTokens);
+                }
+                if (field === 'is' && /(^|,)(completed|done)(,|$)/.test(token.value.toLowerCase())) {
+                    result.includesCompleted = true;
+                }
+            }
+            return compileSearchTerm(token);
+        };
+        
+        const test = parseOr(false);
+        if (index < tokens.length) {
+            throw searchQueryError(`Unexpected '${tokens[index].type === 'TERM' ? tokens[index].value : tokens[index].type}'`, tokens[index].position);
+        }
+        result.test = test;
+    } catch (error) {
+        if (error.name !== 'SearchQueryError') throw error;
+        result.error = { message: error.message, position: error.position };
+        result.highlights = [];
+        result.scores = new Map();
+    }
     
-    // Show modal
-    document.getElementById('taskModal').classList.remove('hidden');
+    result.highlights = [...new Set(result.highlights.filter(term => term.trim()))];
+    return result;
 }
 
-// *** NEW: Toggle Task Completion ***
-function toggleTask(taskId) {
-    const task = tasks.find(t => t.id === taskId);
-    if (!task) return;
-    
-    const wasCompleted = task.completed;
-    task.completed = !task.completed;
+/**
+ * Shows or clears the inline hint under the search box for the current query.
+ */
+function updateSearchHint(query) {
+    const hint = document.getElementById('searchError');
+    if (!hint) return;
     
-    // Handle recurring tasks
-    if (task.completed && task.repeat) {
-        createNextRecurringTask(task);
+    if (query.error) {
+        hint.innerHTML = `<i class="fas fa-exclamation-circle"></i> ${escapeHtml(query.error.message)} (at character ${query.error.position + 1}). Showing results without the search until it's fixed.`;
+        hint.classList.remove('hidden');
+    } else {
+        hint.classList.add('hidden');
+        hint.innerHTML = '';
     }
+}
+
+/**
+ * Escapes text for HTML and wraps the current search terms in <mark>.
+ */
+function highlightSearchTerms(text) {
+    if (!text || searchHighlightTerms.length === 0) return escapeHtml(text);
     
-    saveToHistory(task.completed ? 'Completed task: ' + task.title : 'Uncompleted task: ' + task.title);
-    scheduleAutoSave();
-    renderTasks();
-    renderAISummary();
-    
-    showToast(task.completed ? 'Task marked as completed' : 'Task marked as incomplete', 'success');
-}
-
-// *** NEW: Create Next Recurring Task ***
-function createNextRecurringTask(completedTask) {
-    const nextDueDate = calculateNextDueDate(completedTask.dueDate, completedTask.repeatFrequency);
-    
-    const newTask = {
-        id: Date.now().toString(),
-        title: completedTask.title,
-        description: completedTask.description,
-        category: completedTask.category,
-        priority: completedTask.priority,
-        dueDate: nextDueDate,
-        reminder: completedTask.reminder,
-        repeat: completedTask.repeat,
-        repeatFrequency: completedTask.repeatFrequency,
-        tags: [...completedTask.tags],
-        parentId: completedTask.parentId,
-        completed: false,
-        createdAt: new Date().toISOString(),
-        order: completedTask.order
+    const pattern = new RegExp(`(${searchHighlightTerms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+    return text.split(pattern)
+        .map((part, index) => index % 2 === 1 ? `<mark class="search-highlight">${escapeHtml(part)}</mark>` : escapeHtml(part))
+        .join('');
+}
+
+/**
+ * The tasks the current view mode shows for a view state (unsorted).
+ */
+function getViewModeTasks(state) {
+    if (settings.viewMode === 'board') return getBoardTasks(state);
+    if (settings.viewMode === 'calendar') return getCalendarTasks(state);
+    return getFilteredTasks(state);
+}
+
+/**
+ * Search scores per task id; parents shown for context rank with their best-matching subtask.
+ */
+function getSearchRelevance(searchQuery) {
+    const relevance = new Map();
+    if (searchQuery.scores.size > 0) {
+        const tasksById = new Map(tasks.map(t => [t.id, t]));
+        searchQuery.scores.forEach((score, id) => {
+            let current = tasksById.get(id);
+            while (current) {
+                relevance.set(current.id, Math.max(relevance.get(current.id) || 0, score));
+                current = current.parentId ? tasksById.get(current.parentId) : null;
+            }
+        });
+    }
+    return relevance;
+}
+
+/**
+ * Sorts a task list in place the way the task list shows it: pending before completed, then by
+ * `sortBy`. The 'relevance' sort ranks text search matches by `relevance` (see getSearchRelevance),
+ * falling back to the default sort for ties and when nothing is being searched.
+ */
+function sortTaskList(taskList, sortBy, relevance = new Map()) {
+    const compareBy = (a, b, key) => {
+        switch (key) {
+            case 'relevance': {
+                const difference = (relevance.get(b.id) || 0) - (relevance.get(a.id) || 0);
+                return difference !== 0 ? difference : compareBy(a, b, DEFAULT_SORT);
+            }
+            case 'priority':
+                const priorityOrder = { urgent: 0, high: 1, medium: 2, low: 3 };
+                return priorityOrder[a.priority] - priorityOrder[b.priority];
+            case 'dueDate':
+                if (!a.dueDate && !b.dueDate) return 0;
+                if (!a.dueDate) return 1;
+                if (!b.dueDate) return -1;
+                return new Date(a.dueDate) - new Date(b.dueDate);
+            case 'title':
+                return a.title.localeCompare(b.title);
+            case 'order':
+            default:
+                return (a.order || 0) - (b.order || 0);
+        }
     };
     
-    tasks.push(newTask);
+    return taskList.sort((a, b) => {
+        // Always sort completed tasks below pending tasks
+        if (a.completed !== b.completed) {
+            return a.completed ? 1 : -1;
+        }
+        return compareBy(a, b, sortBy);
+    });
 }
 
-// *** NEW: Calculate Next Due Date for Recurring Tasks ***
-function calculateNextDueDate(currentDueDate, frequency) {
-    const dueDate = new Date(currentDueDate);
-    const nextDate = new Date(dueDate);
-    
-    switch (frequency) {
-        case 'daily':
-            nextDate.setDate(nextDate.getDate() + 1);
-            break;
-        case 'weekly':
-            nextDate.setDate(nextDate.getDate() + 7);
-            break;
-        case 'monthly':
-            nextDate.setMonth(nextDate.getMonth() + 1);
-            break;
-        case 'yearly':
-            nextDate.setFullYear(nextDate.getFullYear() + 1);
-            break;
-    }
+/**
+ * Starting a search switches the default sort to Relevance; clearing it switches back.
+ * Any other sort the user picked is left alone.
+ */
+function syncSortWithSearch() {
+    let sort = currentSort;
+    if (currentSearch && currentSort === DEFAULT_SORT) sort = 'relevance';
+    if (!currentSearch && currentSort === 'relevance') sort = DEFAULT_SORT;
+    if (sort === currentSort) return;
     
-    return nextDate.toISOString();
+    currentSort = sort;
+    const sortSelect = document.getElementById('sortSelect');
+    if (sortSelect) sortSelect.value = currentSort;
 }
-// *** NEW: Render individual task as table row ***
-function renderTaskTableRow(task) {
-    const isSelected = selectedTasks.has(task.id);
-    const priorityClass = `priority-${task.priority}`;
-    const categoryClass = `category-${task.category}`;
-    const dueDateClass = getDueDateClass(task.dueDate);
-    const dueDateFormatted = task.dueDate ? formatDate(task.dueDate) : 'No due date';
-    const indentLevel = task.level || 0;
-    const indentStyle = indentLevel > 0 ? `padding-left: ${indentLevel * 2}rem;` : '';
-    const isSubtask = indentLevel > 0;
+
+/**
+ * Applies a view's search, quick/priority filters and tab filter to the task list (unsorted).
+ * @param {Object} state - { filter, search, quickFilter, priorityFilter, sort }
+ */
+function getFilteredTasks(state) {
+    // *** UPDATED: Search text is a query (see compileSearchQuery); malformed queries don't filter ***
+    const query = compileSearchQuery(state.search);
+    const search = !!query.test;
+    let processedTasks = tasks;
     
-    return `
-        <tr class="task-row ${task.completed ? 'completed' : ''} ${isSelected ? 'selected' : ''} ${isSubtask ? 'subtask-row' : ''}" data-task-id="${task.id}">
-            <td>
-                <input type="checkbox" 
-                       class="task-checkbox-multi" 
-                       value="${task.id}"
-                       ${isSelected ? 'checked' : ''} 
-                       onchange="toggleTaskSelection('${task.id}', this.checked)">
-            </td>
-            <td style="${indentStyle}">
-                <div class="task-content-wrapper">
-                    <div class="task-title-section">
-                        ${isSubtask ? '<i class="fas fa-level-up-alt subtask-icon"></i>' : ''}
-                        <input type="checkbox" 
-                               class="task-complete-checkbox" 
-                               ${task.completed ? 'checked' : ''} 
-                               onchange="toggleTask('${task.id}')"
-                               title="Mark as completed">
-                        <div class="task-title ${task.completed ? 'completed-text' : ''}">${escapeHtml(task.title)}</div>
-                    </div>
-                    ${task.description ? `<div class="task-description">${escapeHtml(task.description)}</div>` : ''}
-                    ${task.tags && task.tags.length > 0 ? `
-                        <div class="task-tags">
-                            ${task.tags.map(tag => `<span class="task-tag">${escapeHtml(tag)}</span>`).join('')}
-                        </div>
-                    ` : ''}
-                    ${task.repeat ? `
-                        <div class="task-recurring-indicator">
-                            <i class="fas fa-redo"></i> Recurring (${capitalize(task.repeatFrequency)})
-                        </div>
-                    ` : ''}
-                </div>
-            </td>
-            <td>
-                <span class="category-badge ${categoryClass}">${capitalize(task.category)}</span>
-            </td>
-            <td>
-                <span class="priority-badge ${priorityClass}">${capitalize(task.priority)}</span>
-            </td>
-            <td>
-                <div class="due-date-cell ${dueDateClass}">${dueDateFormatted}</div>
-            </td>
-            <td>
-                <div class="task-actions">
-                    ${!isSubtask ? `
-                        <button class="task-action-btn" onclick="addSubtask('${task.id}')" title="Add Subtask">
-                            <i class="fas fa-plus-circle"></i>
-                        </button>
-                    ` : ''}
-                    <button class="task-action-btn" onclick="editTask('${task.id}')" title="Edit">
-                        <i class="fas fa-edit"></i>
-                    </button>
-                    <button class="task-action-btn" onclick="deleteTask('${task.id}')" title="Delete">
-                        <i class="fas fa-trash"></i>
-                    </button>
-                </div>
-            </td>
-        </tr>
+    // 1. Apply Search Filter
+    let searchedTaskIds = new Set();
+    if (search) {
+        const searchMatches = processedTasks.filter(query.test);
+        
+        // If a task matches, we need to show it *and* all its parents
+        const getParentIds = (task) => {
+            let ids = new Set();
+            let current = task;
+            while (current && current.parentId) {
+                ids.add(current.parentId);
+                current = tasks.find(t => t.id === current.parentId);
+            }
+            return ids;
+        };
+        
+        searchMatches.forEach(task => {
+            searchedTaskIds.add(task.id);
+            const parentIds = getParentIds(task);
+            parentIds.forEach(id => searchedTaskIds.add(id));
+        });
+        
+        processedTasks = processedTasks.filter(t => searchedTaskIds.has(t.id));
+    }
+
+    // 1.5. Apply Quick Filters (time-based and priority)
+    if (state.quickFilter || state.priorityFilter) {
+        processedTasks = processedTasks.filter(t => {
+            return matchesQuickFilter(t, state.quickFilter) && matchesPriorityFilter(t, state.priorityFilter);
+        });
+    }
+    
+   
+    
+    // 2. Apply Tab Filter (e.g., 'all', 'personal', 'completed')
+    let filteredTasks = [];
+    if (search) {
+        // If searching, use search results but exclude completed tasks unless in completed tab
+        // (or the query asks for them with is:completed)
+        filteredTasks = processedTasks;
+        if (state.filter !== 'completed' && !query.includesCompleted) {
+            filteredTasks = filteredTasks.filter(t => !t.completed);
+        }
+    } else if (state.filter === 'all') {
+        // *** UPDATED: In 'all' tab, hide completed tasks and show repetitive tasks only if due within 15 days ***
+        filteredTasks = processedTasks.filter(t => {
+            // Don't show completed tasks in main tabs
+            if (t.completed) return false;
+            
+            // For repetitive/recurring tasks, only show if due within 15 days
+            if (t.repeat) {
+                return isTaskDueWithin15Days(t);
+            }
+            
+            // Show all non-repetitive pending tasks
+            return true;
+        });
+    } else if (state.filter === 'completed') {
+        // Show all completed tasks (no filtering)
+        filteredTasks = processedTasks.filter(t => t.completed);
+    } else if (state.filter === 'recurring') {
+        // *** UPDATED: Recurring tab shows each series once, as its next pending occurrence ***
+        const nextBySeries = new Map();
+        processedTasks.filter(t => !t.completed && t.repeat).forEach(t => {
+            const key = t.seriesId || t.id;
+            const current = nextBySeries.get(key);
+            const dueTime = task => task.dueDate ? new Date(task.dueDate).getTime() : Infinity;
+            if (!current || dueTime(t) < dueTime(current)) {
+                nextBySeries.set(key, t);
+            }
+        });
+        filteredTasks = [...nextBySeries.values()];
+    } else {
+        // *** UPDATED: Category filters exclude completed tasks and apply 15-day horizon for repetitive tasks ***
+        filteredTasks = processedTasks.filter(t => {
+            // Only show tasks in the current category
+            if (t.category !== state.filter) return false;
+            
+            // Don't show completed tasks in category views
+            if (t.completed) return false;
+            
+            // For repetitive tasks, only show if due within 15 days
+            if (t.repeat) {
+                return isTaskDueWithin15Days(t);
+            }
+            
+            // Show all non-repetitive pending tasks in this category
+            return true;
+        });
+    }
+    
+    return filteredTasks;
+}
+
+// *** NEW: Fallback renderTasks function for old structure ***
+function renderTasksFallback() {
+    const container = document.getElementById('tasksContainer');
+    if (!container) {
+        console.error('Tasks container not found');
+        return;
+    }
+    
+    // Simple fallback - show a message about the new structure
+    container.innerHTML = `
+        <div style="text-align: center; padding: 2rem; color: var(--text-secondary);">
+            <i class="fas fa-exclamation-triangle" style="font-size: 2rem; margin-bottom: 1rem; display: block;"></i>
+            <h3>Table Structure Not Found</h3>
+            <p>Please refresh the page to load the new tabular layout.</p>
+        </div>
     `;
 }
 
-// *** NEW: Render pagination controls ***
-function renderPaginationControls() {
-    const paginationInfo = document.getElementById('paginationInfo');
-    const pageNumbers = document.getElementById('pageNumbers');
-    const prevBtn = document.getElementById('prevPageBtn');
-    const nextBtn = document.getElementById('nextPageBtn');
+// *** NEW: Add Subtask Function ***
+function addSubtask(parentId) {
+    const parentTask = tasks.find(t => t.id === parentId);
+    if (!parentTask) return;
     
-    // Update pagination info
-    const startItem = totalTasks === 0 ? 0 : (currentPage - 1) * pageSize + 1;
-    const endItem = Math.min(currentPage * pageSize, totalTasks);
-    paginationInfo.textContent = `Showing ${startItem}-${endItem} of ${totalTasks} tasks`;
+    // Set the parent ID in the hidden field
+    document.getElementById('taskParentId').value = parentId;
     
-    // Update page buttons
-    prevBtn.disabled = currentPage === 1;
-    nextBtn.disabled = currentPage === totalPages || totalPages === 0;
+    // Update modal title
+    document.getElementById('modalTitle').textContent = `Add Subtask to: ${parentTask.title}`;
     
-    // Generate page numbers
-    let pages = [];
-    const maxVisiblePages = 5;
+    // Clear form
+    document.getElementById('taskForm').reset();
+    document.getElementById('taskId').value = '';
     
-    if (totalPages <= maxVisiblePages) {
-        // Show all pages if total is small
-        for (let i = 1; i <= totalPages; i++) {
-            pages.push(i);
+    // Set default category and priority from parent
+    document.getElementById('taskCategory').value = parentTask.category;
+    document.getElementById('taskPriority').value = parentTask.priority;
+    populateRepeatForm(null);
+    toggleRepeatOptions();
+    populateBlockedByOptions(null, []);
+    
+
+    // Show modal
+    document.getElementById('taskModal').classList.remove('hidden');
+}
+
+// *** UPDATED: Single toggleTask for completion and recurrence ***
+function toggleTask(taskId) {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return;
+    
+    let message = '';
+    
+    if (!task.completed) {
+        stopTimeEntry(task); // *** NEW: Completing a task stops its timer
+        task.completed = true;
+        task.completedAt = new Date().toISOString();
+        message = 'Task marked as completed';
+        
+        if (task.repeat) {
+            const nextTask = createNextRecurringInstance(task);
+            if (nextTask) {
+                tasks.push(nextTask);
+                const skipped = nextTask.occurrence - (task.occurrence || 1) - 1;
+                message = nextTask.dueDate ?
+                    `Next occurrence of '${task.title}' is due ${formatDate(nextTask.dueDate)}` :
+                    `Next recurring task created for '${task.title}'`;
+                if (skipped > 0) {
+                    message += ` (skipped ${skipped} missed occurrence${skipped > 1 ? 's' : ''})`;
+                }
+            } else {
+                message = `'${task.title}' completed. This was the last occurrence.`;
+            }
         }
     } else {
-        // Show smart pagination
-        if (currentPage <= 3) {
-            pages = [1, 2, 3, 4, '...', totalPages];
-        } else if (currentPage >= totalPages - 2) {
-            pages = [1, '...', totalPages - 3, totalPages - 2, totalPages - 1, totalPages];
-        } else {
-            pages = [1, '...', currentPage - 1, currentPage, currentPage + 1, '...', totalPages];
+        task.completed = false;
+        task.completedAt = null;
+        message = 'Task marked as incomplete';
+        
+        if (task.repeat) {
+            const nextInstanceIndex = tasks.findIndex(t => t.previousInstanceId === task.id && !t.completed);
+            if (nextInstanceIndex > -1) {
+                tasks.splice(nextInstanceIndex, 1);
+                message = 'Task marked as incomplete. Next recurring instance removed.';
+            }
         }
     }
     
-    pageNumbers.innerHTML = pages.map(page => {
-        if (page === '...') {
-            return '<span class="page-number disabled">...</span>';
+    // *** NEW: Let the user know which tasks this one was holding up ***
+    if (task.completed) {
+        const unblocked = getDependentTasks(task.id).filter(t => !t.completed && !isTaskBlocked(t));
+        if (unblocked.length > 0) {
+            message = `${message.replace(/\.$/, '')}. Unblocked: ${unblocked.map(t => `'${t.title}'`).join(', ')}`;
         }
-        return `<button class="page-number ${page === currentPage ? 'active' : ''}" onclick="goToPage(${page})">${page}</button>`;
-    }).join('');
+    }
+    
+    saveToHistory(task.completed ? 'Completed task: ' + task.title : 'Uncompleted task: ' + task.title);
+    scheduleAutoSave();
+    renderTasks();
+    renderAISummary();
+    
+    showToast(message, 'success');
 }
 
-// *** NEW: Pagination navigation functions ***
-function goToPage(page) {
-    if (page >= 1 && page <= totalPages) {
-        currentPage = page;
-        renderTasks();
+// *** NEW: RRULE Recurrence Engine ***
+// Recurrence rules follow iCalendar RRULE syntax (RFC 5545), e.g.
+// "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR" or "FREQ=MONTHLY;BYDAY=-1FR;COUNT=6".
+// Supported parts: FREQ, INTERVAL, BYDAY (with ordinals), BYMONTHDAY, BYMONTH, UNTIL and COUNT.
+
+const RRULE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const RRULE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']; // Indexed like Date.getDay()
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MAX_RRULE_PERIODS = 1000; // Safety net for rules that can never match
+
+/**
+ * Parses an RRULE string into a rule object.
+ * @param {string} text - e.g. "FREQ=DAILY;INTERVAL=3" (an "RRULE:" prefix is allowed)
+ * @returns {Object} - { freq, interval, byDay: [{day, ordinal}], byMonthDay, byMonth, until, count }
+ */
+function parseRRule(text) {
+    if (!text || typeof text !== 'string') {
+        throw new Error('Recurrence rule is empty');
+    }
+    
+    const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], byMonth: [], until: null, count: null };
+    
+    text.trim().replace(/^RRULE:/i, '').split(';').filter(part => part).forEach(part => {
+        const [rawKey, rawValue = ''] = part.split('=');
+        const key = rawKey.trim().toUpperCase();
+        const value = rawValue.trim().toUpperCase();
+        
+        switch (key) {
+            case 'FREQ':
+                if (!RRULE_FREQUENCIES.includes(value)) {
+                    throw new Error(`Unsupported recurrence frequency: ${value}`);
+                }
+                rule.freq = value;
+                break;
+            case 'INTERVAL':
+                rule.interval = Math.max(1, parseInt(value, 10) || 1);
+                break;
+            case 'BYDAY':
+                rule.byDay = value.split(',').map(entry => {
+                    const match = entry.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+                    if (!match) throw new Error(`Invalid BYDAY value: ${entry}`);
+                    return { day: RRULE_WEEKDAYS.indexOf(match[2]), ordinal: match[1] ? parseInt(match[1], 10) : null };
+                });
+                break;
+            case 'BYMONTHDAY':
+                rule.byMonthDay = value.split(',').map(n => parseInt(n, 10)).filter(n => n && Math.abs(n) <= 31);
+                break;
+            case 'BYMONTH':
+                rule.byMonth = value.split(',').map(n => parseInt(n, 10)).filter(n => n >= 1 && n <= 12);
+                break;
+            case 'UNTIL':
+                if (!parseRRuleUntil(value)) throw new Error(`Invalid UNTIL value: ${value}`);
+                rule.until = value;
+                break;
+            case 'COUNT':
+                rule.count = Math.max(1, parseInt(value, 10) || 1);
+                break;
+            default:
+                // Ignore parts we don't support (WKST, BYSETPOS...) rather than rejecting the rule
+                break;
+        }
+    });
+    
+    if (!rule.freq) {
+        throw new Error('Recurrence rule is missing FREQ');
+    }
+    return rule;
+}
+
+/**
+ * Serializes a rule object back into a canonical RRULE string.
+ */
+function serializeRRule(rule) {
+    const parts = [`FREQ=${rule.freq}`];
+    if (rule.interval && rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byDay && rule.byDay.length > 0) {
+        parts.push('BYDAY=' + rule.byDay.map(d => `${d.ordinal || ''}${RRULE_WEEKDAYS[d.day]}`).join(','));
+    }
+    if (rule.byMonthDay && rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+    if (rule.byMonth && rule.byMonth.length > 0) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+    if (rule.until) parts.push(`UNTIL=${rule.until}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    return parts.join(';');
+}
+
+/**
+ * Converts the legacy repeatFrequency values (daily/weekly/monthly/yearly) to an RRULE.
+ */
+function frequencyToRRule(frequency) {
+    const freq = String(frequency || '').trim().toUpperCase();
+    return RRULE_FREQUENCIES.includes(freq) ? `FREQ=${freq}` : null;
+}
+
+/**
+ * Parses an RRULE UNTIL value. Date-only values include the whole day.
+ * @returns {Date|null}
+ */
+function parseRRuleUntil(value) {
+    const match = String(value).match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) return null;
+    
+    const [, y, m, d, hh, mm, ss, utc] = match;
+    if (!hh) {
+        return new Date(+y, +m - 1, +d, 23, 59, 59);
+    }
+    return utc ?
+        new Date(Date.UTC(+y, +m - 1, +d, +hh, +mm, +ss)) :
+        new Date(+y, +m - 1, +d, +hh, +mm, +ss);
+}
+
+/**
+ * Returns the candidate dates a rule produces inside one period
+ * (a day, a week starting Monday, a month or a year), at the time of day of `dtstart`.
+ */
+function getRRulePeriodCandidates(rule, periodStart, dtstart) {
+    const at = (y, m, d) => new Date(y, m, d, dtstart.getHours(), dtstart.getMinutes());
+    const daysInMonth = (y, m) => new Date(y, m + 1, 0).getDate();
+    
+    const monthCandidates = (y, m) => {
+        const lastDay = daysInMonth(y, m);
+        let days = [];
+        
+        if (rule.byDay.length > 0) {
+            rule.byDay.forEach(({ day, ordinal }) => {
+                const matching = [];
+                for (let d = 1; d <= lastDay; d++) {
+                    if (new Date(y, m, d).getDay() === day) matching.push(d);
+                }
+                if (ordinal) {
+                    const picked = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+                    if (picked) days.push(picked);
+                } else {
+                    days.push(...matching);
+                }
+            });
+            if (rule.byMonthDay.length > 0) {
+                const monthDays = rule.byMonthDay.map(n => n > 0 ? n : lastDay + n + 1);
+                days = days.filter(d => monthDays.includes(d));
+            }
+        } else if (rule.byMonthDay.length > 0) {
+            days = rule.byMonthDay.map(n => n > 0 ? n : lastDay + n + 1);
+        } else {
+            days = [dtstart.getDate()];
+        }
+        
+        // Days that don't exist in this month (e.g. the 31st) are skipped, as RFC 5545 requires
+        return days.filter(d => d >= 1 && d <= lastDay).map(d => at(y, m, d));
+    };
+    
+    let candidates = [];
+    const y = periodStart.getFullYear();
+    const m = periodStart.getMonth();
+    
+    switch (rule.freq) {
+        case 'DAILY': {
+            const day = at(y, m, periodStart.getDate());
+            const dayMatches = rule.byDay.length === 0 || rule.byDay.some(d => d.day === day.getDay());
+            const monthDayMatches = rule.byMonthDay.length === 0 || rule.byMonthDay.includes(day.getDate());
+            if (dayMatches && monthDayMatches) candidates.push(day);
+            break;
+        }
+        case 'WEEKLY': {
+            const weekdays = rule.byDay.length > 0 ? rule.byDay.map(d => d.day) : [dtstart.getDay()];
+            for (let i = 0; i < 7; i++) {
+                const day = at(y, m, periodStart.getDate() + i);
+                if (weekdays.includes(day.getDay())) candidates.push(day);
+            }
+            break;
+        }
+        case 'MONTHLY':
+            candidates = monthCandidates(y, m);
+            break;
+        case 'YEARLY': {
+            const months = rule.byMonth.length > 0 ? rule.byMonth.map(n => n - 1) : [dtstart.getMonth()];
+            months.forEach(month => candidates.push(...monthCandidates(y, month)));
+            break;
+        }
+    }
+    
+    if (rule.byMonth.length > 0 && rule.freq !== 'YEARLY') {
+        candidates = candidates.filter(c => rule.byMonth.includes(c.getMonth() + 1));
+    }
+    return candidates.sort((a, b) => a - b);
+}
+
+/**
+ * Returns the start of the period `index` periods after the one containing `dtstart`.
+ */
+function getRRulePeriodStart(rule, dtstart, index) {
+    const y = dtstart.getFullYear();
+    const m = dtstart.getMonth();
+    const d = dtstart.getDate();
+    
+    switch (rule.freq) {
+        case 'DAILY':
+            return new Date(y, m, d + index);
+        case 'WEEKLY': {
+            const mondayOffset = (dtstart.getDay() + 6) % 7;
+            return new Date(y, m, d - mondayOffset + index * 7);
+        }
+        case 'MONTHLY':
+            return new Date(y, m + index, 1);
+        case 'YEARLY':
+            return new Date(y + index, 0, 1);
+    }
+}
+
+/**
+ * Counts whole periods between the period containing `dtstart` and the one containing `date`.
+ */
+function getRRulePeriodIndex(rule, dtstart, date) {
+    switch (rule.freq) {
+        case 'DAILY': {
+            const start = new Date(dtstart.getFullYear(), dtstart.getMonth(), dtstart.getDate());
+            const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+            return Math.round((day - start) / (24 * 60 * 60 * 1000));
+        }
+        case 'WEEKLY': {
+            const startWeek = getRRulePeriodStart(rule, dtstart, 0);
+            const dateWeek = getRRulePeriodStart(rule, date, 0);
+            return Math.round((dateWeek - startWeek) / (7 * 24 * 60 * 60 * 1000));
+        }
+        case 'MONTHLY':
+            return (date.getFullYear() - dtstart.getFullYear()) * 12 + (date.getMonth() - dtstart.getMonth());
+        case 'YEARLY':
+            return date.getFullYear() - dtstart.getFullYear();
+    }
+}
+
+/**
+ * Finds the first occurrence of a rule strictly after `after`.
+ * Occurrences are laid out on the grid anchored at `dtstart` (INTERVAL counts from there).
+ * COUNT is not applied here; callers track how many occurrences already exist.
+ * @param {Object} rule - Parsed rule from parseRRule()
+ * @param {Date} dtstart - First occurrence of the series
+ * @param {Date} [after=dtstart] - Find the next occurrence after this moment
+ * @returns {Date|null} - Null when the rule has ended (UNTIL) or never matches
+ */
+function getNextOccurrence(rule, dtstart, after = dtstart) {
+    const until = rule.until ? parseRRuleUntil(rule.until) : null;
+    const interval = rule.interval || 1;
+    
+    // Start from the interval-aligned period that contains `after`
+    const afterIndex = Math.max(0, getRRulePeriodIndex(rule, dtstart, after));
+    let index = afterIndex - (afterIndex % interval);
+    
+    for (let i = 0; i < MAX_RRULE_PERIODS; i++, index += interval) {
+        const periodStart = getRRulePeriodStart(rule, dtstart, index);
+        if (until && periodStart > until) return null;
+        
+        const next = getRRulePeriodCandidates(rule, periodStart, dtstart)
+            .find(candidate => candidate > after && candidate >= dtstart);
+        if (next) {
+            return until && next > until ? null : next;
+        }
+    }
+    return null;
+}
+
+/**
+ * Builds a human-readable summary of an RRULE, e.g. "Every 2 weeks on Mon, Fri, 10 times".
+ */
+function describeRRule(text) {
+    let rule;
+    try {
+        rule = parseRRule(text);
+    } catch (e) {
+        return 'Custom';
+    }
+    
+    const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+    const adverbs = { DAILY: 'Daily', WEEKLY: 'Weekly', MONTHLY: 'Monthly', YEARLY: 'Yearly' };
+    let summary = rule.interval > 1 ? `Every ${rule.interval} ${units[rule.freq]}s` : adverbs[rule.freq];
+    
+    if (rule.byDay.length > 0) {
+        const days = rule.byDay.map(({ day, ordinal }) =>
+            ordinal ? `the ${formatOrdinal(ordinal)} ${WEEKDAY_NAMES[day]}` : WEEKDAY_NAMES[day].slice(0, 3));
+        summary += ` on ${days.join(', ')}`;
+    }
+    if (rule.byMonthDay.length > 0) {
+        summary += ` on day ${rule.byMonthDay.map(n => n === -1 ? 'last' : n).join(', ')}`;
+    }
+    if (rule.until) {
+        summary += `, until ${parseRRuleUntil(rule.until).toLocaleDateString()}`;
+    }
+    if (rule.count) {
+        summary += `, ${rule.count} time${rule.count > 1 ? 's' : ''}`;
+    }
+    return summary;
+}
+
+/**
+ * Formats a BYDAY ordinal: 1 -> "1st", 2 -> "2nd", -1 -> "last", -2 -> "2nd-to-last".
+ */
+function formatOrdinal(n) {
+    if (n === -1) return 'last';
+    if (n < 0) return `${formatOrdinal(-n)}-to-last`;
+    if (n % 100 >= 11 && n % 100 <= 13) return `${n}th`;
+    return n + ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+}
+
+/**
+ * Formats a Date as a datetime-local input value (YYYY-MM-DDTHH:mm in local time).
+ */
+function toDateTimeLocalValue(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Creates the next instance of a recurring task, or returns null when the
+ * series has ended (COUNT reached or UNTIL passed). This is the only place
+ * new occurrences are generated.
+ * @param {Object} task - The occurrence being completed
+ * @returns {Object|null}
+ */
+function createNextRecurringInstance(occurrenceTask) {
+    // One-off edits to this occurrence don't carry over to the next one
+    const task = getSeriesTemplate(occurrenceTask);
+    let rule;
+    try {
+        rule = parseRRule(task.rrule);
+    } catch (e) {
+        console.error(`Invalid recurrence rule on task ${task.id}:`, e);
+        return null;
+    }
+    
+    const occurrence = task.occurrence || 1;
+    if (rule.count && occurrence >= rule.count) return null;
+    
+    let dueDate = null;
+    // Relative reminders follow the new due date by themselves
+    let reminders = (task.reminders || []).filter(reminder => reminder.type === 'relative');
+    let nextOccurrence = occurrence + 1;
+    const fromCompletion = task.recurrenceBasis === 'completion' && task.completedAt;
+    
+    if (task.dueDate || fromCompletion) {
+        const currentDue = task.dueDate ? new Date(task.dueDate) : new Date(task.completedAt);
+        let dtstart = currentDue;
+        
+        if (fromCompletion) {
+            // Re-anchor the series on the completion day, keeping the usual time of day
+            const completed = new Date(task.completedAt);
+            dtstart = new Date(completed.getFullYear(), completed.getMonth(), completed.getDate(),
+                currentDue.getHours(), currentDue.getMinutes());
+        }
+        
+        let nextDue = getNextOccurrence(rule, dtstart);
+        
+        // Jump over occurrences that are already in the past; they still count towards COUNT
+        if (task.skipMissed) {
+            const now = new Date();
+            while (nextDue && nextDue < now && !(rule.count && nextOccurrence >= rule.count)) {
+                nextDue = getNextOccurrence(rule, dtstart, nextDue);
+                nextOccurrence++;
+            }
+        }
+        if (!nextDue) return null;
+        dueDate = toDateTimeLocalValue(nextDue);
+        
+        // Fixed-time reminders keep their distance from the due date
+        if (task.dueDate) {
+            reminders = (task.reminders || []).map(reminder => reminder.type === 'absolute'
+                ? { ...reminder, at: toDateTimeLocalValue(new Date(new Date(reminder.at).getTime() + (nextDue - currentDue))) }
+                : reminder);
+        }
+    }
+    
+    const now = Date.now();
+    return {
+        ...task,
+        id: now.toString(),
+        dueDate,
+        reminders,
+        tags: [...task.tags],
+        timeEntries: [], // Each occurrence tracks its own time
+        workflowState: null, // Each occurrence starts at the beginning of the workflow
+        completed: false,
+        completedAt: null,
+        createdAt: new Date(now).toISOString(),
+        previousInstanceId: task.id,
+        seriesId: task.seriesId || task.id,
+        seriesDefaults: null,
+        occurrence: nextOccurrence,
+        order: now
+        // Note: We keep the parentId if it was a recurring subtask
+    };
+}
+
+// *** NEW: Recurrence editor in the task modal ***
+
+// The rule the repeat controls were last filled from, and what the controls make of it.
+// Imported rules can say more than the controls do (BYMONTHDAY=1,15, DAILY with BYDAY...),
+// so they are kept as they are until the controls are changed.
+let repeatFormRule = { rrule: null, formRule: null };
+
+/**
+ * Builds an RRULE string from the repeat controls in the task modal.
+ */
+function buildRRuleFromForm() {
+    const freq = document.getElementById('repeatFrequency').value;
+    const rule = {
+        freq,
+        interval: parseInt(document.getElementById('repeatInterval').value, 10) || 1,
+        byDay: [],
+        byMonthDay: [],
+        byMonth: [],
+        until: null,
+        count: null
+    };
+    
+    if (freq === 'WEEKLY') {
+        rule.byDay = [...document.querySelectorAll('input[name="repeatWeekday"]:checked')]
+            .map(cb => ({ day: RRULE_WEEKDAYS.indexOf(cb.value), ordinal: null }));
+    } else if (freq === 'MONTHLY') {
+        const mode = document.getElementById('repeatMonthlyMode').value;
+        const anchor = getRepeatAnchorDate();
+        if (mode === 'weekday') {
+            rule.byDay = [{ day: anchor.getDay(), ordinal: Math.ceil(anchor.getDate() / 7) }];
+        } else if (mode === 'last-weekday') {
+            rule.byDay = [{ day: anchor.getDay(), ordinal: -1 }];
+        } else if (mode === 'last-day') {
+            rule.byMonthDay = [-1];
+        }
+    }
+    
+    const ends = document.getElementById('repeatEnds').value;
+    if (ends === 'until') {
+        const untilValue = document.getElementById('repeatUntil').value; // YYYY-MM-DD
+        if (untilValue) rule.until = untilValue.replace(/-/g, '');
+    } else if (ends === 'count') {
+        rule.count = Math.max(1, parseInt(document.getElementById('repeatCount').value, 10) || 1);
+    }
+    
+    return serializeRRule(rule);
+}
+
+/**
+ * Fills the repeat controls from an RRULE string (or resets them when empty).
+ * @param {string|null} rruleText
+ * @param {string} [basis='schedule'] - 'schedule' or 'completion'
+ * @param {boolean} [skipMissed=false]
+ */
+function populateRepeatForm(rruleText, basis = 'schedule', skipMissed = false) {
+    let rule = null;
+    try {
+        rule = rruleText ? parseRRule(rruleText) : null;
+    } catch (e) {
+        console.warn('Could not parse recurrence rule:', rruleText, e);
+    }
+    
+    document.getElementById('repeatFrequency').value = rule ? rule.freq : 'DAILY';
+    document.getElementById('repeatInterval').value = rule ? rule.interval : 1;
+    
+    const weekdays = rule && rule.freq === 'WEEKLY' ? rule.byDay.map(d => RRULE_WEEKDAYS[d.day]) : [];
+    document.querySelectorAll('input[name="repeatWeekday"]').forEach(cb => {
+        cb.checked = weekdays.includes(cb.value);
+    });
+    
+    let monthlyMode = 'monthday';
+    if (rule && rule.freq === 'MONTHLY') {
+        if (rule.byMonthDay.includes(-1)) monthlyMode = 'last-day';
+        else if (rule.byDay.some(d => d.ordinal === -1)) monthlyMode = 'last-weekday';
+        else if (rule.byDay.some(d => d.ordinal)) monthlyMode = 'weekday';
+    }
+    document.getElementById('repeatMonthlyMode').value = monthlyMode;
+    
+    const untilDate = rule && rule.until ? parseRRuleUntil(rule.until) : null;
+    document.getElementById('repeatEnds').value = untilDate ? 'until' : (rule && rule.count ? 'count' : 'never');
+    document.getElementById('repeatUntil').value = untilDate ? toDateTimeLocalValue(untilDate).slice(0, 10) : '';
+    document.getElementById('repeatCount').value = rule && rule.count ? rule.count : 10;
+    document.getElementById('repeatBasis').value = basis;
+    document.getElementById('repeatSkipMissed').checked = skipMissed;
+    
+    repeatFormRule = { rrule: rule ? rruleText : null, formRule: buildRRuleFromForm() };
+    updateRepeatOptionsUI();
+}
+
+/**
+ * The rule to save for the repeat controls: the loaded rule while they still show it,
+ * otherwise one built from the controls.
+ */
+function getRepeatRuleFromForm() {
+    const formRule = buildRRuleFromForm();
+    return repeatFormRule.rrule && formRule === repeatFormRule.formRule ? repeatFormRule.rrule : formRule;
+}
+
+/**
+ * The due date anchors weekday-based monthly rules; fall back to today when unset.
+ */
+function getRepeatAnchorDate() {
+    const dueValue = document.getElementById('taskDueDate').value;
+    return dueValue ? new Date(dueValue) : new Date();
+}
+
+/**
+ * Shows the controls relevant to the chosen frequency and refreshes the summary line.
+ */
+function updateRepeatOptionsUI() {
+    const freq = document.getElementById('repeatFrequency').value;
+    const ends = document.getElementById('repeatEnds').value;
+    
+    document.getElementById('repeatWeekdays').classList.toggle('hidden', freq !== 'WEEKLY');
+    document.getElementById('repeatMonthlyOptions').classList.toggle('hidden', freq !== 'MONTHLY');
+    document.getElementById('repeatUntilGroup').classList.toggle('hidden', ends !== 'until');
+    document.getElementById('repeatCountGroup').classList.toggle('hidden', ends !== 'count');
+    
+    // Label the weekday-based monthly options with the actual day, e.g. "2nd Tuesday"
+    const anchor = getRepeatAnchorDate();
+    const weekdayName = WEEKDAY_NAMES[anchor.getDay()];
+    const monthlyMode = document.getElementById('repeatMonthlyMode');
+    monthlyMode.querySelector('option[value="monthday"]').textContent = `On day ${anchor.getDate()}`;
+    monthlyMode.querySelector('option[value="weekday"]').textContent = `On the ${formatOrdinal(Math.ceil(anchor.getDate() / 7))} ${weekdayName}`;
+    monthlyMode.querySelector('option[value="last-weekday"]').textContent = `On the last ${weekdayName}`;
+    
+    const summary = document.getElementById('repeatSummary');
+    if (summary) {
+        summary.textContent = describeRRule(getRepeatRuleFromForm());
+    }
+}
+
+// *** NEW: Reminders editor in the task modal ***
+
+function renderReminderRow(reminder) {
+    const remove = `
+        <button type="button" class="task-action-btn" onclick="this.closest('.reminder-row').remove(); updateReminderHint()" title="Remove reminder">
+            <i class="fas fa-times"></i>
+        </button>`;
+    if (reminder.type === 'absolute') {
+        return `
+            <div class="reminder-row" data-type="absolute">
+                <input type="datetime-local" class="form-control reminder-at" value="${escapeHtml(reminder.at || '')}" aria-label="Remind at">
+                ${remove}
+            </div>`;
+    }
+    const [, size] = getReminderUnit(reminder.minutesBefore);
+    return `
+        <div class="reminder-row" data-type="relative">
+            <input type="number" min="0" class="form-control reminder-amount" value="${reminder.minutesBefore / size}" aria-label="Remind this long before the due date" oninput="updateReminderHint()">
+            <select class="form-control reminder-unit" aria-label="Unit">
+                ${REMINDER_UNITS.map(([name, minutes]) => `<option value="${minutes}" ${minutes === size ? 'selected' : ''}>${capitalize(name)}s</option>`).join('')}
+            </select>
+            <span>before due</span>
+            ${remove}
+        </div>`;
+}
+
+/**
+ * Fills the reminders editor with one row per reminder.
+ */
+function renderReminderRows(reminders) {
+    document.getElementById('taskReminders').innerHTML = reminders.map(renderReminderRow).join('');
+    updateReminderHint();
+}
+
+/**
+ * Adds an empty row: a relative one starts at the settings default, a fixed one at the due date.
+ * @param {'relative'|'absolute'} type
+ */
+function addReminderRow(type) {
+    const reminder = type === 'absolute'
+        ? { type, at: document.getElementById('taskDueDate').value }
+        : { type, minutesBefore: (getDefaultReminders()[0] || { minutesBefore: 60 }).minutesBefore };
+    const container = document.getElementById('taskReminders');
+    container.insertAdjacentHTML('beforeend', renderReminderRow(reminder));
+    container.lastElementChild.querySelector('input').focus();
+    updateReminderHint();
+}
+
+/**
+ * The reminders in the editor, leaving out rows that were left empty.
+ */
+function readReminderRows() {
+    return Array.from(document.querySelectorAll('#taskReminders .reminder-row')).map(row => {
+        if (row.dataset.type === 'absolute') {
+            const at = row.querySelector('.reminder-at').value;
+            return at ? { type: 'absolute', at } : null;
+        }
+        const amount = parseFloat(row.querySelector('.reminder-amount').value);
+        const unit = Number(row.querySelector('.reminder-unit').value);
+        return amount >= 0 ? { type: 'relative', minutesBefore: Math.round(amount * unit) } : null;
+    }).filter(reminder => reminder);
+}
+
+/**
+ * Points out that reminders before the due date wait for one to be set.
+ */
+function updateReminderHint() {
+    const waiting = !document.getElementById('taskDueDate').value &&
+        document.querySelector('#taskReminders .reminder-row[data-type="relative"]');
+    document.getElementById('reminderHint').classList.toggle('hidden', !waiting);
+}
+
+// *** NEW: Render individual task as table row ***
+function renderTaskTableRow(task) {
+    const isSelected = selectedTasks.has(task.id);
+    const priorityClass = `priority-${task.priority}`;
+    const dueDateClass = getDueDateClass(task.dueDate);
+    const dueDateFormatted = task.dueDate ? formatDate(task.dueDate) : 'No due date';
+    const indentLevel = task.level || 0;
+    const indentStyle = indentLevel > 0 ? `padding-left: ${indentLevel * 2}rem;` : '';
+    const isSubtask = indentLevel > 0;
+    const seriesStats = task.repeat && task.seriesId ? getSeriesStats(task.seriesId) : null;
+    const blockingTasks = task.completed ? [] : getBlockingTasks(task); // *** NEW
+    const timeRollup = getTimeRollup(task); // *** NEW
+    const timerRunning = isTimerRunning(task);
+    
+    return `
+        <tr class="task-row ${task.completed ? 'completed' : ''} ${isSelected ? 'selected' : ''} ${isSubtask ? 'subtask-row' : ''} ${blockingTasks.length > 0 ? 'blocked' : ''}" data-task-id="${task.id}">
+            <td>
+                <input type="checkbox" 
+                       class="task-checkbox-multi" 
+                       value="${task.id}"
+                       ${isSelected ? 'checked' : ''} 
+                       onchange="toggleTaskSelection('${task.id}', this.checked)">
+            </td>
+            <td style="${indentStyle}">
+                <div class="task-content-wrapper">
+                    <div class="task-title-section">
+                        ${isSubtask ? '<i class="fas fa-level-up-alt subtask-icon"></i>' : ''}
+                        <input type="checkbox" 
+                               class="task-complete-checkbox" 
+                               ${task.completed ? 'checked' : ''} 
+                               onchange="toggleTask('${task.id}')"
+                               title="Mark as completed">
+                        <div class="task-title ${task.completed ? 'completed-text' : ''}">${highlightSearchTerms(task.title)}</div>
+                    </div>
+                    ${task.description ? `<div class="task-description">${highlightSearchTerms(task.description)}</div>` : ''}
+                    ${task.tags && task.tags.length > 0 ? `
+                        <div class="task-tags">
+                            ${task.tags.map(tag => `<span class="task-tag">${highlightSearchTerms(tag)}</span>`).join('')}
+                        </div>
+                    ` : ''}
+                    ${task.repeat ? `
+                        <div class="task-recurring-indicator">
+                            <i class="fas fa-redo"></i> Recurring (${escapeHtml(describeRRule(task.rrule))}${task.recurrenceBasis === 'completion' ? ', after completion' : ''})
+                            ${seriesStats && seriesStats.completedCount > 0 ? ` · ${seriesStats.completedCount} done` : ''}
+                            ${seriesStats && seriesStats.streak > 1 ? ` · <i class="fas fa-fire"></i> ${seriesStats.streak} streak` : ''}
+                        </div>
+                    ` : ''}
+                    ${blockingTasks.length > 0 ? `
+                        <div class="task-blocked-indicator">
+                            <i class="fas fa-lock"></i> Blocked by ${blockingTasks.map(t => escapeHtml(t.title)).join(', ')}
+                        </div>
+                    ` : ''}
+                    ${timeRollup.trackedMinutes > 0 || timeRollup.estimateMinutes ? `
+                        <div class="task-time-indicator ${timerRunning ? 'running' : ''} ${timeRollup.estimateMinutes && timeRollup.trackedMinutes > timeRollup.estimateMinutes ? 'over-estimate' : ''}" data-task-id="${task.id}">
+                            <i class="fas fa-clock"></i>
+                            <span class="task-time-tracked">${formatDuration(timeRollup.trackedMinutes)}</span>
+                            ${timeRollup.estimateMinutes ? ` / ${formatDuration(timeRollup.estimateMinutes)} est.` : ''}
+                            ${timeRollup.includesSubtasks ? ' (incl. subtasks)' : ''}
+                        </div>
+                    ` : ''}
+                </div>
+            </td>
+            <td>
+                ${renderCategoryBadge(task.category)}
+            </td>
+            <td>
+                <span class="priority-badge ${priorityClass}">${capitalize(task.priority)}</span>
+            </td>
+            <td>
+                <div class="due-date-cell ${dueDateClass}">${dueDateFormatted}</div>
+            </td>
+            <td>
+                <div class="task-actions">
+                    ${!isSubtask ? `
+                        <button class="task-action-btn" onclick="addSubtask('${task.id}')" title="Add Subtask">
+                            <i class="fas fa-plus-circle"></i>
+                        </button>
+                    ` : ''}
+                    ${task.seriesId ? `
+                        <button class="task-action-btn" onclick="showSeriesHistory('${task.seriesId}')" title="Series History">
+                            <i class="fas fa-history"></i>
+                        </button>
+                    ` : ''}
+                    ${!task.completed ? `
+                        <button class="task-action-btn timer-btn ${timerRunning ? 'running' : ''}" onclick="toggleTimer('${task.id}')" title="${timerRunning ? 'Stop Timer' : 'Start Timer'}">
+                            <i class="fas fa-${timerRunning ? 'stop' : 'play'}"></i>
+                        </button>
+                    ` : ''}
+                    <button class="task-action-btn" onclick="editTask('${task.id}')" title="Edit">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="task-action-btn" onclick="deleteTask('${task.id}')" title="Delete">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </td>
+        </tr>
+    `;
+}
+
+// *** NEW: Board View ***
+// A Kanban-style alternative to the table. It shows the same filtered, sorted tasks as cards in
+// columns grouped by status, priority, category or workflow state; dropping a card on another
+// column sets that field on the task.
+
+function getWorkflowStates() {
+    const states = settings.workflowStates || [];
+    return states.length > 0 ? states : DEFAULT_WORKFLOW_STATES;
+}
+
+/**
+ * Returns the tasks for the board: the current view, plus its completed tasks when grouping
+ * by status (other tabs hide completed tasks, but the status board needs them for Done).
+ */
+function getBoardTasks(viewState) {
+    const boardTasks = getFilteredTasks(viewState);
+    if (settings.boardGroupBy !== 'status' || viewState.filter === 'completed') {
+        return boardTasks;
+    }
+    
+    const completedTasks = getFilteredTasks({ ...viewState, filter: 'completed' }).filter(t => {
+        if (!t.completed) return false;
+        if (viewState.filter === 'recurring') return t.repeat;
+        if (viewState.filter !== 'all') return t.category === viewState.filter;
+        return true;
+    });
+    return [...boardTasks, ...completedTasks];
+}
+
+/**
+ * The column a task belongs to for a given grouping.
+ */
+function getBoardColumnValue(task, groupBy) {
+    switch (groupBy) {
+        case 'priority':
+            return task.priority;
+        case 'category':
+            return task.category;
+        case 'workflow': {
+            // Tasks without a state (or whose state was removed) start in the first column
+            const states = getWorkflowStates();
+            return states.includes(task.workflowState) ? task.workflowState : states[0];
+        }
+        case 'status':
+        default:
+            return task.completed ? 'completed' : 'pending';
+    }
+}
+
+/**
+ * @returns {Array} - [{ value, label, color }] in display order
+ */
+function getBoardColumns(groupBy, boardTasks) {
+    let columns;
+    switch (groupBy) {
+        case 'priority':
+            columns = ['urgent', 'high', 'medium', 'low'].map(p => ({ value: p, label: capitalize(p) }));
+            break;
+        case 'category':
+            columns = getCategories().map(c => ({ value: c.id, label: c.name, color: c.color }));
+            break;
+        case 'workflow':
+            columns = getWorkflowStates().map(state => ({ value: state, label: state }));
+            break;
+        case 'status':
+        default:
+            columns = [{ value: 'pending', label: 'To Do' }, { value: 'completed', label: 'Done' }];
+    }
+    
+    // Values no column covers (e.g. a category from an old import) still get a column
+    boardTasks.forEach(task => {
+        const value = getBoardColumnValue(task, groupBy);
+        if (value && !columns.some(c => c.value === value)) {
+            const category = getCategory(value);
+            columns.push(groupBy === 'category' ?
+                { value, label: category.name, color: category.color } :
+                { value, label: capitalize(value) });
+        }
+    });
+    return columns;
+}
+
+function renderBoard(boardTasks) {
+    const container = document.getElementById('boardContainer');
+    if (!container) return;
+    
+    const groupBy = settings.boardGroupBy;
+    const columns = getBoardColumns(groupBy, boardTasks);
+    
+    container.innerHTML = columns.map(column => {
+        const columnTasks = boardTasks.filter(t => getBoardColumnValue(t, groupBy) === column.value);
+        const value = escapeHtml(column.value);
+        return `
+            <div class="board-column" data-value="${value}"
+                 ondragover="handleBoardDragOver(event)" ondragleave="handleBoardDragLeave(event)" ondrop="handleBoardDrop(event)">
+                <div class="board-column-header" ${column.color ? `style="border-top-color: ${column.color};"` : ''}>
+                    <span class="board-column-title">${escapeHtml(column.label)}</span>
+                    <span class="board-column-count">${columnTasks.length}</span>
+                </div>
+                <div class="board-column-cards">
+                    ${columnTasks.length > 0 ?
+                        columnTasks.map(task => renderBoardCard(task, groupBy)).join('') :
+                        '<div class="board-column-empty">Drop tasks here</div>'}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function renderBoardCard(task, groupBy) {
+    const blockingTasks = task.completed ? [] : getBlockingTasks(task);
+    const parent = task.parentId ? tasks.find(t => t.id === task.parentId) : null;
+    
+    return `
+        <div class="board-card ${task.completed ? 'completed' : ''} ${blockingTasks.length > 0 ? 'blocked' : ''}"
+             draggable="true" data-task-id="${task.id}"
+             ondragstart="handleBoardDragStart(event)" ondragend="handleBoardDragEnd(event)">
+            <div class="board-card-header">
+                <input type="checkbox" 
+                       class="task-complete-checkbox" 
+                       ${task.completed ? 'checked' : ''} 
+                       onchange="toggleTask('${task.id}')"
+                       title="Mark as completed">
+                <div class="board-card-title ${task.completed ? 'completed-text' : ''}">${highlightSearchTerms(task.title)}</div>
+                <button class="task-action-btn" onclick="editTask('${task.id}')" title="Edit">
+                    <i class="fas fa-edit"></i>
+                </button>
+            </div>
+            ${parent ? `<div class="board-card-parent"><i class="fas fa-level-up-alt"></i> ${escapeHtml(parent.title)}</div>` : ''}
+            <div class="board-card-meta">
+                ${groupBy !== 'priority' ? `<span class="priority-badge priority-${task.priority}">${capitalize(task.priority)}</span>` : ''}
+                ${groupBy !== 'category' ? renderCategoryBadge(task.category) : ''}
+                ${task.dueDate ? `<span class="board-card-due ${getDueDateClass(task.dueDate)}"><i class="far fa-calendar"></i> ${formatDate(task.dueDate)}</span>` : ''}
+                ${task.repeat ? '<i class="fas fa-redo board-card-icon" title="Recurring"></i>' : ''}
+                ${blockingTasks.length > 0 ? `<i class="fas fa-lock board-card-icon blocked" title="Blocked by ${escapeHtml(blockingTasks.map(t => t.title).join(', '))}"></i>` : ''}
+            </div>
+            ${task.tags && task.tags.length > 0 ? `
+                <div class="task-tags">
+                    ${task.tags.map(tag => `<span class="task-tag">${highlightSearchTerms(tag)}</span>`).join('')}
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+function handleBoardDragStart(event) {
+    const card = event.target.closest('.board-card');
+    if (!card) return;
+    event.dataTransfer.setData('text/plain', card.dataset.taskId);
+    event.dataTransfer.effectAllowed = 'move';
+    // Add a slight delay so the browser can capture the drag image
+    setTimeout(() => card.classList.add('dragging'), 0);
+}
+
+function handleBoardDragEnd(event) {
+    const card = event.target.closest('.board-card');
+    if (card) card.classList.remove('dragging');
+    document.querySelectorAll('.board-column.drag-over').forEach(column => column.classList.remove('drag-over'));
+}
+
+function handleBoardDragOver(event) {
+    event.preventDefault(); // Necessary to allow drop
+    event.dataTransfer.dropEffect = 'move';
+    event.currentTarget.classList.add('drag-over');
+}
+
+function handleBoardDragLeave(event) {
+    // Ignore leaving into one of the column's own cards
+    if (!event.currentTarget.contains(event.relatedTarget)) {
+        event.currentTarget.classList.remove('drag-over');
+    }
+}
+
+function handleBoardDrop(event) {
+    event.preventDefault();
+    const column = event.currentTarget;
+    column.classList.remove('drag-over');
+    moveTaskToBoardColumn(event.dataTransfer.getData('text/plain'), column.dataset.value);
+}
+
+/**
+ * Sets the board's grouping field on a task to a column's value.
+ */
+function moveTaskToBoardColumn(taskId, value) {
+    const task = tasks.find(t => t.id === taskId);
+    const groupBy = settings.boardGroupBy;
+    if (!task || getBoardColumnValue(task, groupBy) === value) return;
+    
+    // Completing goes through toggleTask so recurrence, timers and dependencies are handled
+    if (groupBy === 'status') {
+        toggleTask(taskId);
+        return;
+    }
+    
+    const column = getBoardColumns(groupBy, [task]).find(c => c.value === value);
+    if (!column) return;
+    
+    if (groupBy === 'priority') {
+        task.priority = value;
+    } else if (groupBy === 'category') {
+        task.category = value;
+    } else {
+        task.workflowState = value;
+    }
+    
+    saveToHistory(`Moved '${task.title}' to ${column.label}`);
+    scheduleAutoSave();
+    renderTasks();
+    showToast(`Moved '${task.title}' to ${column.label}`, 'success');
+}
+
+/**
+ * Switches between the table, board and calendar, and remembers the choice.
+ */
+async function setViewMode(mode) {
+    settings.viewMode = VIEW_MODES.includes(mode) ? mode : 'table';
+    renderTasks();
+    try {
+        await db.put(SETTINGS_STORE, settings);
+    } catch (e) {
+        console.error("Error saving view mode:", e);
+    }
+}
+
+async function setBoardGroupBy(groupBy) {
+    settings.boardGroupBy = BOARD_GROUP_BY_OPTIONS.includes(groupBy) ? groupBy : 'status';
+    renderTasks();
+    try {
+        await db.put(SETTINGS_STORE, settings);
+    } catch (e) {
+        console.error("Error saving board grouping:", e);
+    }
+}
+
+/**
+ * Shows the container for the current view mode and syncs the toggle and group-by controls.
+ */
+function updateViewModeUI() {
+    const isBoardView = settings.viewMode === 'board';
+    const containers = { table: 'tasksContainer', board: 'boardContainer', calendar: 'calendarContainer' };
+    Object.entries(containers).forEach(([mode, id]) => {
+        const container = document.getElementById(id);
+        if (container) container.classList.toggle('hidden', settings.viewMode !== mode);
+    });
+    
+    VIEW_MODES.forEach(mode => {
+        const btn = document.getElementById(`viewMode-${mode}`);
+        if (btn) {
+            btn.classList.toggle('active', settings.viewMode === mode);
+            btn.setAttribute('aria-pressed', settings.viewMode === mode);
+        }
+    });
+    
+    const groupByContainer = document.getElementById('boardGroupByContainer');
+    if (groupByContainer) groupByContainer.classList.toggle('hidden', !isBoardView);
+    const groupBySelect = document.getElementById('boardGroupBy');
+    if (groupBySelect) groupBySelect.value = settings.boardGroupBy;
+}
+
+// *** NEW: Calendar View ***
+// Month, week and day grids of due dates and reminders. Pending recurring tasks also show their
+// upcoming occurrences (projected from the RRULE, not yet real tasks). Dragging a due date or
+// reminder to another day (or hour, in the day view) reschedules it; clicking empty space on a
+// day opens the Add Task form for that date.
+
+const CALENDAR_DEFAULT_HOUR = 9; // Due time for tasks added by clicking a day
+const CALENDAR_MONTH_ITEM_LIMIT = 3; // Items per month cell before "+N more"
+let calendarDate = new Date(); // Any moment inside the period on screen
+
+/**
+ * Returns the tasks for the calendar. The calendar has its own horizon, so unlike the
+ * All and category tabs it isn't limited to recurring tasks due within 15 days.
+ */
+function getCalendarTasks(viewState) {
+    const calendarTasks = getFilteredTasks(viewState);
+    if (viewState.filter === 'completed' || viewState.filter === 'recurring') {
+        return calendarTasks;
+    }
+    
+    const shownIds = new Set(calendarTasks.map(t => t.id));
+    const seriesTasks = getFilteredTasks({ ...viewState, filter: 'recurring' }).filter(t =>
+        !shownIds.has(t.id) && (viewState.filter === 'all' || t.category === viewState.filter));
+    return [...calendarTasks, ...seriesTasks];
+}
+
+/**
+ * Projects the occurrences of a pending recurring task that fall in [rangeStart, rangeEnd).
+ * Only the newest pending occurrence of a series projects, so nothing is shown twice.
+ */
+function getProjectedOccurrences(task, rangeStart, rangeEnd) {
+    if (tasks.some(t => t.previousInstanceId === task.id && !t.completed)) return [];
+    
+    // Project from the series values, as createNextRecurringInstance does
+    const template = getSeriesTemplate(task);
+    if (!template.dueDate) return [];
+    let rule;
+    try {
+        rule = parseRRule(template.rrule);
+    } catch (e) {
+        return [];
+    }
+    
+    const dtstart = new Date(template.dueDate);
+    const now = new Date();
+    const projected = [];
+    let occurrence = task.occurrence || 1;
+    // With COUNT every occurrence has to be counted; otherwise skip straight to the range
+    let next = getNextOccurrence(rule, dtstart, rule.count ? dtstart : new Date(Math.max(dtstart, rangeStart - 1)));
+    
+    for (let i = 0; next && next < rangeEnd && i < MAX_RRULE_PERIODS; i++) {
+        if (rule.count && occurrence >= rule.count) break;
+        occurrence++;
+        if (next >= rangeStart && !(task.skipMissed && next < now)) {
+            projected.push({ task, date: next, kind: 'due', projected: true });
+        }
+        next = getNextOccurrence(rule, dtstart, next);
+    }
+    return projected;
+}
+
+/**
+ * Collects everything to draw between two dates, sorted by time.
+ * @returns {Array} - [{ task, date, kind: 'due' | 'reminder', projected, reminderIndex }]
+ */
+function getCalendarEntries(calendarTasks, rangeStart, rangeEnd) {
+    const entries = [];
+    const inRange = date => date >= rangeStart && date < rangeEnd;
+    
+    calendarTasks.forEach(task => {
+        if (task.dueDate) {
+            const due = new Date(task.dueDate);
+            if (inRange(due)) entries.push({ task, date: due, kind: 'due', projected: false });
+            if (task.repeat && !task.completed) {
+                entries.push(...getProjectedOccurrences(task, rangeStart, rangeEnd));
+            }
+        }
+        if (!task.completed) {
+            (task.reminders || []).forEach((reminder, reminderIndex) => {
+                const time = getReminderTime(task, reminder);
+                if (time && inRange(time)) entries.push({ task, date: time, kind: 'reminder', projected: false, reminderIndex });
+            });
+        }
+    });
+    return entries.sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Returns the first and last day (exclusive) of the period on screen.
+ * Weeks start on Monday, matching the RRULE engine.
+ */
+function getCalendarRange(mode, date) {
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const startOfWeek = d => new Date(d.getFullYear(), d.getMonth(), d.getDate() - (d.getDay() + 6) % 7);
+    
+    if (mode === 'day') {
+        return { start: day, end: new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1) };
+    }
+    if (mode === 'week') {
+        const start = startOfWeek(day);
+        return { start, end: new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7) };
+    }
+    const start = startOfWeek(new Date(day.getFullYear(), day.getMonth(), 1));
+    const lastDay = new Date(day.getFullYear(), day.getMonth() + 1, 0);
+    const end = startOfWeek(lastDay);
+    end.setDate(end.getDate() + 7);
+    return { start, end };
+}
+
+function toDateKey(date) {
+    return toDateTimeLocalValue(date).slice(0, 10);
+}
+
+function getCalendarTitle(mode, date) {
+    if (mode === 'day') {
+        return date.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+    }
+    if (mode === 'week') {
+        const { start, end } = getCalendarRange('week', date);
+        const last = new Date(end.getFullYear(), end.getMonth(), end.getDate() - 1);
+        return `${start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })} – ${last.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+    }
+    return date.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+}
+
+function renderCalendar(calendarTasks) {
+    const container = document.getElementById('calendarContainer');
+    if (!container) return;
+    
+    const mode = CALENDAR_MODES.includes(settings.calendarMode) ? settings.calendarMode : 'month';
+    const { start, end } = getCalendarRange(mode, calendarDate);
+    const entries = getCalendarEntries(calendarTasks, start, end);
+    
+    const days = [];
+    for (let day = new Date(start); day < end; day.setDate(day.getDate() + 1)) {
+        days.push(new Date(day));
+    }
+    const entriesByDay = new Map(days.map(day => [toDateKey(day), []]));
+    entries.forEach(entry => {
+        const dayEntries = entriesByDay.get(toDateKey(entry.date));
+        if (dayEntries) dayEntries.push(entry);
+    });
+    
+    let body;
+    if (mode === 'day') {
+        body = renderCalendarDayGrid(days[0], entriesByDay.get(toDateKey(days[0])));
+    } else {
+        const weekdayHeaders = days.slice(0, 7)
+            .map(day => `<div class="calendar-weekday">${day.toLocaleDateString(undefined, { weekday: 'short' })}</div>`)
+            .join('');
+        body = `
+            <div class="calendar-grid calendar-${mode}">
+                ${weekdayHeaders}
+                ${days.map(day => renderCalendarDayCell(day, entriesByDay.get(toDateKey(day)), mode)).join('')}
+            </div>
+        `;
+    }
+    
+    container.innerHTML = `
+        <div class="calendar-toolbar">
+            <div class="calendar-nav">
+                <button class="btn btn-secondary btn-sm" onclick="shiftCalendar(-1)" title="Previous">
+                    <i class="fas fa-chevron-left"></i>
+                </button>
+                <button class="btn btn-secondary btn-sm" onclick="goToCalendarToday()">Today</button>
+                <button class="btn btn-secondary btn-sm" onclick="shiftCalendar(1)" title="Next">
+                    <i class="fas fa-chevron-right"></i>
+                </button>
+                <h3 class="calendar-title">${getCalendarTitle(mode, calendarDate)}</h3>
+            </div>
+            <div class="view-mode-toggle" role="group" aria-label="Calendar range">
+                ${CALENDAR_MODES.map(m => `
+                    <button class="view-mode-btn ${m === mode ? 'active' : ''}" onclick="setCalendarMode('${m}')" aria-pressed="${m === mode}">${capitalize(m)}</button>
+                `).join('')}
+            </div>
+        </div>
+        ${body}
+    `;
+}
+
+function renderCalendarDayCell(day, dayEntries, mode) {
+    const dateKey = toDateKey(day);
+    const isToday = dateKey === toDateKey(new Date());
+    const isOtherMonth = mode === 'month' && day.getMonth() !== calendarDate.getMonth();
+    const limit = mode === 'month' ? CALENDAR_MONTH_ITEM_LIMIT : Infinity;
+    const hiddenCount = dayEntries.length - limit;
+    
+    return `
+        <div class="calendar-day ${isToday ? 'today' : ''} ${isOtherMonth ? 'other-month' : ''}" data-date="${dateKey}"
+             onclick="handleCalendarSlotClick(event)"
+             ondragover="handleCalendarDragOver(event)" ondragleave="handleCalendarDragLeave(event)" ondrop="handleCalendarDrop(event)">
+            <button class="calendar-day-number" onclick="event.stopPropagation(); openCalendarDay('${dateKey}')" title="Open day view">${day.getDate()}</button>
+            ${dayEntries.slice(0, limit).map(renderCalendarItem).join('')}
+            ${hiddenCount > 0 ? `<button class="calendar-more" onclick="event.stopPropagation(); openCalendarDay('${dateKey}')">+${hiddenCount} more</button>` : ''}
+        </div>
+    `;
+}
+
+function renderCalendarDayGrid(day, dayEntries) {
+    const dateKey = toDateKey(day);
+    const hours = [];
+    for (let hour = 0; hour < 24; hour++) {
+        const hourEntries = dayEntries.filter(entry => entry.date.getHours() === hour);
+        const label = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour)
+            .toLocaleTimeString(undefined, { hour: 'numeric' });
+        hours.push(`
+            <div class="calendar-hour" data-date="${dateKey}" data-hour="${hour}"
+                 onclick="handleCalendarSlotClick(event)"
+                 ondragover="handleCalendarDragOver(event)" ondragleave="handleCalendarDragLeave(event)" ondrop="handleCalendarDrop(event)">
+                <div class="calendar-hour-label">${label}</div>
+                <div class="calendar-hour-items">${hourEntries.map(renderCalendarItem).join('')}</div>
+            </div>
+        `);
+    }
+    return `<div class="calendar-day-grid">${hours.join('')}</div>`;
+}
+
+function renderCalendarItem(entry) {
+    const { task, date, kind, projected } = entry;
+    const time = date.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+    const dueClass = kind === 'due' && !task.completed && !projected ? getDueDateClass(task.dueDate) : '';
+    const label = kind === 'reminder' ? `Reminder: ${task.title}` : projected ? `${task.title} (upcoming occurrence)` : task.title;
+    
+    return `
+        <div class="calendar-item priority-${task.priority} ${dueClass} ${kind === 'reminder' ? 'reminder' : ''} ${projected ? 'projected' : ''} ${task.completed ? 'completed' : ''}"
+             data-task-id="${task.id}" data-kind="${kind}" ${kind === 'reminder' ? `data-reminder-index="${entry.reminderIndex}"` : ''}
+             ${projected ? '' : 'draggable="true" ondragstart="handleCalendarDragStart(event)" ondragend="handleCalendarDragEnd(event)"'}
+             onclick="event.stopPropagation(); editTask('${task.id}')"
+             title="${escapeHtml(label)}">
+            <i class="fas fa-${kind === 'reminder' ? 'bell' : projected ? 'redo' : 'circle'} calendar-item-icon"></i>
+            <span class="calendar-item-time">${time}</span>
+            <span class="calendar-item-title ${task.completed ? 'completed-text' : ''}">${highlightSearchTerms(task.title)}</span>
+        </div>
+    `;
+}
+
+/**
+ * Opens the Add Task form for the clicked day (or hour, in the day view).
+ */
+function handleCalendarSlotClick(event) {
+    const slot = event.currentTarget;
+    const [y, m, d] = slot.dataset.date.split('-').map(Number);
+    const hour = slot.dataset.hour !== undefined ? parseInt(slot.dataset.hour, 10) : CALENDAR_DEFAULT_HOUR;
+    openAdvancedForm(new Date(y, m - 1, d, hour));
+}
+
+function handleCalendarDragStart(event) {
+    const item = event.target.closest('.calendar-item');
+    if (!item) return;
+    event.dataTransfer.setData('text/plain', `${item.dataset.taskId}|${item.dataset.kind}|${item.dataset.reminderIndex || ''}`);
+    event.dataTransfer.effectAllowed = 'move';
+    // Add a slight delay so the browser can capture the drag image
+    setTimeout(() => item.classList.add('dragging'), 0);
+}
+
+function handleCalendarDragEnd(event) {
+    const item = event.target.closest('.calendar-item');
+    if (item) item.classList.remove('dragging');
+    document.querySelectorAll('.calendar-container .drag-over').forEach(slot => slot.classList.remove('drag-over'));
+}
+
+function handleCalendarDragOver(event) {
+    event.preventDefault(); // Necessary to allow drop
+    event.dataTransfer.dropEffect = 'move';
+    event.currentTarget.classList.add('drag-over');
+}
+
+function handleCalendarDragLeave(event) {
+    // Ignore leaving into one of the slot's own items
+    if (!event.currentTarget.contains(event.relatedTarget)) {
+        event.currentTarget.classList.remove('drag-over');
+    }
+}
+
+function handleCalendarDrop(event) {
+    event.preventDefault();
+    const slot = event.currentTarget;
+    slot.classList.remove('drag-over');
+    
+    const [taskId, kind, reminderIndex] = event.dataTransfer.getData('text/plain').split('|');
+    const hour = slot.dataset.hour !== undefined ? parseInt(slot.dataset.hour, 10) : null;
+    rescheduleTask(taskId, kind, slot.dataset.date, hour, Number(reminderIndex) || 0);
+}
+
+/**
+ * Moves a task's due date (or one of its reminders) to another day, keeping its time unless an
+ * hour is given. Reminders set relative to the due date move with it; fixed-time ones stay.
+ * For a recurring task only this occurrence moves; the rest of the series keeps its schedule.
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {number|null} hour
+ * @param {number} [reminderIndex=0] - Which of the task's reminders, when kind is 'reminder'
+ */
+function rescheduleTask(taskId, kind, dateKey, hour = null, reminderIndex = 0) {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return;
+    const reminder = kind === 'reminder' ? (task.reminders || [])[reminderIndex] : null;
+    const current = reminder ? getReminderTime(task, reminder) : task.dueDate ? new Date(task.dueDate) : null;
+    if (!current) return;
+    
+    const [y, m, d] = dateKey.split('-').map(Number);
+    const moved = new Date(y, m - 1, d, hour === null ? current.getHours() : hour, current.getMinutes());
+    if (moved.getTime() === current.getTime()) return;
+    
+    let updates;
+    if (reminder) {
+        // A relative reminder stays relative unless it is dropped after the due date
+        const minutesBefore = reminder.type === 'relative' ? (new Date(task.dueDate) - moved) / 60000 : -1;
+        const changed = minutesBefore >= 0
+            ? { type: 'relative', minutesBefore }
+            : { type: 'absolute', at: toDateTimeLocalValue(moved) };
+        updates = { reminders: task.reminders.map((r, index) => index === reminderIndex ? changed : r) };
+    } else {
+        updates = { dueDate: toDateTimeLocalValue(moved) };
+    }
+    applyTaskEdit(task, updates, 'this');
+    
+    const label = reminder ? `Reminder for '${task.title}'` : `'${task.title}'`;
+    const movedText = formatDate(toDateTimeLocalValue(moved));
+    saveToHistory(`Rescheduled ${label} to ${movedText}`);
+    scheduleAutoSave();
+    renderTasks();
+    showToast(`${label} moved to ${movedText}`, 'success');
+}
+
+function shiftCalendar(direction) {
+    const mode = settings.calendarMode;
+    const date = new Date(calendarDate);
+    if (mode === 'month') {
+        // Step from the 1st so e.g. Jan 31 -> Feb doesn't overflow into March
+        date.setDate(1);
+        date.setMonth(date.getMonth() + direction);
+    } else {
+        date.setDate(date.getDate() + direction * (mode === 'week' ? 7 : 1));
+    }
+    calendarDate = date;
+    renderTasks();
+}
+
+function goToCalendarToday() {
+    calendarDate = new Date();
+    renderTasks();
+}
+
+function openCalendarDay(dateKey) {
+    const [y, m, d] = dateKey.split('-').map(Number);
+    calendarDate = new Date(y, m - 1, d);
+    setCalendarMode('day');
+}
+
+async function setCalendarMode(mode) {
+    settings.calendarMode = CALENDAR_MODES.includes(mode) ? mode : 'month';
+    renderTasks();
+    try {
+        await db.put(SETTINGS_STORE, settings);
+    } catch (e) {
+        console.error("Error saving calendar mode:", e);
+    }
+}
+
+// *** NEW: Render pagination controls ***
+function renderPaginationControls() {
+    const paginationInfo = document.getElementById('paginationInfo');
+    const pageNumbers = document.getElementById('pageNumbers');
+    const prevBtn = document.getElementById('prevPageBtn');
+    const nextBtn = document.getElementById('nextPageBtn');
+    
+    // Update pagination info
+    const startItem = totalTasks === 0 ? 0 : (currentPage - 1) * pageSize + 1;
+    const endItem = Math.min(currentPage * pageSize, totalTasks);
+    paginationInfo.textContent = `Showing ${startItem}-${endItem} of ${totalTasks} tasks`;
+    
+    // Update page buttons
+    prevBtn.disabled = currentPage === 1;
+    nextBtn.disabled = currentPage === totalPages || totalPages === 0;
+    
+    // Generate page numbers
+    let pages = [];
+    const maxVisiblePages = 5;
+    
+    if (totalPages <= maxVisiblePages) {
+        // Show all pages if total is small
+        for (let i = 1; i <= totalPages; i++) {
+            pages.push(i);
+        }
+    } else {
+        // Show smart pagination
+        if (currentPage <= 3) {
+            pages = [1, 2, 3, 4, '...', totalPages];
+        } else if (currentPage >= totalPages - 2) {
+            pages = [1, '...', totalPages - 3, totalPages - 2, totalPages - 1, totalPages];
+        } else {
+            pages = [1, '...', currentPage - 1, currentPage, currentPage + 1, '...', totalPages];
+        }
+    }
+    
+    pageNumbers.innerHTML = pages.map(page => {
+        if (page === '...') {
+            return '<span class="page-number disabled">...</span>';
+        }
+        return `<button class="page-number ${page === currentPage ? 'active' : ''}" onclick="goToPage(${page})">${page}</button>`;
+    }).join('');
+}
+
+// *** NEW: Pagination navigation functions ***
+function goToPage(page) {
+    if (page >= 1 && page <= totalPages) {
+        currentPage = page;
+        renderTasks();
+    }
+}
+
+function goToPreviousPage() {
+    if (currentPage > 1) {
+        currentPage--;
+        renderTasks();
+    }
+}
+
+function goToNextPage() {
+    if (currentPage < totalPages) {
+        currentPage++;
+        renderTasks();
+    }
+}
+
+function changePageSize() {
+    const pageSizeSelect = document.getElementById('pageSizeSelect');
+    if (!pageSizeSelect) return;
+    
+    pageSize = parseInt(pageSizeSelect.value);
+    currentPage = 1; // Reset to first page when changing page size
+    renderTasks();
+}
+
+function changePageSizeTop() {
+    const pageSizeSelectTop = document.getElementById('pageSizeSelectTop');
+    if (!pageSizeSelectTop) return;
+    
+    pageSize = parseInt(pageSizeSelectTop.value);
+    currentPage = 1; // Reset to first page when changing page size
+    
+    // Sync both selectors
+    const pageSizeSelect = document.getElementById('pageSizeSelect');
+    if (pageSizeSelect) {
+        pageSizeSelect.value = pageSize;
+    }
+    
+    renderTasks();
+}
+
+// *** UPDATED: Undo/Redo Functions ***
+// History entries are patches, not copies of the task list. Each change holds only the fields
+// that differed, before and after: { taskId, index, before, after }, where `before` is null
+// for a created task and `after` is null for a deleted one (`index` is its place in the list).
+// Entries are stored in HISTORY_STORE, so undo works across reloads; undone entries are kept
+// for redo until a new change replaces them.
+
+const HISTORY_IGNORED_FIELDS = ['collapsed']; // View state, not worth an undo step
+
+function serializeForHistory(task) {
+    return JSON.stringify(task, (key, value) => HISTORY_IGNORED_FIELDS.includes(key) ? undefined : value);
+}
+
+function cloneHistoryValue(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function resetHistoryBaseline() {
+    historyBaseline = new Map(tasks.map(task => [task.id, serializeForHistory(task)]));
+}
+
+/**
+ * Compares the tasks against the history baseline.
+ * @returns {{changes: Array<Object>, baseline: Map<string, string>}} The patch and the new baseline
+ */
+function diffAgainstHistoryBaseline() {
+    const changes = [];
+    const baseline = new Map();
+    tasks.forEach((task, index) => {
+        const serialized = serializeForHistory(task);
+        const previous = historyBaseline.get(task.id);
+        baseline.set(task.id, serialized);
+        if (previous === serialized) return;
+        if (previous === undefined) {
+            changes.push({ taskId: task.id, index, before: null, after: JSON.parse(serialized) });
+            return;
+        }
+        const before = JSON.parse(previous);
+        const after = JSON.parse(serialized);
+        const change = { taskId: task.id, index, before: {}, after: {} };
+        new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+            if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+                change.before[field] = before[field];
+                change.after[field] = after[field];
+            }
+        });
+        changes.push(change);
+    });
+    
+    let index = 0;
+    historyBaseline.forEach((serialized, id) => {
+        if (!baseline.has(id)) {
+            changes.push({ taskId: id, index, before: JSON.parse(serialized), after: null });
+        }
+        index++;
+    });
+    return { changes, baseline };
+}
+
+/**
+ * Records everything that changed since the last entry as one undo step.
+ * Does nothing when no task changed, so it is safe to call more than once per action.
+ * @param {string} action - Shown in the undo toast and the history timeline
+ */
+function saveToHistory(action) {
+    const { changes, baseline } = diffAgainstHistoryBaseline();
+    historyBaseline = baseline;
+    if (changes.length === 0) return;
+    updateSearchIndex(getSearchChangedIds(changes));
+    
+    // A new change replaces anything that was undone
+    const discarded = history.splice(historyIndex + 1);
+    history.push({
+        id: nextHistoryId++,
+        action: action,
+        timestamp: new Date().toISOString(),
+        changes,
+        undone: false
+    });
+    
+    // Limit history size
+    if (history.length > maxHistorySize) {
+        discarded.push(...history.splice(0, history.length - maxHistorySize));
+    }
+    historyIndex = history.length - 1;
+    
+    persistHistory([history[historyIndex]], discarded.map(entry => entry.id));
+    updateUndoRedoButtons();
+    renderHistoryTimeline();
+}
+
+/**
+ * Writes history entries in the background, one batch after another so a later
+ * batch never lands before an earlier one.
+ */
+function persistHistory(entries, removedIds = []) {
+    historyWrites = historyWrites.then(async () => {
+        const tx = db.transaction(HISTORY_STORE, 'readwrite');
+        await Promise.all([
+            ...entries.map(entry => tx.store.put(entry)),
+            ...removedIds.map(id => tx.store.delete(id)),
+            tx.done
+        ]);
+    }).catch(error => console.error('Failed to save undo history:', error));
+}
+
+async function loadHistory() {
+    try {
+        history = await db.getAll(HISTORY_STORE); // Ordered by id, i.e. oldest first
+    } catch (error) {
+        console.error('Failed to load undo history:', error);
+        history = [];
+    }
+    historyIndex = history.map(entry => entry.undone).lastIndexOf(false);
+    nextHistoryId = history.length > 0 ? history[history.length - 1].id + 1 : 1;
+    resetHistoryBaseline();
+    updateUndoRedoButtons();
+}
+
+/**
+ * Applies one side of an entry's changes: 'before' to undo it, 'after' to redo it.
+ * Restored tasks go back to their old place in the list.
+ */
+function applyHistoryChanges(changes, side) {
+    const otherSide = side === 'before' ? 'after' : 'before';
+    const restored = [];
+    changes.forEach(change => {
+        const values = change[side];
+        const taskIndex = tasks.findIndex(t => t.id === change.taskId);
+        if (values === null) {
+            if (taskIndex > -1) tasks.splice(taskIndex, 1);
+        } else if (change[otherSide] === null) {
+            if (taskIndex === -1) restored.push(change);
+        } else if (taskIndex > -1) {
+            const task = tasks[taskIndex];
+            Object.entries(values).forEach(([field, value]) => {
+                if (value === undefined) {
+                    delete task[field];
+                } else {
+                    task[field] = cloneHistoryValue(value);
+                }
+            });
+        }
+    });
+    restored.sort((a, b) => a.index - b.index).forEach(change => {
+        tasks.splice(Math.min(change.index, tasks.length), 0, cloneHistoryValue(change[side]));
+    });
+}
+
+/**
+ * Undoes or redoes entries until `targetIndex` is the last applied one.
+ * @param {number} targetIndex - Index into `history`; -1 undoes everything
+ */
+function goToHistoryEntry(targetIndex) {
+    saveToHistory('Edited tasks'); // Unrecorded edits become their own step first
+    targetIndex = Math.max(-1, Math.min(targetIndex, history.length - 1));
+    if (targetIndex === historyIndex) return;
+    
+    const touched = [];
+    while (historyIndex > targetIndex) {
+        const entry = history[historyIndex--];
+        applyHistoryChanges(entry.changes, 'before');
+        entry.undone = true;
+        touched.push(entry);
+    }
+    while (historyIndex < targetIndex) {
+        const entry = history[++historyIndex];
+        applyHistoryChanges(entry.changes, 'after');
+        entry.undone = false;
+        touched.push(entry);
+    }
+    
+    resetHistoryBaseline();
+    updateSearchIndex([...new Set(touched.flatMap(entry => getSearchChangedIds(entry.changes)))]);
+    persistHistory(touched);
+    renderTasks();
+    renderAISummary();
+    updateFilterCounts();
+    updateUndoRedoButtons();
+    renderHistoryTimeline();
+    scheduleAutoSave();
+}
+
+function undo() {
+    saveToHistory('Edited tasks');
+    if (historyIndex >= 0) {
+        const entry = history[historyIndex];
+        goToHistoryEntry(historyIndex - 1);
+        showToast('Undo: ' + entry.action, 'info');
+    }
+}
+
+function redo() {
+    if (historyIndex < history.length - 1) {
+        goToHistoryEntry(historyIndex + 1);
+        showToast('Redo: ' + history[historyIndex].action, 'info');
+    }
+}
+
+function updateUndoRedoButtons() {
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    
+    if (undoBtn) {
+        undoBtn.disabled = historyIndex < 0;
+        undoBtn.title = historyIndex >= 0 ? `Undo: ${history[historyIndex].action} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+    }
+    
+    if (redoBtn) {
+        redoBtn.disabled = historyIndex >= history.length - 1;
+        redoBtn.title = historyIndex < history.length - 1 ? `Redo: ${history[historyIndex + 1].action} (Ctrl+Y)` : 'Redo (Ctrl+Y)';
+    }
+}
+
+// *** NEW: History Timeline ***
+function openHistoryTimeline() {
+    lastFocusedElement = document.activeElement;
+    renderHistoryTimeline(true);
+    document.getElementById('historyModal').classList.remove('hidden');
+}
+
+function closeHistoryTimeline() {
+    document.getElementById('historyModal').classList.add('hidden');
+    if (lastFocusedElement) lastFocusedElement.focus();
+}
+
+/**
+ * Names the tasks an entry touched, e.g. "Write report, Call Sam and 2 more".
+ */
+function describeHistoryChanges(entry) {
+    const titles = entry.changes.map(change => {
+        const values = change.after || change.before;
+        const task = tasks.find(t => t.id === change.taskId);
+        return (values && values.title) || (task && task.title) || 'Untitled task';
+    });
+    const shown = titles.slice(0, 2).join(', ');
+    return titles.length > 2 ? `${shown} and ${titles.length - 2} more` : shown;
+}
+
+/**
+ * Lists history entries newest first; clicking one undoes or redoes up to that point.
+ * Only redraws while the timeline is open unless `force` is set.
+ */
+function renderHistoryTimeline(force = false) {
+    const modal = document.getElementById('historyModal');
+    const list = document.getElementById('historyTimeline');
+    if (!modal || !list || (!force && modal.classList.contains('hidden'))) return;
+    
+    const items = history.map((entry, index) => {
+        const state = index === historyIndex ? 'current' : (index > historyIndex ? 'undone' : '');
+        return `
+            <li class="history-item ${state}">
+                <button type="button" onclick="goToHistoryEntry(${index})" ${index === historyIndex ? 'aria-current="step"' : ''}>
+                    <span class="history-action">${escapeHtml(entry.action)}</span>
+                    <span class="history-details">${escapeHtml(describeHistoryChanges(entry))}</span>
+                    <span class="history-time">${escapeHtml(formatDate(entry.timestamp))}${index > historyIndex ? ' · undone' : ''}</span>
+                </button>
+            </li>`;
+    }).reverse();
+    items.push(`
+            <li class="history-item ${historyIndex === -1 ? 'current' : ''}">
+                <button type="button" onclick="goToHistoryEntry(-1)" ${historyIndex === -1 ? 'aria-current="step"' : ''}>
+                    <span class="history-action">Start</span>
+                    <span class="history-details">Before the oldest change in this list</span>
+                </button>
+            </li>`);
+    
+    list.innerHTML = history.length > 0 ? items.join('') :
+        '<li class="history-empty">No changes recorded yet.</li>';
+    document.getElementById('historyCount').textContent =
+        `${history.length} change${history.length === 1 ? '' : 's'} kept (up to ${maxHistorySize})`;
+}
+
+function clearHistory() {
+    showConfirmModal('Clear History', 'Forget all undo steps? Your tasks stay as they are now.', () => {
+        persistHistory([], history.map(entry => entry.id));
+        history = [];
+        historyIndex = -1;
+        resetHistoryBaseline();
+        updateUndoRedoButtons();
+        renderHistoryTimeline();
+        showToast('Undo history cleared', 'success');
+    });
+}
+
+// *** NEW: Auto-save Functions ***
+function scheduleAutoSave() {
+    hasUnsavedChanges = true;
+    
+    // Clear existing timer
+    if (autoSaveTimer) {
+        clearTimeout(autoSaveTimer);
+    }
+    
+    // Schedule new auto-save
+    autoSaveTimer = setTimeout(() => {
+        autoSave();
+    }, autoSaveDelay);
+}
+
+async function autoSave() {
+    if (!hasUnsavedChanges) return;
+    
+    // saveTasks() reports its own errors; keep the flag set so the next run retries
+    const saved = await saveTasks();
+    if (saved) {
+        hasUnsavedChanges = false;
+        showAutoSaveIndicator();
+        console.log('Auto-saved at', new Date().toLocaleTimeString());
+    }
+}
+
+function showAutoSaveIndicator() {
+    const indicator = document.getElementById('autoSaveIndicator');
+    if (indicator) {
+        indicator.classList.add('show');
+        setTimeout(() => {
+            indicator.classList.remove('show');
+        }, 2000);
+    }
+}
+
+// *** NEW: Quick Export Menu Functions ***
+function showQuickExportMenu() {
+    const menu = document.getElementById('quickExportMenu');
+    if (menu) {
+        menu.style.display = 'block';
+        
+        // Position the menu relative to the export button
+        const exportBtn = event.target.closest('.icon-btn');
+        const rect = exportBtn.getBoundingClientRect();
+        menu.style.top = (rect.bottom + window.scrollY + 8) + 'px';
+        menu.style.right = (window.innerWidth - rect.right) + 'px';
+        
+        // Close menu when clicking outside
+        setTimeout(() => {
+            document.addEventListener('click', hideQuickExportMenuOnClickOutside);
+        }, 100);
+    }
+}
+
+function hideQuickExportMenu() {
+    const menu = document.getElementById('quickExportMenu');
+    if (menu) {
+        menu.style.display = 'none';
+        document.removeEventListener('click', hideQuickExportMenuOnClickOutside);
+    }
+}
+
+function hideQuickExportMenuOnClickOutside(event) {
+    const menu = document.getElementById('quickExportMenu');
+    const exportBtn = event.target.closest('.icon-btn[onclick*="showQuickExportMenu"]');
+    
+    if (menu && !menu.contains(event.target) && !exportBtn) {
+        hideQuickExportMenu();
+    }
+}
+
+// *** NEW: CSV / TSV Export and Import ***
+// Imports go through a mapping step in the Smart Import modal: the delimiter and encoding are
+// detected (and can be overridden), each column is mapped to a task field, and the mapping can
+// be saved as a preset that is picked automatically for files with the same columns.
+
+const CSV_DELIMITERS = { ',': 'Comma', ';': 'Semicolon', '\t': 'Tab', '|': 'Pipe' };
+const CSV_DATE_FORMATS = {
+    auto: 'Automatic',
+    ymd: 'YYYY-MM-DD',
+    mdy: 'MM/DD/YYYY',
+    dmy: 'DD/MM/YYYY'
+};
+const CSV_IMPORT_FIELDS = [
+    { id: 'title', label: 'Title', aliases: ['title', 'task', 'task name', 'name', 'subject', 'summary', 'content'] },
+    { id: 'description', label: 'Description', aliases: ['description', 'notes', 'note', 'details', 'body'] },
+    { id: 'category', label: 'Category', aliases: ['category', 'list', 'project'] },
+    { id: 'priority', label: 'Priority', aliases: ['priority', 'importance'] },
+    { id: 'dueDate', label: 'Due Date', aliases: ['due date', 'due', 'duedate', 'due_date', 'deadline', 'date'] },
+    { id: 'reminder', label: 'Reminder', aliases: ['reminder', 'remind at', 'reminder date'] },
+    { id: 'tags', label: 'Tags', aliases: ['tags', 'tag', 'labels', 'label'] },
+    { id: 'completed', label: 'Completed', aliases: ['completed', 'done', 'status', 'complete'] },
+    { id: 'estimateMinutes', label: 'Estimate', aliases: ['estimate (min)', 'estimate', 'estimated time'] },
+    { id: 'rrule', label: 'Repeat Rule', aliases: ['repeat rule', 'rrule', 'recurrence'] }
+];
+const CSV_EXPORT_COLUMNS = [
+    ['ID', task => task.id],
+    ['Title', task => task.title],
+    ['Description', task => task.description],
+    ['Category', task => getCategoryName(task.category)],
+    ['Priority', task => task.priority],
+    ['Due Date', task => task.dueDate || ''],
+    ['Reminder', task => getReminderTimes(task).map(toDateTimeLocalValue)[0] || ''], // *** UPDATED: The first of the task's reminders ***
+    ['Repeat Rule', task => task.repeat ? task.rrule || '' : ''],
+    ['Tags', task => (task.tags || []).join(', ')],
+    ['Completed', task => task.completed ? 'Yes' : 'No'],
+    ['Completed At', task => task.completedAt || ''],
+    ['Estimate (min)', task => task.estimateMinutes || ''],
+    ['Tracked (min)', task => Math.round(getTrackedMinutes(task)) || ''],
+    ['Parent ID', task => task.parentId || ''],
+    ['Created At', task => task.createdAt]
+];
+
+let csvImport = null; // { buffer, encoding, delimiter, hasHeader, headers, rows, mapping: [field per column], dateFormat }
+
+/**
+ * Exports every task as CSV, or TSV when `delimiter` is a tab.
+ */
+function exportToCSV(delimiter = ',') {
+    const isTSV = delimiter === '\t';
+    const lines = [
+        CSV_EXPORT_COLUMNS.map(([header]) => escapeCSV(header)).join(delimiter),
+        ...tasks.map(task => CSV_EXPORT_COLUMNS.map(([, value]) => escapeCSV(value(task))).join(delimiter))
+    ];
+    
+    // The byte-order mark makes Excel open the file as UTF-8
+    const filename = getTimestampedFilename('tasks', isTSV ? 'tsv' : 'csv');
+    downloadFile('\uFEFF' + lines.join('\r\n'), filename, isTSV ? 'text/tab-separated-values' : 'text/csv');
+    showToast(`Tasks exported to ${filename}`, 'success');
+}
+
+/**
+ * Guesses a file's encoding from its byte-order mark, then by whether it is valid UTF-8.
+ */
+function detectTextEncoding(bytes) {
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        return 'utf-8';
+    } catch (e) {
+        return 'windows-1252'; // Excel's default "CSV" encoding on Windows
+    }
+}
+
+function decodeText(buffer, encoding) {
+    return new TextDecoder(encoding).decode(buffer).replace(/^\uFEFF/, '');
+}
+
+/**
+ * Picks the delimiter that splits the first lines into the same number of columns most often.
+ */
+function detectCSVDelimiter(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 10);
+    let best = ',';
+    let bestScore = 0;
+    
+    Object.keys(CSV_DELIMITERS).forEach(delimiter => {
+        const counts = lines.map(line => parseCSV(line, delimiter)[0].length - 1);
+        const columns = counts[0] || 0;
+        const consistent = counts.filter(count => count === columns).length;
+        const score = columns > 0 ? consistent * 100 + columns : 0;
+        if (score > bestScore) {
+            best = delimiter;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+/**
+ * Parses delimited text (RFC 4180: quoted fields may contain delimiters, newlines and "" for a quote).
+ * @returns {Array<Array<string>>} - Rows of fields; blank lines are dropped
+ */
+function parseCSV(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+    
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Converts a date (and optional time) in the given format to a datetime-local value.
+ * Dates without a time are due at the end of the day.
+ */
+function parseImportDate(value, format = 'auto') {
+    const text = String(value || '').trim();
+    if (!text) return null;
+    
+    const match = text.match(/^(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})(?:[ T](\d{1,2}):(\d{2})(?::\d{2}(?:\.\d+)?)?\s*([ap]m)?)?(Z|[+-]\d{2}:?\d{2})?$/i);
+    if (match && !match[7]) {
+        const [, a, b, c, hours, minutes, meridiem] = match;
+        let year, month, day;
+        let order = format;
+        if (format === 'auto') {
+            // Year first if it has four digits; otherwise US order unless the first part can't be a month
+            order = a.length === 4 ? 'ymd' : parseInt(a, 10) > 12 ? 'dmy' : 'mdy';
+        }
+        if (order === 'ymd') [year, month, day] = [a, b, c];
+        else if (order === 'dmy') [day, month, year] = [a, b, c];
+        else [month, day, year] = [a, b, c];
+        
+        year = parseInt(year, 10);
+        if (year < 100) year += 2000;
+        let hour = 23;
+        let minute = 59;
+        if (hours !== undefined) {
+            hour = parseInt(hours, 10) % (meridiem ? 12 : 24) + (meridiem && meridiem.toLowerCase() === 'pm' ? 12 : 0);
+            minute = parseInt(minutes, 10);
+        }
+        const date = new Date(year, month - 1, parseInt(day, 10), hour, minute);
+        
+        // Reject overflow like 31/02 rather than rolling into the next month
+        if (date.getMonth() !== month - 1 || date.getDate() !== parseInt(day, 10)) return null;
+        return toDateTimeLocalValue(date);
+    }
+    
+    // Anything else (ISO with a zone, "March 5, 2026 10:00") goes to the browser's parser
+    const parsed = new Date(text);
+    return isNaN(parsed.getTime()) ? null : toDateTimeLocalValue(parsed);
+}
+
+/**
+ * Reads a CSV/TSV file into csvImport, detecting the encoding and delimiter and
+ * choosing a mapping (a matching preset, or guessed from the column names).
+ */
+function loadCSVImport(buffer, delimiter = null) {
+    const encoding = detectTextEncoding(new Uint8Array(buffer));
+    const text = decodeText(buffer, encoding);
+    csvImport = {
+        buffer,
+        encoding,
+        delimiter: delimiter || detectCSVDelimiter(text),
+        hasHeader: true,
+        headers: [],
+        rows: [],
+        mapping: [],
+        dateFormat: 'auto'
+    };
+    parseCSVImport();
+    
+    const preset = (settings.importPresets || []).find(p =>
+        Object.keys(p.mapping).every(header => csvImport.headers.includes(header)));
+    if (preset) {
+        applyImportPresetToCSV(preset);
+    } else {
+        guessCSVMapping();
+    }
+}
+
+function parseCSVImport() {
+    const rows = parseCSV(decodeText(csvImport.buffer, csvImport.encoding), csvImport.delimiter);
+    const width = Math.max(0, ...rows.map(r => r.length));
+    
+    if (csvImport.hasHeader && rows.length > 0) {
+        const header = rows.shift();
+        csvImport.headers = Array.from({ length: width }, (_, i) => (header[i] || '').trim() || `Column ${i + 1}`);
+    } else {
+        csvImport.headers = Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+    }
+    csvImport.rows = rows;
+}
+
+function guessCSVMapping() {
+    csvImport.mapping = csvImport.headers.map(() => '');
+    CSV_IMPORT_FIELDS.forEach(field => {
+        // Aliases are in order of preference, so "Due Date" beats a generic "Date" column
+        for (const alias of field.aliases) {
+            const index = csvImport.headers.findIndex((h, i) => h.toLowerCase() === alias && !csvImport.mapping[i]);
+            if (index > -1) {
+                csvImport.mapping[index] = field.id;
+                return;
+            }
+        }
+    });
+}
+
+/**
+ * Builds task data from the CSV rows using the current mapping. Rows without a title are skipped.
+ */
+function getCSVMappedData() {
+    if (!csvImport) return [];
+    const priorities = ['low', 'medium', 'high', 'urgent'];
+    
+    return csvImport.rows.map(row => {
+        const item = {};
+        csvImport.mapping.forEach((field, index) => {
+            const value = (row[index] || '').trim();
+            if (!field || !value) return;
+            
+            switch (field) {
+                case 'dueDate':
+                case 'reminder':
+                    item[field] = parseImportDate(value, csvImport.dateFormat);
+                    break;
+                case 'priority':
+                    item.priority = priorities.includes(value.toLowerCase()) ? value.toLowerCase() : settings.defaultPriority;
+                    break;
+                case 'tags':
+                    item.tags = value.split(/[,;]/).map(tag => tag.trim().replace(/^#/, '')).filter(tag => tag);
+                    break;
+                case 'completed':
+                    item.completed = /^(yes|y|true|1|x|done|completed|complete)$/i.test(value);
+                    break;
+                case 'estimateMinutes':
+                    item.estimateMinutes = parseDuration(value);
+                    break;
+                case 'rrule':
+                    try {
+                        parseRRule(value);
+                        item.rrule = value.replace(/^RRULE:/i, '');
+                        item.repeat = true;
+                    } catch (e) {
+                        console.warn('Skipping unsupported recurrence rule:', value, e);
+                    }
+                    break;
+                default:
+                    item[field] = value;
+            }
+        });
+        return item;
+    }).filter(item => item.title);
+}
+
+/**
+ * Re-runs the Smart Import analysis after the source settings or the mapping change.
+ */
+function refreshCSVImportPreview() {
+    importCategories = { added: [], aliases: {} }; // The category column may have changed
+    const data = getCSVMappedData().map(item => normalizeTaskData(item));
+    analyzeImportData(data, csvImport.delimiter === '\t' ? 'tsv' : 'csv');
+    updateImportPreview();
+    renderCSVMapping();
+}
+
+function renderCSVMapping() {
+    const section = document.getElementById('importMappingSection');
+    if (!section) return;
+    section.classList.toggle('hidden', !csvImport);
+    if (!csvImport) return;
+    
+    document.getElementById('csvDelimiter').value = csvImport.delimiter === '\t' ? 'tab' : csvImport.delimiter;
+    document.getElementById('csvEncoding').value = csvImport.encoding;
+    document.getElementById('csvHasHeader').checked = csvImport.hasHeader;
+    document.getElementById('csvDateFormat').value = csvImport.dateFormat;
+    
+    const sample = csvImport.rows[0] || [];
+    document.getElementById('importMappingBody').innerHTML = csvImport.headers.map((header, index) => `
+        <tr>
+            <td>${escapeHtml(header)}</td>
+            <td class="import-mapping-sample">${escapeHtml(sample[index] || '')}</td>
+            <td>
+                <select class="form-control" onchange="setCSVColumnField(${index}, this.value)" aria-label="Import ${escapeHtml(header)} as">
+                    <option value="">Don't import</option>
+                    ${CSV_IMPORT_FIELDS.map(field => `
+                        <option value="${field.id}" ${csvImport.mapping[index] === field.id ? 'selected' : ''}>${field.label}</option>
+                    `).join('')}
+                </select>
+            </td>
+        </tr>
+    `).join('');
+    
+    const hint = document.getElementById('importMappingHint');
+    if (hint) {
+        hint.textContent = csvImport.mapping.includes('title') ? '' : 'Choose which column holds the task title.';
     }
+    renderImportPresetOptions();
 }
 
-function goToPreviousPage() {
-    if (currentPage > 1) {
-        currentPage--;
-        renderTasks();
+/**
+ * Applies the delimiter, encoding and header controls, keeping the mapping for columns that remain.
+ */
+function updateCSVImportSource() {
+    if (!csvImport) return;
+    const previous = new Map(csvImport.headers.map((header, i) => [header, csvImport.mapping[i]]));
+    const delimiter = document.getElementById('csvDelimiter').value;
+    
+    csvImport.delimiter = delimiter === 'tab' ? '\t' : delimiter;
+    csvImport.encoding = document.getElementById('csvEncoding').value;
+    csvImport.hasHeader = document.getElementById('csvHasHeader').checked;
+    parseCSVImport();
+    
+    if (csvImport.headers.some(header => previous.get(header))) {
+        csvImport.mapping = csvImport.headers.map(header => previous.get(header) || '');
+    } else {
+        guessCSVMapping();
     }
+    refreshCSVImportPreview();
 }
 
-function goToNextPage() {
-    if (currentPage < totalPages) {
-        currentPage++;
-        renderTasks();
-    }
+function setCSVDateFormat(format) {
+    if (!csvImport) return;
+    csvImport.dateFormat = CSV_DATE_FORMATS[format] ? format : 'auto';
+    refreshCSVImportPreview();
 }
 
-function changePageSize() {
-    const pageSizeSelect = document.getElementById('pageSizeSelect');
-    if (!pageSizeSelect) return;
-    
-    pageSize = parseInt(pageSizeSelect.value);
-    currentPage = 1; // Reset to first page when changing page size
-    renderTasks();
+/**
+ * Maps a column to a task field. Each field comes from at most one column.
+ */
+function setCSVColumnField(index, field) {
+    if (!csvImport) return;
+    csvImport.mapping = csvImport.mapping.map((current, i) => {
+        if (i === index) return field;
+        return field && current === field ? '' : current;
+    });
+    refreshCSVImportPreview();
 }
 
-function changePageSizeTop() {
-    const pageSizeSelectTop = document.getElementById('pageSizeSelectTop');
-    if (!pageSizeSelectTop) return;
-    
-    pageSize = parseInt(pageSizeSelectTop.value);
-    currentPage = 1; // Reset to first page when changing page size
-    
-    // Sync both selectors
-    const pageSizeSelect = document.getElementById('pageSizeSelect');
-    if (pageSizeSelect) {
-        pageSizeSelect.value = pageSize;
+function renderImportPresetOptions() {
+    const select = document.getElementById('importPresetSelect');
+    if (!select) return;
+    const presets = settings.importPresets || [];
+    const active = presets.find(p => p.id === csvImport.presetId);
+    select.innerHTML = '<option value="">No preset</option>' +
+        presets.map(p => `<option value="${p.id}" ${active && active.id === p.id ? 'selected' : ''}>${escapeHtml(p.name)}</option>`).join('');
+}
+
+function applyImportPresetToCSV(preset) {
+    csvImport.presetId = preset.id;
+    csvImport.dateFormat = preset.dateFormat || 'auto';
+    csvImport.mapping = csvImport.headers.map(header => preset.mapping[header] || '');
+}
+
+function applyImportPreset(presetId) {
+    if (!csvImport) return;
+    const preset = (settings.importPresets || []).find(p => p.id === presetId);
+    if (preset) {
+        applyImportPresetToCSV(preset);
+    } else {
+        csvImport.presetId = null;
+        guessCSVMapping();
     }
-    
-    renderTasks();
+    refreshCSVImportPreview();
 }
 
-// *** NEW: Undo/Redo Functions ***
-function saveToHistory(action) {
-    // Remove any states after current index
-    history = history.slice(0, historyIndex + 1);
+/**
+ * Saves the current column mapping and date format under a name (replacing a preset of the same name).
+ */
+async function saveImportPreset() {
+    if (!csvImport) return;
+    const nameInput = document.getElementById('importPresetName');
+    const name = nameInput.value.trim();
+    if (!name) {
+        showToast('Preset name is required', 'error');
+        return;
+    }
     
-    // Add new state to history
-    history.push({
-        tasks: JSON.parse(JSON.stringify(tasks)),
-        action: action,
-        timestamp: new Date().toISOString()
+    const mapping = {};
+    csvImport.headers.forEach((header, i) => {
+        if (csvImport.mapping[i]) mapping[header] = csvImport.mapping[i];
     });
-    
-    // Limit history size
-    if (history.length > maxHistorySize) {
-        history.shift();
-    } else {
-        historyIndex++;
+    if (Object.keys(mapping).length === 0) {
+        showToast('Map at least one column before saving a preset', 'error');
+        return;
     }
     
-    updateUndoRedoButtons();
+    const presets = (settings.importPresets || []).filter(p => p.name.toLowerCase() !== name.toLowerCase());
+    const preset = { id: 'preset-' + Date.now(), name, mapping, dateFormat: csvImport.dateFormat };
+    settings.importPresets = [...presets, preset];
+    csvImport.presetId = preset.id;
+    
+    try {
+        await db.put(SETTINGS_STORE, settings);
+    } catch (e) {
+        console.error("Error saving import preset:", e);
+        showToast('Error saving import preset', 'error');
+        return;
+    }
+    nameInput.value = '';
+    renderImportPresetOptions();
+    showToast(`Import preset '${name}' saved`, 'success');
 }
 
-function undo() {
-    if (historyIndex > 0) {
-        historyIndex--;
-        tasks = JSON.parse(JSON.stringify(history[historyIndex].tasks));
-        renderTasks();
-        renderAISummary();
-        updateFilterCounts();
-        updateUndoRedoButtons();
-        scheduleAutoSave();
-        showToast('Undo: ' + history[historyIndex + 1].action, 'info');
+async function deleteImportPreset() {
+    const select = document.getElementById('importPresetSelect');
+    const preset = (settings.importPresets || []).find(p => p.id === select.value);
+    if (!preset) {
+        showToast('Choose a preset to delete', 'error');
+        return;
+    }
+    
+    settings.importPresets = settings.importPresets.filter(p => p.id !== preset.id);
+    if (csvImport) csvImport.presetId = null;
+    try {
+        await db.put(SETTINGS_STORE, settings);
+    } catch (e) {
+        console.error("Error deleting import preset:", e);
+        showToast('Error deleting import preset', 'error');
+        return;
     }
+    renderImportPresetOptions();
+    showToast(`Import preset '${preset.name}' deleted`, 'success');
 }
 
-function redo() {
-    if (historyIndex < history.length - 1) {
-        historyIndex++;
-        tasks = JSON.parse(JSON.stringify(history[historyIndex].tasks));
-        renderTasks();
-        renderAISummary();
-        updateFilterCounts();
-        updateUndoRedoButtons();
-        scheduleAutoSave();
-        showToast('Redo: ' + history[historyIndex].action, 'info');
+// *** NEW: Importers for Other To-Do Apps ***
+// Each converts another app's export into task data for the Smart Import preview. Subtasks
+// (Todoist indents, Trello and To Do checklists) carry the source ids in `id`/`parentId`;
+// createImportedTasks() swaps them for new ids when the import is applied.
+
+/**
+ * Recognises another app's export so importFile can hand it to the right importer.
+ * @returns {string|null} - 'todoist', 'outlook', 'trello' or 'mstodo'
+ */
+function detectImportSource(data, headers) {
+    if (headers) {
+        const names = headers.map(h => h.trim().toUpperCase());
+        if (['TYPE', 'CONTENT', 'PRIORITY', 'INDENT'].every(h => names.includes(h))) return 'todoist';
+        if (names.includes('SUBJECT') && names.includes('DUE DATE') &&
+            (names.includes('% COMPLETE') || names.includes('DATE COMPLETED') || names.includes('STATUS'))) return 'outlook';
+        return null;
     }
+    if (data && Array.isArray(data.cards) && Array.isArray(data.lists)) return 'trello';
+    const items = Array.isArray(data) ? data : data && (data.value || (Array.isArray(data.lists) && data.lists.flatMap(l => l.tasks || [])));
+    if (Array.isArray(items) && items.length > 0 &&
+        items.every(item => item && typeof item.title === 'string' && ('importance' in item || 'dueDateTime' in item || 'checklistItems' in item))) {
+        return 'mstodo';
+    }
+    return null;
 }
 
-function updateUndoRedoButtons() {
-    const undoBtn = document.getElementById('undoBtn');
-    const redoBtn = document.getElementById('redoBtn');
+/**
+ * Splits labels into a known category (the first that names one) and tags.
+ */
+function splitImportLabels(labels) {
+    const names = labels.map(label => String(label).trim()).filter(label => label);
+    const category = names.find(label => getCategories().some(c => c.id === label.toLowerCase() || c.name.toLowerCase() === label.toLowerCase()));
+    return { category: category || null, tags: names.filter(label => label !== category) };
+}
+
+/**
+ * Todoist's CSV export: one row per task, section or note. INDENT nests subtasks under the
+ * task above; PRIORITY 1 is Todoist's p1 (highest); @labels live in the task text.
+ */
+function parseTodoistCSV(headers, rows) {
+    const column = name => headers.findIndex(h => h.trim().toUpperCase() === name);
+    const get = (row, name) => column(name) > -1 ? (row[column(name)] || '').trim() : '';
+    const priorities = { 1: 'urgent', 2: 'high', 3: 'medium', 4: 'low' };
+    const items = [];
+    const parents = []; // Last task at each indent level
+    let section = null;
+    
+    rows.forEach((row, index) => {
+        const type = get(row, 'TYPE').toLowerCase();
+        const content = get(row, 'CONTENT');
+        if (type === 'section') {
+            section = content || null;
+            parents.length = 0;
+            return;
+        }
+        if (type === 'note') {
+            const last = items[items.length - 1];
+            if (last && content) last.description = [last.description, content].filter(text => text).join('\n\n');
+            return;
+        }
+        if (type !== 'task' || !content) return;
+        
+        const labels = [];
+        const title = content.replace(/(^|\s)@([^\s@]+)/g, (match, space, label) => {
+            labels.push(label);
+            return '';
+        }).replace(/\s+/g, ' ').trim();
+        const { category, tags } = splitImportLabels(labels);
+        
+        // Dates are either plain dates or Todoist phrases like "every monday"
+        const dateText = get(row, 'DATE');
+        let dueDate = parseImportDate(dateText, 'ymd');
+        let rrule = null;
+        if (dateText && !dueDate) {
+            const parsed = parseQuickAddInput(dateText);
+            dueDate = parsed.dueDate;
+            rrule = parsed.rrule;
+        }
+        
+        const duration = parseInt(get(row, 'DURATION'), 10);
+        const indent = Math.max(1, parseInt(get(row, 'INDENT'), 10) || 1);
+        const item = {
+            id: `todoist-${index}`,
+            title,
+            description: get(row, 'DESCRIPTION'),
+            priority: priorities[get(row, 'PRIORITY')] || 'low',
+            category,
+            tags,
+            dueDate,
+            repeat: !!rrule,
+            rrule,
+            estimateMinutes: duration ? (get(row, 'DURATION_UNIT').toLowerCase() === 'day' ? duration * 1440 : duration) : null,
+            workflowState: section,
+            parentId: indent > 1 && parents[indent - 2] ? parents[indent - 2].id : null,
+            completed: false
+        };
+        parents[indent - 1] = item;
+        parents.length = indent;
+        items.push(item);
+    });
+    return items;
+}
+
+/**
+ * Outlook's task CSV export (also how Microsoft To Do lists are exported through Outlook).
+ */
+function parseOutlookCSV(headers, rows) {
+    const column = name => headers.findIndex(h => h.trim().toLowerCase() === name);
+    const get = (row, name) => column(name) > -1 ? (row[column(name)] || '').trim() : '';
+    const priorities = { high: 'high', normal: 'medium', low: 'low' };
+    
+    return rows.map(row => {
+        const { category, tags } = splitImportLabels(get(row, 'categories').split(/[;,]/));
+        const dateCompleted = parseImportDate(get(row, 'date completed'));
+        const reminderOn = /^(true|yes|1)$/i.test(get(row, 'reminder on/off'));
+        return {
+            title: get(row, 'subject'),
+            description: get(row, 'notes'),
+            priority: priorities[get(row, 'priority').toLowerCase()] || 'medium',
+            category,
+            tags,
+            dueDate: parseImportDate(get(row, 'due date')),
+            reminder: reminderOn ? parseImportDate(`${get(row, 'reminder date')} ${get(row, 'reminder time')}`.trim()) : null,
+            completed: get(row, 'status').toLowerCase() === 'completed' || parseInt(get(row, '% complete'), 10) === 100 || !!dateCompleted,
+            completedAt: dateCompleted ? new Date(dateCompleted).toISOString() : null
+        };
+    }).filter(item => item.title);
+}
+
+/**
+ * Microsoft To Do tasks as returned by Microsoft Graph (an array, `{ value: [...] }`
+ * or `{ lists: [{ displayName, tasks }] }`). Checklist items become subtasks.
+ */
+function parseMicrosoftToDo(data) {
+    const lists = Array.isArray(data) ? [{ tasks: data }] :
+        Array.isArray(data.lists) ? data.lists : [{ tasks: data.value || [] }];
+    const priorities = { high: 'high', normal: 'medium', low: 'low' };
+    const toLocal = value => {
+        if (!value || !value.dateTime) return null;
+        const zoned = value.timeZone === 'UTC' && !/Z|[+-]\d{2}:?\d{2}$/.test(value.dateTime) ? value.dateTime + 'Z' : value.dateTime;
+        const date = new Date(zoned);
+        return isNaN(date.getTime()) ? null : toDateTimeLocalValue(date);
+    };
+    const items = [];
     
-    if (undoBtn) {
-        undoBtn.disabled = historyIndex <= 0;
+    lists.forEach(list => (list.tasks || []).forEach((task, index) => {
+        const id = task.id || `mstodo-${items.length}-${index}`;
+        const { category, tags } = splitImportLabels([...(task.categories || []), ...(list.displayName ? [list.displayName] : [])]);
+        const body = task.body && task.body.content ? task.body.content : '';
+        const completedAt = toLocal(task.completedDateTime);
+        
+        items.push({
+            id,
+            title: task.title,
+            description: task.body && task.body.contentType === 'html' ? new DOMParser().parseFromString(body, 'text/html').body.textContent.trim() : body.trim(),
+            priority: priorities[task.importance] || 'medium',
+            category,
+            tags,
+            dueDate: toLocal(task.dueDateTime),
+            reminder: task.isReminderOn === false ? null : toLocal(task.reminderDateTime),
+            ...microsoftRecurrenceToRRule(task.recurrence),
+            completed: task.status === 'completed',
+            completedAt: completedAt ? new Date(completedAt).toISOString() : null,
+            createdAt: task.createdDateTime || null
+        });
+        
+        (task.checklistItems || []).forEach((checklistItem, itemIndex) => items.push({
+            id: checklistItem.id || `${id}-check-${itemIndex}`,
+            parentId: id,
+            title: checklistItem.displayName,
+            category,
+            priority: priorities[task.importance] || 'medium',
+            completed: !!checklistItem.isChecked
+        }));
+    }));
+    return items.filter(item => item.title);
+}
+
+/**
+ * Converts a Microsoft Graph recurrence pattern to { repeat, rrule }.
+ */
+function microsoftRecurrenceToRRule(recurrence) {
+    const pattern = recurrence && recurrence.pattern;
+    if (!pattern) return { repeat: false, rrule: null };
+    
+    const freqs = { daily: 'DAILY', weekly: 'WEEKLY', absoluteMonthly: 'MONTHLY', relativeMonthly: 'MONTHLY', absoluteYearly: 'YEARLY', relativeYearly: 'YEARLY' };
+    const freq = freqs[pattern.type];
+    if (!freq) return { repeat: false, rrule: null };
+    
+    const days = (pattern.daysOfWeek || []).map(day => RRULE_WEEKDAYS[WEEKDAY_NAMES.findIndex(name => name.toLowerCase() === day)]).filter(day => day);
+    const ordinals = { first: 1, second: 2, third: 3, fourth: 4, last: -1 };
+    const parts = [`FREQ=${freq}`];
+    if (pattern.interval > 1) parts.push(`INTERVAL=${pattern.interval}`);
+    if (days.length > 0) {
+        const ordinal = pattern.type.startsWith('relative') ? ordinals[pattern.index] || '' : '';
+        parts.push(`BYDAY=${days.map(day => ordinal + day).join(',')}`);
     }
-    
-    if (redoBtn) {
-        redoBtn.disabled = historyIndex >= history.length - 1;
+    if (pattern.type.startsWith('absolute') && pattern.type !== 'absoluteYearly' && pattern.dayOfMonth) {
+        parts.push(`BYMONTHDAY=${pattern.dayOfMonth}`);
     }
+    if (pattern.type.endsWith('Yearly') && pattern.month) parts.push(`BYMONTH=${pattern.month}`);
+    return { repeat: true, rrule: parts.join(';') };
 }
 
-// *** NEW: Auto-save Functions ***
-function scheduleAutoSave() {
-    hasUnsavedChanges = true;
-    
-    // Clear existing timer
-    if (autoSaveTimer) {
-        clearTimeout(autoSaveTimer);
+/**
+ * A Trello board export. Open cards become tasks (their list becomes the workflow state),
+ * labels become tags (or the priority, when named like one) and checklist items become subtasks.
+ */
+function parseTrelloBoard(board) {
+    const openLists = new Map(board.lists.filter(list => !list.closed).map(list => [list.id, list.name]));
+    const priorityNames = ['urgent', 'high', 'medium', 'low'];
+    const items = [];
+    
+    board.cards.filter(card => !card.closed && openLists.has(card.idList)).forEach(card => {
+        const labels = (card.labels || []).map(label => label.name || label.color).filter(label => label);
+        const priorityLabel = labels.find(label => priorityNames.includes(label.toLowerCase()));
+        const { category, tags } = splitImportLabels(labels.filter(label => label !== priorityLabel));
+        const due = card.due ? new Date(card.due) : null;
+        
+        items.push({
+            id: card.id,
+            title: card.name,
+            description: card.desc || '',
+            priority: priorityLabel ? priorityLabel.toLowerCase() : 'medium',
+            category,
+            tags,
+            dueDate: due ? toDateTimeLocalValue(due) : null,
+            workflowState: openLists.get(card.idList),
+            completed: !!card.dueComplete,
+            order: card.pos
+        });
+        
+        (board.checklists || []).filter(checklist => checklist.idCard === card.id).forEach(checklist => {
+            (checklist.checkItems || []).slice().sort((a, b) => a.pos - b.pos).forEach(checkItem => items.push({
+                id: checkItem.id,
+                parentId: card.id,
+                title: checkItem.name,
+                category,
+                tags: checklist.name && checklist.name !== 'Checklist' ? [checklist.name] : [],
+                dueDate: checkItem.due ? toDateTimeLocalValue(new Date(checkItem.due)) : null,
+                completed: checkItem.state === 'complete',
+                order: checkItem.pos
+            }));
+        });
+    });
+    return items;
+}
+
+/**
+ * The todo.txt format (one task per line): "x" marks completion, "(A)" the priority, then optional
+ * completion and creation dates; +project and @context become the category or tags, and the
+ * due: and rec: extensions the due date and recurrence. Other key:value pairs stay in the title.
+ */
+function parseTodoTxt(text) {
+    return text.split(/\r?\n/).map(line => line.trim()).filter(line => line)
+        .map(line => parseTodoTxtLine(line))
+        .filter(item => item.title);
+}
+
+const TODO_TXT_PRIORITIES = { A: 'urgent', B: 'high', C: 'medium', D: 'low' };
+const TODO_TXT_RECURRENCE_UNITS = { d: 'DAILY', w: 'WEEKLY', m: 'MONTHLY', y: 'YEARLY' };
+
+/**
+ * Parses one todo.txt line (also used for the text of Markdown checklist items).
+ */
+function parseTodoTxtLine(line) {
+    let rest = line;
+    let completed = false;
+    let completedDate = null;
+    let createdDate = null;
+    let priority = null;
+    
+    const done = rest.match(/^x\s+/);
+    if (done) {
+        completed = true;
+        rest = rest.slice(done[0].length);
+        const dates = rest.match(/^(\d{4}-\d{2}-\d{2})\s+(?:(\d{4}-\d{2}-\d{2})\s+)?/);
+        if (dates) {
+            completedDate = dates[1];
+            createdDate = dates[2] || null;
+            rest = rest.slice(dates[0].length);
+        }
+    }
+    const pri = rest.match(/^\(([A-Z])\)\s+/);
+    if (pri) {
+        priority = pri[1];
+        rest = rest.slice(pri[0].length);
+    }
+    const created = !createdDate && rest.match(/^(\d{4}-\d{2}-\d{2})\s+/);
+    if (created) {
+        createdDate = created[1];
+        rest = rest.slice(created[0].length);
     }
     
-    // Schedule new auto-save
-    autoSaveTimer = setTimeout(() => {
-        autoSave();
-    }, autoSaveDelay);
+    const labels = [];
+    const contexts = [];
+    let dueDate = null;
+    let rrule = null;
+    let recurrenceBasis = 'schedule';
+    const words = rest.split(/\s+/).filter(word => {
+        if (/^\+\S+$/.test(word)) {
+            labels.push(word.slice(1));
+            return false;
+        }
+        if (/^@\S+$/.test(word)) {
+            contexts.push(word.slice(1));
+            return false;
+        }
+        const extension = word.match(/^([a-z]+):(\S+)$/i);
+        if (!extension) return true;
+        const [, key, value] = extension;
+        if (key.toLowerCase() === 'due') {
+            dueDate = parseImportDate(value, 'ymd');
+            return !dueDate;
+        }
+        if (key.toLowerCase() === 'pri' && /^[A-Z]$/.test(value)) {
+            priority = priority || value;
+            return false;
+        }
+        if (key.toLowerCase() === 'rec') {
+            // "rec:+1w" repeats on schedule; "rec:1w" counts from completion
+            const recurrence = value.match(/^(\+)?(\d*)([dwmyb])$/i);
+            if (!recurrence) return true;
+            const [, strict, count, unit] = recurrence;
+            const interval = parseInt(count, 10) > 1 ? `;INTERVAL=${parseInt(count, 10)}` : '';
+            rrule = unit.toLowerCase() === 'b' ? 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR' : `FREQ=${TODO_TXT_RECURRENCE_UNITS[unit.toLowerCase()]}${interval}`;
+            recurrenceBasis = strict ? 'schedule' : 'completion';
+            return false;
+        }
+        return true;
+    });
+    
+    const { category, tags } = splitImportLabels(labels);
+    return {
+        title: words.join(' '),
+        priority: priority ? TODO_TXT_PRIORITIES[priority] || 'low' : null,
+        category,
+        tags: [...tags, ...contexts],
+        dueDate,
+        repeat: !!rrule,
+        rrule,
+        recurrenceBasis,
+        completed,
+        completedAt: completedDate ? new Date(`${completedDate}T12:00:00`).toISOString() : null,
+        createdAt: createdDate ? new Date(`${createdDate}T00:00:00`).toISOString() : null
+    };
 }
 
-async function autoSave() {
-    if (!hasUnsavedChanges) return;
-    
+/**
+ * The todo.txt "rec:" value for a recurrence rule, or null when the rule is too complex to express
+ * (ordinal weekdays, month days, COUNT or UNTIL).
+ */
+function rruleToTodoTxtRec(rrule, recurrenceBasis) {
+    let rule;
     try {
-        await saveTasks();
-        hasUnsavedChanges = false;
-        showAutoSaveIndicator();
-        console.log('Auto-saved at', new Date().toLocaleTimeString());
-    } catch (error) {
-        console.error('Auto-save failed:', error);
-        showToast('Auto-save failed', 'error');
+        rule = parseRRule(rrule);
+    } catch (e) {
+        return null;
     }
+    if (rule.count || rule.until || rule.byMonthDay.length || rule.byMonth.length) return null;
+    
+    const strict = recurrenceBasis === 'completion' ? '' : '+';
+    if (rule.byDay.length) {
+        const weekdays = rule.byDay.map(entry => entry.ordinal === null ? RRULE_WEEKDAYS[entry.day] : null).sort().join(',');
+        return rule.freq === 'WEEKLY' && rule.interval === 1 && weekdays === 'FR,MO,TH,TU,WE' ? `${strict}b` : null;
+    }
+    const unit = Object.keys(TODO_TXT_RECURRENCE_UNITS).find(key => TODO_TXT_RECURRENCE_UNITS[key] === rule.freq);
+    return unit ? `${strict}${rule.interval > 1 ? rule.interval : ''}${unit}` : null;
 }
 
-function showAutoSaveIndicator() {
-    const indicator = document.getElementById('autoSaveIndicator');
-    if (indicator) {
-        indicator.classList.add('show');
-        setTimeout(() => {
-            indicator.classList.remove('show');
-        }, 2000);
+/**
+ * The title and todo.txt tokens for a task: +category, @tags (spaces become underscores),
+ * due: and rec:. Shared by the todo.txt and Markdown exporters.
+ */
+function formatTodoTxtText(task) {
+    const words = [task.title.replace(/\s+/g, ' ').trim()];
+    if (task.category) words.push(`+${task.category}`);
+    (task.tags || []).forEach(tag => words.push(`@${String(tag).trim().replace(/\s+/g, '_')}`));
+    if (task.dueDate) words.push(`due:${task.dueDate.slice(0, 10)}`);
+    
+    // Finished occurrences are history; only the pending one carries the rule
+    if (task.repeat && !task.completed) {
+        const template = getSeriesTemplate(task);
+        const rec = template.rrule ? rruleToTodoTxtRec(template.rrule, template.recurrenceBasis) : null;
+        if (rec) words.push(`rec:${rec}`);
     }
+    return words.join(' ');
 }
 
-// *** NEW: Enhanced saveTasks with history tracking ***
-async function saveTasks() {
-    try {
-        // Use a transaction to clear and re-populate
-        const tx = db.transaction(TASK_STORE, 'readwrite');
-        const store = tx.objectStore(TASK_STORE);
-        await store.clear();
-        
-        // Add all tasks
-        for (const task of tasks) {
-            await store.add(task);
-        }
-        
-        console.log('Tasks saved successfully');
-    } catch (error) {
-        console.error("Error saving tasks:", error);
-        throw error;
+function formatTodoTxtLine(task) {
+    const priority = Object.keys(TODO_TXT_PRIORITIES).find(key => TODO_TXT_PRIORITIES[key] === task.priority);
+    const created = task.createdAt ? toDateKey(new Date(task.createdAt)) : null;
+    const text = formatTodoTxtText(task);
+    
+    if (task.completed) {
+        // Completed lines start with "x", so the priority moves to a pri: extension
+        const completed = toDateKey(task.completedAt ? new Date(task.completedAt) : new Date());
+        return ['x', completed, created, text, priority ? `pri:${priority}` : null].filter(part => part).join(' ');
     }
+    return [priority ? `(${priority})` : null, created, text].filter(part => part).join(' ');
 }
 
-// *** NEW: Quick Export Menu Functions ***
-function showQuickExportMenu() {
-    const menu = document.getElementById('quickExportMenu');
-    if (menu) {
-        menu.style.display = 'block';
-        
-        // Position the menu relative to the export button
-        const exportBtn = event.target.closest('.icon-btn');
-        const rect = exportBtn.getBoundingClientRect();
-        menu.style.top = (rect.bottom + window.scrollY + 8) + 'px';
-        menu.style.right = (window.innerWidth - rect.right) + 'px';
-        
-        // Close menu when clicking outside
-        setTimeout(() => {
-            document.addEventListener('click', hideQuickExportMenuOnClickOutside);
-        }, 100);
-    }
+/**
+ * Visits tasks parent-first, keeping the list's order among siblings, with their subtask depth.
+ * Subtasks whose parent is not in the list are treated as top-level tasks.
+ */
+function forEachTaskInTree(taskList, callback) {
+    const ids = new Set(taskList.map(t => t.id));
+    const visit = (task, depth) => {
+        callback(task, depth);
+        taskList.filter(t => t.parentId === task.id).forEach(child => visit(child, depth + 1));
+    };
+    taskList.filter(t => !t.parentId || !ids.has(t.parentId)).forEach(task => visit(task, 0));
 }
 
-function hideQuickExportMenu() {
-    const menu = document.getElementById('quickExportMenu');
-    if (menu) {
-        menu.style.display = 'none';
-        document.removeEventListener('click', hideQuickExportMenuOnClickOutside);
-    }
+function getTasksInListOrder() {
+    return [...tasks].sort((a, b) => (a.order || 0) - (b.order || 0));
 }
 
-function hideQuickExportMenuOnClickOutside(event) {
-    const menu = document.getElementById('quickExportMenu');
-    const exportBtn = event.target.closest('.icon-btn[onclick*="showQuickExportMenu"]');
+function exportToTodoTxt() {
+    if (tasks.length === 0) {
+        showToast('No tasks to export', 'error');
+        return;
+    }
     
-    if (menu && !menu.contains(event.target) && !exportBtn) {
-        hideQuickExportMenu();
+    const lines = [];
+    forEachTaskInTree(getTasksInListOrder(), task => lines.push(formatTodoTxtLine(task)));
+    const filename = getTimestampedFilename('todo', 'txt');
+    downloadFile(lines.join('\n') + '\n', filename, 'text/plain;charset=utf-8');
+    showToast(`Tasks exported to ${filename}`, 'success');
+}
+
+/**
+ * Exports tasks as a Markdown checklist. Subtasks are indented two spaces per level and
+ * descriptions follow their item as indented lines, so the file re-imports with its structure.
+ */
+function exportToMarkdown() {
+    if (tasks.length === 0) {
+        showToast('No tasks to export', 'error');
+        return;
     }
+    
+    const lines = ['# Tasks', ''];
+    forEachTaskInTree(getTasksInListOrder(), (task, depth) => {
+        const indent = '  '.repeat(depth);
+        const priority = Object.keys(TODO_TXT_PRIORITIES).find(key => TODO_TXT_PRIORITIES[key] === task.priority);
+        lines.push(`${indent}- [${task.completed ? 'x' : ' '}] ${priority ? `(${priority}) ` : ''}${formatTodoTxtText(task)}`);
+        (task.description || '').split(/\r?\n/).filter(line => line.trim()).forEach(line => {
+            lines.push(`${indent}  ${line.trim()}`);
+        });
+    });
+    const filename = getTimestampedFilename('tasks', 'md');
+    downloadFile(lines.join('\n') + '\n', filename, 'text/markdown;charset=utf-8');
+    showToast(`Tasks exported to ${filename}`, 'success');
+}
+
+/**
+ * Reads a Markdown checklist: "- [ ]" and "- [x]" items (also "*" and "+" bullets), with the
+ * item text in todo.txt style. Indentation nests subtasks; indented plain lines under an item
+ * become its description. Headings and other lines are ignored.
+ */
+function parseMarkdownChecklist(text) {
+    const items = [];
+    const parents = []; // { indent, item } for each open nesting level
+    let last = null;
+    
+    text.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.replace(/\t/g, '    ');
+        const match = line.match(/^(\s*)[-*+]\s+\[([ xX])\]\s+(.*)$/);
+        if (!match) {
+            if (!line.trim()) return;
+            // Description lines are indented past their item's bullet
+            if (last && line.match(/^\s*/)[0].length > last.indent) {
+                last.item.description = [last.item.description, line.trim()].filter(part => part).join('\n');
+            } else {
+                last = null;
+            }
+            return;
+        }
+        
+        const [, spaces, mark, content] = match;
+        const indent = spaces.length;
+        while (parents.length && parents[parents.length - 1].indent >= indent) {
+            parents.pop();
+        }
+        const item = {
+            ...parseTodoTxtLine(content.trim()),
+            id: `md-${items.length + 1}`,
+            parentId: parents.length ? parents[parents.length - 1].item.id : null,
+            completed: mark.toLowerCase() === 'x',
+            description: '',
+            order: items.length
+        };
+        if (!item.title) return;
+        
+        items.push(item);
+        last = { indent, item };
+        parents.push(last);
+    });
+    return items;
 }
 
 // *** NEW: Smart Import System ***
 let importData = [];
+let importErrors = []; // *** NEW: { row, title, message } for rows left out of the import ***
+let importCategories = null; // *** NEW: { added, aliases } for categories the file brings, while the preview is open ***
+const IMPORTED_CATEGORY_COLOR = '#6b7280';
 let importAnalysis = {
     total: 0,
     new: 0,
@@ -1586,6 +5744,10 @@ function detectDuplicate(importTask, existingTasks) {
     const matchPriority = document.getElementById('matchPriority').checked;
     const matchDueDate = document.getElementById('matchDueDate').checked;
     
+    // *** NEW: The same id or calendar UID is always the same task ***
+    const exactMatch = existingTasks.find(existingTask => isDuplicate(importTask, existingTask));
+    if (exactMatch) return exactMatch;
+    
     return existingTasks.find(existingTask => {
         let matches = 0;
         let totalChecks = 0;
@@ -1689,6 +5851,27 @@ function updateImportPreview() {
     
     // Render preview table
     renderPreviewTable();
+    renderImportErrors();
+    renderImportCategories();
+}
+
+// *** NEW: Categories this device doesn't have yet are added, not remapped ***
+function renderImportCategories() {
+    const notice = document.getElementById('importCategoriesNotice');
+    const added = importCategories ? importCategories.added : [];
+    notice.classList.toggle('hidden', added.length === 0);
+    notice.innerHTML = added.length === 0 ? '' :
+        `<i class="fas fa-tags"></i> New categories will be added: ${added.map(c => renderCategoryBadge(c.id)).join(' ')}`;
+}
+
+// *** NEW: Rows that were left out, so nothing is dropped silently ***
+function renderImportErrors() {
+    const section = document.getElementById('importErrorsSection');
+    section.classList.toggle('hidden', importErrors.length === 0);
+    document.getElementById('importErrorsCount').textContent = importErrors.length;
+    document.getElementById('importErrorsList').innerHTML = importErrors.map(error => `
+        <li><strong>Row ${error.row}</strong>${error.title ? ` (${escapeHtml(error.title)})` : ''}: ${escapeHtml(error.message)}</li>
+    `).join('');
 }
 
 // *** NEW: Render Preview Table ***
@@ -1717,7 +5900,7 @@ function renderPreviewTable() {
                 </td>
                 <td>${escapeHtml(task.title)}</td>
                 <td>
-                    <span class="category-badge category-${task.category}">${capitalize(task.category)}</span>
+                    ${renderCategoryBadge(task.category)}
                 </td>
                 <td>
                     <span class="priority-badge priority-${task.priority}">${capitalize(task.priority)}</span>
@@ -1733,15 +5916,43 @@ function filterPreview() {
     renderPreviewTable();
 }
 
+/**
+ * Turns the chosen import rows into tasks with new ids. Subtask, dependency and recurrence links that
+ * point at other rows of the file are rewritten to the new ids, or to the existing task when
+ * that row was a duplicate that isn't being added.
+ * @param {Array} analyses - Entries of importAnalysis.tasks to add
+ * @param {boolean} [keepExisting=true] - False when the import replaces every existing task
+ */
+function createImportedTasks(analyses, keepExisting = true) {
+    const idMap = new Map();
+    const created = [];
+    
+    importAnalysis.tasks.forEach(analysis => {
+        const sourceId = analysis.task.id;
+        if (analyses.includes(analysis)) {
+            const task = { ...analysis.task, id: Date.now().toString() + Math.random() };
+            if (sourceId) idMap.set(sourceId, task.id);
+            created.push(task);
+        } else if (keepExisting && analysis.duplicate && sourceId) {
+            idMap.set(sourceId, analysis.duplicate.id);
+        }
+    });
+    
+    const existingIds = new Set(keepExisting ? tasks.map(t => t.id) : []);
+    const resolveId = id => idMap.get(id) || (existingIds.has(id) ? id : null);
+    created.forEach(task => {
+        task.parentId = task.parentId ? resolveId(task.parentId) : null;
+        task.blockedBy = (task.blockedBy || []).map(resolveId).filter(id => id);
+        task.seriesId = task.seriesId ? idMap.get(task.seriesId) || task.seriesId : null;
+        task.previousInstanceId = task.previousInstanceId ? resolveId(task.previousInstanceId) : null;
+    });
+    return created;
+}
+
 // *** NEW: Enhanced Import Handlers ***
-function handleImportMerge() {
-    const newTasks = importAnalysis.tasks
-        .filter(analysis => analysis.status === 'new')
-        .map(analysis => ({
-            ...analysis.task,
-            id: Date.now().toString() + Math.random(),
-            createdAt: new Date().toISOString()
-        }));
+async function handleImportMerge() {
+    const newTasks = createImportedTasks(importAnalysis.tasks.filter(analysis => analysis.status === 'new'));
+    await saveImportedCategories();
     
     tasks.push(...newTasks);
     saveToHistory(`Incremental import: ${newTasks.length} tasks added`);
@@ -1753,18 +5964,13 @@ function handleImportMerge() {
     closeImportModal();
 }
 
-function handleImportUpdate() {
-    const newTasks = [];
+async function handleImportUpdate() {
+    const newTasks = createImportedTasks(importAnalysis.tasks.filter(analysis => analysis.status === 'new'));
     const updatedTasks = [];
+    await saveImportedCategories();
     
     importAnalysis.tasks.forEach(analysis => {
-        if (analysis.status === 'new') {
-            newTasks.push({
-                ...analysis.task,
-                id: Date.now().toString() + Math.random(),
-                createdAt: new Date().toISOString()
-            });
-        } else if (analysis.status === 'updated' && analysis.duplicate) {
+        if (analysis.status === 'updated' && analysis.duplicate) {
             // Update existing task
             const existingTask = tasks.find(t => t.id === analysis.duplicate.id);
             if (existingTask) {
@@ -1792,16 +5998,13 @@ function handleImportUpdate() {
     closeImportModal();
 }
 
-function handleImportOverwrite() {
+async function handleImportOverwrite() {
     if (!confirm('This will delete all existing tasks and replace them with the imported tasks. This action cannot be undone. Continue?')) {
         return;
     }
     
-    const newTasks = importAnalysis.tasks.map(analysis => ({
-        ...analysis.task,
-        id: Date.now().toString() + Math.random(),
-        createdAt: new Date().toISOString()
-    }));
+    const newTasks = createImportedTasks(importAnalysis.tasks, false);
+    await saveImportedCategories();
     
     tasks = newTasks;
     saveToHistory(`Overwrite import: ${newTasks.length} tasks replaced all existing tasks`);
@@ -1819,7 +6022,10 @@ function handleImportCancel() {
 
 function closeImportModal() {
     document.getElementById('importOptionsModal').classList.add('hidden');
+    csvImport = null;
     importData = [];
+    importErrors = [];
+    importCategories = null;
     importAnalysis = { total: 0, new: 0, duplicates: 0, updated: 0, fileType: '', tasks: [] };
 }
 
@@ -1831,6 +6037,8 @@ async function importFile(event) {
     const fileName = file.name.toLowerCase();
     let fileType = '';
     let data = [];
+    importErrors = [];
+    importCategories = { added: [], aliases: {} };
     
     try {
         if (fileName.endsWith('.json')) {
@@ -1838,25 +6046,73 @@ async function importFile(event) {
             const text = await file.text();
             const parsedData = JSON.parse(text);
             
-            // Handle both formats: direct array or object with tasks property
-            if (Array.isArray(parsedData)) {
+            // *** NEW: Trello boards and Microsoft To Do exports have their own importers ***
+            const source = detectImportSource(parsedData);
+            if (source === 'trello') {
+                fileType = 'trello';
+                data = parseTrelloBoard(parsedData);
+            } else if (source === 'mstodo') {
+                fileType = 'microsoft to do';
+                data = parseMicrosoftToDo(parsedData);
+            } else if (Array.isArray(parsedData)) {
+                // Our own format: a direct array or an object with a tasks property
                 data = parsedData;
             } else if (parsedData && parsedData.tasks && Array.isArray(parsedData.tasks)) {
                 data = parsedData.tasks;
+                registerImportedCategories(parsedData.categories); // *** NEW: Custom categories come along
+
             } else {
                 throw new Error('Invalid JSON format. Expected an array of tasks or an object with a "tasks" array.');
             }
         } else if (fileName.endsWith('.xlsx')) {
             fileType = 'excel';
-            data = await parseExcel(file);
+            const result = await parseExcel(file);
+            data = result.tasks;
+            importErrors = result.errors;
+        } else if (fileName.endsWith('.ics')) {
+            fileType = 'ics';
+            data = parseICS(await file.text());
+        } else if (fileName.endsWith('.csv') || fileName.endsWith('.tsv')) {
+            // *** NEW: Delimited files get a column-mapping step in the preview ***
+            loadCSVImport(await file.arrayBuffer(), fileName.endsWith('.tsv') ? '\t' : null);
+            if (csvImport.rows.length === 0) {
+                throw new Error('No rows found in the file.');
+            }
+            fileType = csvImport.delimiter === '\t' ? 'tsv' : 'csv';
+            data = getCSVMappedData();
+            
+            // *** NEW: Known exports skip the mapping step ***
+            const source = detectImportSource(null, csvImport.headers);
+            if (source === 'todoist') {
+                fileType = 'todoist';
+                data = parseTodoistCSV(csvImport.headers, csvImport.rows);
+            } else if (source === 'outlook') {
+                fileType = 'outlook';
+                data = parseOutlookCSV(csvImport.headers, csvImport.rows);
+            }
+        } else if (fileName.endsWith('.txt')) {
+            fileType = 'todo.txt';
+            data = parseTodoTxt(await file.text());
+        } else if (fileName.endsWith('.md') || fileName.endsWith('.markdown')) {
+            fileType = 'markdown';
+            data = parseMarkdownChecklist(await file.text());
         } else {
-            showToast('Unsupported file format. Please use JSON or Excel files.', 'error');
+            showToast('Unsupported file format. Please use JSON, Excel, CSV, todo.txt, Markdown or iCalendar (.ics) files.', 'error');
+            importCategories = null;
             return;
         }
         
-        // Validate data structure
-        if (!Array.isArray(data) || data.length === 0) {
-            showToast('Invalid file format or no tasks found', 'error');
+        if (fileType !== 'csv' && fileType !== 'tsv') {
+            csvImport = null;
+        }
+        
+        // Validate data structure (CSV files can still be mapped when no column was recognised)
+        if (!Array.isArray(data) || (data.length === 0 && !csvImport)) {
+            showToast(importErrors.length > 0 ?
+                `No valid tasks found: row ${importErrors[0].row}: ${importErrors[0].message}` :
+                'Invalid file format or no tasks found', 'error');
+            importCategories = null;
+            event.target.value = '';
             return;
         }
         
@@ -1868,12 +6124,14 @@ async function importFile(event) {
         
         // Update preview UI
         updateImportPreview();
+        renderCSVMapping();
         
         // Show import modal
         document.getElementById('importOptionsModal').classList.remove('hidden');
         
     } catch (error) {
         console.error('Import error:', error);
+        importCategories = null;
         showToast('Error importing file: ' + error.message, 'error');
     }
     
@@ -1883,24 +6141,43 @@ async function importFile(event) {
 
 // *** NEW: Normalize Task Data ***
 function normalizeTaskData(item) {
-    return {
+    const repeat = parseImportBoolean(item.repeat || item.Repeat); // *** UPDATED: Spreadsheets say "Yes"/"No" ***
+    
+    // *** UPDATED: Files from before reminder lists have a single reminder time ***
+    return upgradeLegacyReminder({
         id: item.id || '',
         title: item.title || item.Title || item.task || item.Task || '',
         description: item.description || item.Description || item.notes || item.Notes || '',
-        category: item.category || item.Category || 'personal',
+        category: resolveCategoryId(item.category || item.Category),
         priority: item.priority || item.Priority || 'medium',
-        dueDate: item.dueDate || item.due_date || item.DueDate || item.Due || null,
+        dueDate: item.dueDate || item.due_date || item.DueDate || item.Due || item['Due Date'] || null,
+        reminders: item.reminders,
         reminder: item.reminder || item.Reminder || null,
-        repeat: item.repeat || item.Repeat || false,
-        repeatFrequency: item.repeatFrequency || item.repeat_frequency || item.Frequency || null,
+        repeat,
+        // A repeating task with no rule or frequency repeats daily, as in the v3 migration
+        rrule: item.rrule || item.RRULE || item['Repeat Rule'] ||
+               frequencyToRRule(item.repeatFrequency || item.repeat_frequency || item.Frequency || item['Repeat Frequency']) ||
+               (repeat ? 'FREQ=DAILY' : null),
+        occurrence: item.occurrence || 1,
+        recurrenceBasis: item.recurrenceBasis === 'completion' ? 'completion' : 'schedule',
+        skipMissed: item.skipMissed === true,
+        seriesId: item.seriesId || null,
+        seriesDefaults: item.seriesDefaults || null,
+        blockedBy: Array.isArray(item.blockedBy) ? item.blockedBy : [],
+        estimateMinutes: parseInt(item.estimateMinutes || item['Estimate (min)'], 10) || null,
+        timeEntries: Array.isArray(item.timeEntries) ? item.timeEntries : [],
         tags: Array.isArray(item.tags) ? item.tags : 
                (item.tags || item.Tags || item.tag || item.Tag ? 
                 (item.tags || item.Tags || item.tag || item.Tag).toString().split(',').map(t => t.trim()).filter(t => t) : []),
-        completed: item.completed || item.Completed || false,
+        completed: parseImportBoolean(item.completed || item.Completed),
+        completedAt: item.completedAt || item['Completed At'] || null,
+        previousInstanceId: item.previousInstanceId || null,
+        icsUid: item.icsUid || null,
+        workflowState: item.workflowState || null,
         parentId: item.parentId || item.parent_id || null,
-        createdAt: item.createdAt || item.created_at || item.Created || new Date().toISOString(),
+        createdAt: item.createdAt || item.created_at || item.Created || item['Created At'] || new Date().toISOString(),
         order: item.order || item.Order || Date.now()
-    };
+    });
 }
 
 // *** NEW: Get due date class for styling ***
@@ -2031,6 +6308,7 @@ async function handleDrop(event) {
     }
     
     draggedTask.order = targetOrder;
+    saveToHistory(`Reordered '${draggedTask.title}'`);
     
     // Set sort to manual, save, and re-render
     setSortOption('order'); // This will call renderTasks
@@ -2074,45 +6352,462 @@ document.addEventListener('click', function(event) {
 
 
 // Reminders
-function checkReminders() {
-    const now = new Date();
+// *** UPDATED: A task has a list of reminders, each either at a fixed time or some minutes before
+// the due date: { type: 'absolute', at } or { type: 'relative', minutesBefore }. Relative ones
+// follow the due date wherever it moves, and have no time while the task has no due date.
+const REMINDER_UNITS = [['week', 7 * 24 * 60], ['day', 24 * 60], ['hour', 60], ['minute', 1]];
+
+/**
+ * When a reminder goes off for a task, or null for a relative reminder without a due date.
+ * @returns {Date|null}
+ */
+function getReminderTime(task, reminder) {
+    if (reminder.type === 'relative') {
+        return task.dueDate ? new Date(new Date(task.dueDate).getTime() - reminder.minutesBefore * 60000) : null;
+    }
+    const time = new Date(reminder.at);
+    return isNaN(time.getTime()) ? null : time;
+}
+
+/**
+ * A task's reminder times, earliest first, with reminders that land on the same time counted once.
+ */
+function getReminderTimes(task) {
+    const times = new Map();
+    (task.reminders || []).forEach(reminder => {
+        const time = getReminderTime(task, reminder);
+        if (time) times.set(time.getTime(), time);
+    });
+    return [...times.values()].sort((a, b) => a - b);
+}
+
+/**
+ * The largest unit that divides an offset evenly, e.g. 1440 minutes is 1 day.
+ * @returns {Array} - [name, minutes]
+ */
+function getReminderUnit(minutes) {
+    return REMINDER_UNITS.find(([, size]) => minutes > 0 && minutes % size === 0) || REMINDER_UNITS[REMINDER_UNITS.length - 1];
+}
+
+/**
+ * Describes a reminder, e.g. "1 day before", "At due time" or its date.
+ */
+function formatReminder(reminder) {
+    if (reminder.type === 'absolute') return formatDate(reminder.at);
+    if (reminder.minutesBefore === 0) return 'At due time';
+    const [unit, size] = getReminderUnit(reminder.minutesBefore);
+    const amount = reminder.minutesBefore / size;
+    return `${amount} ${unit}${amount === 1 ? '' : 's'} before`;
+}
+
+/**
+ * The reminders a new task starts with: settings.defaultReminderHours before the due date.
+ */
+function getDefaultReminders() {
+    const hours = Number(settings.defaultReminderHours);
+    return hours > 0 ? [{ type: 'relative', minutesBefore: Math.round(hours * 60) }] : [];
+}
+
+/**
+ * A reminder for a point in time: relative when it comes at or before the due date,
+ * so it keeps following the due date, otherwise fixed.
+ */
+function reminderFromTime(time, dueDate) {
+    const date = new Date(time);
+    const minutesBefore = dueDate ? Math.round((new Date(dueDate) - date) / 60000) : -1;
+    return minutesBefore >= 0 ? { type: 'relative', minutesBefore } : { type: 'absolute', at: date };
+}
+
+/**
+ * Cleans up a reminders list from storage or an import, dropping entries it can't read.
+ * Without a list, a single legacy reminder time is converted with reminderFromTime.
+ */
+function normalizeReminders(reminders, legacyReminder = null, dueDate = null) {
+    if (!Array.isArray(reminders)) {
+        return legacyReminder ? normalizeReminders([reminderFromTime(legacyReminder, dueDate)]) : [];
+    }
+    return reminders.map(reminder => {
+        if (!reminder) return null;
+        const minutesBefore = Number(reminder.minutesBefore);
+        if (reminder.type === 'relative') {
+            return minutesBefore >= 0 ? { type: 'relative', minutesBefore: Math.round(minutesBefore) } : null;
+        }
+        const at = reminder.type === 'absolute' ? new Date(reminder.at) : null;
+        return at && !isNaN(at.getTime()) ? { type: 'absolute', at: toDateTimeLocalValue(at) } : null;
+    }).filter(reminder => reminder);
+}
+
+/**
+ * Replaces the single `reminder` of tasks saved before reminder lists with a `reminders` list,
+ * including one kept in seriesDefaults by a "this occurrence only" edit.
+ */
+function upgradeLegacyReminder(task) {
+    const { reminder, ...upgraded } = task;
+    upgraded.reminders = normalizeReminders(task.reminders, reminder, task.dueDate);
+    if (task.seriesDefaults && 'reminder' in task.seriesDefaults) {
+        const { reminder: seriesReminder, ...defaults } = task.seriesDefaults;
+        const seriesDueDate = 'dueDate' in defaults ? defaults.dueDate : task.dueDate;
+        upgraded.seriesDefaults = { ...defaults, reminders: normalizeReminders(null, seriesReminder, seriesDueDate) };
+    }
+    return upgraded;
+}
+
+// Delivery state lives in REMINDER_STORE, one record per pending reminder time:
+// { id: `${taskId}@${at}`, taskId, title, dueDate, at (ISO), status, firedAt }. status is 'pending' until the reminder
+// passes, then 'notified' when it was shown in time or 'missed' when it passed unseen (app closed,
+// device asleep); missed reminders become 'seen' once the digest has shown them.
+// service-worker.js delivers them, so keep its copy of these constants in step.
+const REMINDER_CHECK_INTERVAL_MS = 60 * 1000;
+const REMINDER_GRACE_MS = 5 * 60 * 1000; // Later than this, a reminder goes to the digest instead
+const REMINDER_SYNC_TAG = 'check-reminders';
+const SNOOZE_OPTIONS = { 'snooze-10m': 10, 'snooze-1h': 60, 'snooze-tomorrow': 'tomorrow' };
+const SNOOZE_TOMORROW_HOUR = 9;
+// Browsers show only the first Notification.maxActions (often two); clicking the body opens the task
+const REMINDER_ACTIONS = [
+    { action: 'done', title: 'Mark done' },
+    { action: 'snooze-10m', title: 'Snooze 10 min' },
+    { action: 'snooze-1h', title: 'Snooze 1 hour' },
+    { action: 'snooze-tomorrow', title: 'Snooze until tomorrow' },
+    { action: 'open', title: 'Open' }
+];
+
+/**
+ * The reminder records for a task, one per reminder time; none once it is completed. A time
+ * that already has a record keeps its delivery status; a new one starts as 'pending' unless
+ * it is already long past (then there is nothing to remind about).
+ * @param {Map} existing - Stored records by id
+ */
+function getReminderRecords(task, existing) {
+    if (task.completed) return [];
+    return getReminderTimes(task).map(time => {
+        const at = time.toISOString();
+        const id = `${task.id}@${at}`;
+        const previous = existing.get(id);
+        return {
+            id,
+            taskId: task.id,
+            title: task.title,
+            dueDate: task.dueDate || null,
+            at,
+            status: previous ? previous.status : (Date.now() - time > REMINDER_GRACE_MS ? 'seen' : 'pending'),
+            firedAt: previous ? previous.firedAt || null : null
+        };
+    });
+}
+
+// *** NEW: Daily digest. While it is enabled the store also holds records for today's and
+// tomorrow's digest ({ id: 'digest@<at>', kind: 'digest', title, body, expiresAt, syncedOn, ... }),
+// so it is delivered like a reminder. A digest stays worth showing until the end of its day.
+// The app may not run again before the digest fires, so service-worker.js recounts the title
+// from the tasks when it shows one, and adds the next day's record itself.
+
+/**
+ * The digest records for today and tomorrow, with counts as they will stand on that day.
+ * @param {Map} existing - Stored records by id
+ */
+function getDigestRecords(existing, now = new Date()) {
+    if (!settings.dailyDigestEnabled) return [];
+    const [hours, minutes] = (settings.dailyDigestTime || '08:00').split(':').map(Number);
+    const insights = generateAIInsights(tasks).slice(0, 2).join(' ');
+    
+    return [0, 1].map(offset => {
+        const at = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset, hours, minutes);
+        const { overdue, dueToday } = getPlanCandidates(at);
+        const id = `digest@${at.toISOString()}`;
+        const previous = existing.get(id);
+        return {
+            id,
+            kind: 'digest',
+            title: `Your day: ${dueToday.length} due today, ${overdue.length} overdue`,
+            body: insights || 'Nothing pressing. Plan your day?',
+            at: at.toISOString(),
+            expiresAt: new Date(at.getFullYear(), at.getMonth(), at.getDate() + 1).toISOString(),
+            syncedOn: toDateKey(now), // The insights in `body` are only current on this day
+            status: previous ? previous.status : (now - at > REMINDER_GRACE_MS ? 'seen' : 'pending'),
+            firedAt: previous ? previous.firedAt || null : null
+        };
+    });
+}
+
+/**
+ * How late a record can still be shown: a reminder within REMINDER_GRACE_MS, a digest on its day.
+ */
+function getReminderDeadline(record) {
+    return record.expiresAt ? new Date(record.expiresAt).getTime() : new Date(record.at).getTime() + REMINDER_GRACE_MS;
+}
+
+/**
+ * Brings the reminder store in line with the tasks, then asks for a check when anything changed.
+ */
+async function syncReminders() {
+    const tx = db.transaction(REMINDER_STORE, 'readwrite');
+    const existing = new Map((await tx.store.getAll()).map(record => [record.id, record]));
+    const records = [...tasks.flatMap(task => getReminderRecords(task, existing)), ...getDigestRecords(existing)];
+    const wanted = new Set(records.map(record => record.id));
+    
+    const writes = [
+        ...records.filter(record => JSON.stringify(record) !== JSON.stringify(existing.get(record.id)))
+            .map(record => tx.store.put(record)),
+        ...[...existing.keys()].filter(id => !wanted.has(id)).map(id => tx.store.delete(id))
+    ];
+    await Promise.all([...writes, tx.done]);
+    
+    if (writes.length > 0) {
+        requestReminderCheck();
+    }
+}
+
+/**
+ * Starts reminder delivery on launch: syncs the store, shows reminders missed while the app
+ * was closed, and lets the service worker check in the background where the browser allows.
+ */
+async function startReminders() {
+    try {
+        await syncReminders();
+        await showMissedReminders();
+    } catch (error) {
+        console.error('Failed to start reminders:', error);
+    }
     
-    tasks.forEach(task => {
-        if (!task.completed && task.reminder) {
-            const reminderTime = new Date(task.reminder);
-            const timeDiff = reminderTime.getTime() - now.getTime();
-            
-            // Check if reminder is due within the next minute
-            if (timeDiff > 0 && timeDiff <= 60 * 1000) {
-                // Use IndexedDB to check if notified, or fall back to localStorage
-                // For simplicity, we'll stick to localStorage for notification state
-                // as it's non-critical, ephemeral data.
-                const notified = localStorage.getItem(`notified_${task.id}`);
-                if (notified !== task.reminder) {
-                    showNotification(task);
-                    localStorage.setItem(`notified_${task.id}`, task.reminder);
-                }
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', event => {
+            if (event.data && event.data.type === 'reminders-missed') {
+                showMissedReminders();
+            } else if (event.data && event.data.type === 'notification-action') {
+                handleNotificationAction(event.data.action, event.data.taskId);
+            } else if (event.data && event.data.type === 'open-plan') {
+                openPlanMyDay();
             }
+        });
+        // Periodic Background Sync wakes the worker while the app is closed (installed PWAs in Chromium)
+        navigator.serviceWorker.ready.then(async registration => {
+            if (!registration.periodicSync) return;
+            try {
+                await registration.periodicSync.register(REMINDER_SYNC_TAG, { minInterval: 15 * 60 * 1000 });
+            } catch (error) {
+                console.warn('Background reminder checks are not available:', error);
+            }
+        });
+    }
+    requestReminderCheck();
+}
+
+/**
+ * Asks the service worker to deliver due reminders; without one, the page does it itself.
+ */
+function requestReminderCheck() {
+    if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+        navigator.serviceWorker.controller.postMessage({ type: 'check-reminders' });
+    } else {
+        checkReminders();
+    }
+}
+
+/**
+ * In-page fallback for browsers without a controlling service worker (service-worker.js does
+ * the same): shows reminders that just came due, and sends older ones to the digest.
+ */
+async function checkReminders() {
+    const now = Date.now();
+    const tx = db.transaction(REMINDER_STORE, 'readwrite');
+    const due = (await tx.store.getAll()).filter(record => record.status === 'pending' && new Date(record.at) <= now);
+    // Mark them before notifying, so overlapping checks can't show a reminder twice
+    due.forEach(record => {
+        record.status = now <= getReminderDeadline(record) ? 'notified' : 'missed';
+        record.firedAt = new Date(now).toISOString();
+    });
+    await Promise.all([...due.map(record => tx.store.put(record)), tx.done]);
+    
+    due.filter(record => record.status === 'notified').forEach(record => {
+        if (record.kind === 'digest') return showDigestNotification(record);
+        const task = tasks.find(t => t.id === record.taskId);
+        if (task) showNotification(task);
+    });
+    if (due.some(record => record.status === 'missed')) {
+        await showMissedReminders();
+    }
+}
+
+/**
+ * Lists reminders that passed unseen, including any that are overdue but were never checked,
+ * and marks them seen.
+ */
+async function showMissedReminders() {
+    const now = Date.now();
+    const tx = db.transaction(REMINDER_STORE, 'readwrite');
+    const missed = (await tx.store.getAll()).filter(record => record.status === 'missed' ||
+        (record.status === 'pending' && now > getReminderDeadline(record)));
+    missed.forEach(record => {
+        record.status = 'seen';
+        record.firedAt = record.firedAt || new Date(now).toISOString();
+    });
+    await Promise.all([...missed.map(record => tx.store.put(record)), tx.done]);
+    
+    const items = missed
+        .filter(record => tasks.some(t => t.id === record.taskId && !t.completed))
+        .sort((a, b) => new Date(a.at) - new Date(b.at));
+    if (items.length === 0) return;
+    
+    showInfoModal(
+        `<i class="fas fa-bell"></i> ${items.length} Missed Reminder${items.length === 1 ? '' : 's'}`,
+        `<p>These reminders came due while TaskMaster was closed:</p>
+         <ul class="missed-reminders-list">
+            ${items.map(record => `
+                <li>
+                    <div>
+                        <strong>${escapeHtml(record.title)}</strong>
+                        <small>Reminder ${escapeHtml(formatDate(record.at))}${record.dueDate ? ` &middot; Due ${escapeHtml(formatDate(record.dueDate))}` : ''}</small>
+                    </div>
+                    <button class="btn btn-secondary" onclick="closeInfoModal(); editTask('${record.taskId}')">Open</button>
+                </li>
+            `).join('')}
+         </ul>`
+    );
+}
+
+/**
+ * The new reminder time for a snooze option, as a datetime-local value.
+ */
+function getSnoozeTime(option, now = new Date()) {
+    const minutes = SNOOZE_OPTIONS[option];
+    if (minutes === 'tomorrow') {
+        return toDateTimeLocalValue(new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, SNOOZE_TOMORROW_HOUR));
+    }
+    return toDateTimeLocalValue(new Date(now.getTime() + minutes * 60 * 1000));
+}
+
+/**
+ * Adds a fixed reminder at the snooze time. Fixed reminders that have gone off are dropped;
+ * relative ones stay, since they come round again when the due date moves.
+ */
+function snoozeReminder(taskId, option) {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task || task.completed || !SNOOZE_OPTIONS[option]) return;
+    
+    const at = getSnoozeTime(option);
+    const now = new Date();
+    task.reminders = [
+        ...(task.reminders || []).filter(reminder => reminder.type === 'relative' || new Date(reminder.at) > now),
+        { type: 'absolute', at }
+    ];
+    saveToHistory(`Snoozed reminder: ${task.title}`);
+    scheduleAutoSave();
+    renderTasks();
+    showToast(`Reminder for '${task.title}' snoozed until ${formatDate(at)}`, 'info');
+}
+
+/**
+ * Runs a reminder notification's action in the open app. service-worker.js forwards actions
+ * here when a window is open, so the change goes through history and the in-memory tasks;
+ * with no window open it updates IndexedDB itself.
+ */
+function handleNotificationAction(action, taskId) {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return;
+    
+    if (action === 'done') {
+        if (!task.completed) toggleTask(taskId);
+    } else if (SNOOZE_OPTIONS[action]) {
+        snoozeReminder(taskId, action);
+    } else {
+        editTask(taskId);
+    }
+}
+
+/**
+ * Finishes tasks marked done from a notification while the app was closed: the service
+ * worker can't expand recurrence rules, so the next occurrence is created here.
+ */
+function finishBackgroundCompletions() {
+    const completed = tasks.filter(t => t.completedFromNotification);
+    const created = [];
+    completed.forEach(task => {
+        delete task.completedFromNotification;
+        if (task.repeat && !tasks.some(t => t.previousInstanceId === task.id)) {
+            const nextTask = createNextRecurringInstance(task);
+            if (nextTask) created.push(nextTask);
         }
     });
+    if (completed.length > 0) {
+        tasks.push(...created);
+        updateSearchIndex(created.map(t => t.id));
+        // The completion itself happened before the history was loaded, so undo couldn't
+        // reopen the task; this follow-up is kept out of the history along with it
+        resetHistoryBaseline();
+        saveTasks();
+        renderTasks();
+    }
 }
 
 function showNotification(task) {
     if ('Notification' in window && Notification.permission === 'granted') {
         const options = {
             body: `Due: ${formatDate(task.dueDate) || 'No due date'}`,
-            icon: 'android-chrome-192x192.png', // Use app icon
-            badge: 'android-chrome-192x192.png' // Use app icon
+            icon: 'icons/android-chrome-192x192.png', // *** UPDATED: Icons live in icons/
+            badge: 'icons/favicon-32x32.png',
+            tag: `reminder-${task.id}`,
+            data: { taskId: task.id }
         };
         
-        navigator.serviceWorker.ready.then(registration => {
-            registration.showNotification(`Task Reminder: ${task.title}`, options);
-        });
+        const showPageNotification = () => {
+            // Page notifications can't have actions; a click opens the task
+            const notification = new Notification(`Task Reminder: ${task.title}`, options);
+            notification.onclick = () => {
+                window.focus();
+                notification.close();
+                editTask(task.id);
+            };
+        };
+        
+        if ('serviceWorker' in navigator) {
+            // The worker's notificationclick handler runs the actions
+            navigator.serviceWorker.getRegistration().then(registration => {
+                if (!registration) return showPageNotification();
+                registration.showNotification(`Task Reminder: ${task.title}`, {
+                    ...options,
+                    actions: REMINDER_ACTIONS.slice(0, Notification.maxActions || 0)
+                });
+            });
+        } else {
+            showPageNotification();
+        }
     } else if ('Notification' in window && Notification.permission !== 'denied') {
         Notification.requestPermission();
     }
 }
 
+/**
+ * The daily digest as a notification; clicking it opens Plan my day.
+ */
+function showDigestNotification(record) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+    const options = {
+        body: record.body,
+        icon: 'icons/android-chrome-192x192.png',
+        badge: 'icons/favicon-32x32.png',
+        tag: 'daily-digest',
+        data: { digest: true }
+    };
+    
+    const showPageNotification = () => {
+        const notification = new Notification(record.title, options);
+        notification.onclick = () => {
+            window.focus();
+            notification.close();
+            openPlanMyDay();
+        };
+    };
+    
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.getRegistration().then(registration => {
+            if (!registration) return showPageNotification();
+            registration.showNotification(record.title, { ...options, actions: [{ action: 'plan', title: 'Plan my day' }] });
+        });
+    } else {
+        showPageNotification();
+    }
+}
+
 // AI INSIGHTS FUNCTIONS
 function renderAISummary() {
     const insights = generateAIInsights(tasks);
@@ -2221,11 +6916,11 @@ function showInsights() {
     
     const pendingTasks = tasks.filter(t => !t.completed);
     
-    const byCategory = {
-        personal: pendingTasks.filter(t => t.category === 'personal').length,
-        office: pendingTasks.filter(t => t.category === 'office').length,
-        misc: pendingTasks.filter(t => t.category === 'misc').length
-    };
+    // *** UPDATED: One entry per user-defined category ***
+    const byCategory = getCategories().map(category => ({
+        category,
+        count: pendingTasks.filter(t => t.category === category.id).length
+    }));
     
     const byPriority = {
         urgent: pendingTasks.filter(t => t.priority === 'urgent').length,
@@ -2247,6 +6942,15 @@ function showInsights() {
     
     const insights = generateAIInsights(tasks);
     
+    // *** NEW: Estimate vs. actual, measured on completed tasks that had both ***
+    const trackedTotal = tasks.reduce((sum, t) => sum + getTrackedMinutes(t), 0);
+    const estimatedDone = tasks.filter(t => t.completed && t.estimateMinutes && getTrackedMinutes(t) > 0);
+    const estimatedDoneMinutes = estimatedDone.reduce((sum, t) => sum + t.estimateMinutes, 0);
+    const actualDoneMinutes = estimatedDone.reduce((sum, t) => sum + getTrackedMinutes(t), 0);
+    const overEstimate = estimatedDone.filter(t => getTrackedMinutes(t) > t.estimateMinutes).length;
+    const estimateAccuracy = estimatedDoneMinutes > 0 ? Math.round((actualDoneMinutes / estimatedDoneMinutes) * 100) : null;
+    const remainingEstimate = pendingTasks.reduce((sum, t) => sum + Math.max(0, (t.estimateMinutes || 0) - getTrackedMinutes(t)), 0);
+    
     const content = `
         <div class="insight-card">
             <h3><i class="fas fa-chart-pie"></i> Task Statistics</h3>
@@ -2278,18 +6982,12 @@ function showInsights() {
         <div class="insight-card">
             <h3><i class="fas fa-folder-open"></i> Pending By Category</h3>
             <div class="stat-grid">
-                <div class="stat-item">
-                    <div class="stat-value">${byCategory.personal}</div>
-                    <div class="stat-label">Personal</div>
-                </div>
-                <div class="stat-item">
-                    <div class="stat-value">${byCategory.office}</div>
-                    <div class="stat-label">Office</div>
-                </div>
-                <div class="stat-item">
-                    <div class="stat-value">${byCategory.misc}</div>
-                    <div class="stat-label">Misc Work</div>
-                </div>
+                ${byCategory.map(({ category, count }) => `
+                    <div class="stat-item">
+                        <div class="stat-value" style="color: ${category.color};">${count}</div>
+                        <div class="stat-label">${escapeHtml(category.name)}</div>
+                    </div>
+                `).join('')}
             </div>
         </div>
         
@@ -2329,6 +7027,33 @@ function showInsights() {
             </div>
         </div>
         
+        <div class="insight-card">
+            <h3><i class="fas fa-stopwatch"></i> Time Tracking</h3>
+            <div class="stat-grid">
+                <div class="stat-item">
+                    <div class="stat-value">${formatDuration(trackedTotal)}</div>
+                    <div class="stat-label">Total Tracked</div>
+                </div>
+                <div class="stat-item">
+                    <div class="stat-value">${formatDuration(remainingEstimate)}</div>
+                    <div class="stat-label">Estimated Work Left</div>
+                </div>
+                <div class="stat-item">
+                    <div class="stat-value">${estimateAccuracy !== null ? estimateAccuracy + '%' : '—'}</div>
+                    <div class="stat-label">Actual vs. Estimate</div>
+                </div>
+                <div class="stat-item">
+                    <div class="stat-value" style="color: var(--danger-color);">${overEstimate} / ${estimatedDone.length}</div>
+                    <div class="stat-label">Over Estimate</div>
+                </div>
+            </div>
+            ${estimatedDone.length > 0 ? `
+                <p style="margin-top: 1rem;">Completed tasks with an estimate took ${formatDuration(actualDoneMinutes)} against ${formatDuration(estimatedDoneMinutes)} estimated.</p>
+            ` : `
+                <p style="margin-top: 1rem;">Add estimates and use the <i class="fas fa-play"></i> timer on tasks to compare planned and actual time.</p>
+            `}
+        </div>
+        
         <div class="insight-card">
             <h3><i class="fas fa-brain"></i> All AI Insights</h3>
             ${insights.map(insight => `
@@ -2407,7 +7132,143 @@ function generateAIInsights(tasks) {
         insights.push('Your task list is looking manageable. Keep up the good work!');
     }
     
-    return insights;
+    return insights;
+}
+
+// *** NEW: Plan my day ***
+// A morning screen for picking today's focus tasks from what is overdue, due today and
+// suggested. The picks are kept in settings.todayPlan for that day only and show up under
+// the "Today's Focus" quick filter.
+
+const PLAN_SUGGESTION_LIMIT = 5;
+const PLAN_SUGGESTION_DAYS = 3; // Tasks due this soon are suggested whatever their priority
+
+function isTodayFocusTask(task) {
+    const plan = settings.todayPlan;
+    return !!plan && plan.date === toDateKey(new Date()) && plan.taskIds.includes(task.id);
+}
+
+/**
+ * Pending tasks to plan the day of `date` from. Suggestions are unblocked tasks that are
+ * urgent, high priority or due within PLAN_SUGGESTION_DAYS, most important first; tasks
+ * already picked for that day are always listed.
+ * @returns {Object} - { overdue, dueToday, suggested }
+ */
+function getPlanCandidates(date = new Date()) {
+    const dayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const dayEnd = new Date(dayStart.getFullYear(), dayStart.getMonth(), dayStart.getDate() + 1);
+    const soon = new Date(dayStart.getFullYear(), dayStart.getMonth(), dayStart.getDate() + PLAN_SUGGESTION_DAYS);
+    const plan = settings.todayPlan && settings.todayPlan.date === toDateKey(date) ? settings.todayPlan.taskIds : [];
+    
+    const pending = tasks.filter(t => !t.completed);
+    const overdue = pending.filter(t => t.dueDate && new Date(t.dueDate) < dayStart);
+    const dueToday = pending.filter(t => t.dueDate && new Date(t.dueDate) >= dayStart && new Date(t.dueDate) < dayEnd);
+    const listed = new Set([...overdue, ...dueToday].map(t => t.id));
+    
+    const others = pending.filter(t => !listed.has(t.id));
+    const picked = others.filter(t => plan.includes(t.id));
+    const suggestions = others.filter(t => !plan.includes(t.id) && !isTaskBlocked(t) &&
+        (['urgent', 'high'].includes(t.priority) || (t.dueDate && new Date(t.dueDate) < soon)));
+    
+    return {
+        overdue: sortTaskList(overdue, 'dueDate'),
+        dueToday: sortTaskList(dueToday, 'dueDate'),
+        suggested: [...picked, ...sortTaskList(sortTaskList(suggestions, 'dueDate'), 'priority')
+            .slice(0, Math.max(0, PLAN_SUGGESTION_LIMIT - picked.length))]
+    };
+}
+
+function openPlanMyDay() {
+    lastFocusedElement = document.activeElement;
+    renderPlanMyDay();
+    document.getElementById('planDayModal').classList.remove('hidden');
+    setTimeout(() => document.getElementById('planDayModal').querySelector('.close-btn').focus(), 100);
+}
+
+function closePlanMyDay() {
+    document.getElementById('planDayModal').classList.add('hidden');
+    if (lastFocusedElement) {
+        try { lastFocusedElement.focus(); } catch(e) {}
+    }
+}
+
+/**
+ * Fills the Plan my day screen. Without a plan for today yet, overdue and due-today tasks
+ * start out picked.
+ */
+function renderPlanMyDay() {
+    const today = toDateKey(new Date());
+    const { overdue, dueToday, suggested } = getPlanCandidates();
+    const hasPlan = settings.todayPlan && settings.todayPlan.date === today;
+    const isPicked = task => hasPlan ? settings.todayPlan.taskIds.includes(task.id) : overdue.includes(task) || dueToday.includes(task);
+    
+    const renderGroup = (title, icon, list, empty) => `
+        <div class="plan-day-group">
+            <h3><i class="fas ${icon}"></i> ${title} <span class="filter-count">${list.length}</span></h3>
+            ${list.length === 0 ? `<p class="plan-day-empty">${empty}</p>` : `
+                <ul class="plan-day-list">
+                    ${list.map(task => `
+                        <li>
+                            <label class="plan-day-item priority-${task.priority}">
+                                <input type="checkbox" name="planTask" value="${task.id}" ${isPicked(task) ? 'checked' : ''} onchange="updatePlanDaySummary()">
+                                <span class="plan-day-title">${escapeHtml(task.title)}</span>
+                                <small>${[task.dueDate ? formatDate(task.dueDate) : '', task.estimateMinutes ? formatDuration(task.estimateMinutes) : '', capitalize(task.priority)].filter(part => part).map(escapeHtml).join(' &middot; ')}</small>
+                            </label>
+                        </li>
+                    `).join('')}
+                </ul>
+            `}
+        </div>
+    `;
+    
+    const insights = generateAIInsights(tasks);
+    document.getElementById('planDayContent').innerHTML = `
+        ${insights.length > 0 ? `
+            <ul class="plan-day-insights">
+                ${insights.map(insight => `<li><i class="fas fa-lightbulb"></i> ${escapeHtml(insight)}</li>`).join('')}
+            </ul>
+        ` : ''}
+        ${renderGroup('Overdue', 'fa-exclamation-triangle', overdue, 'Nothing overdue.')}
+        ${renderGroup('Due Today', 'fa-calendar-day', dueToday, 'Nothing due today.')}
+        ${renderGroup('Suggested', 'fa-star', suggested, 'No suggestions right now.')}
+    `;
+    updatePlanDaySummary();
+}
+
+/**
+ * Shows how many tasks are picked and how long they are estimated to take.
+ */
+function updatePlanDaySummary() {
+    const picked = getPickedPlanTasks();
+    const minutes = picked.reduce((sum, task) => sum + Math.max(0, (task.estimateMinutes || 0) - getTrackedMinutes(task)), 0);
+    document.getElementById('planDaySummary').textContent = `${picked.length} task${picked.length === 1 ? '' : 's'} picked` +
+        (minutes > 0 ? ` · about ${formatDuration(minutes)} estimated` : '');
+}
+
+function getPickedPlanTasks() {
+    const ids = Array.from(document.querySelectorAll('#planDayContent input[name="planTask"]:checked')).map(input => input.value);
+    return tasks.filter(t => ids.includes(t.id));
+}
+
+/**
+ * Keeps the picks as today's focus list and shows it.
+ */
+async function savePlanMyDay() {
+    const picked = getPickedPlanTasks();
+    settings.todayPlan = { date: toDateKey(new Date()), taskIds: picked.map(t => t.id) };
+    try {
+        await db.put(SETTINGS_STORE, settings);
+    } catch (e) {
+        console.error('Error saving the day plan:', e);
+        showToast('Error saving your plan', 'error');
+        return;
+    }
+    
+    closePlanMyDay();
+    if (activeQuickFilter !== 'focus') applyQuickFilter('focus');
+    else renderTasks();
+    updateFilterCounts();
+    showToast(`Today's focus: ${picked.length} task${picked.length === 1 ? '' : 's'}`, 'success');
 }
 
 // *** NEW: Helper function to check if a task is due within the next 15 days ***
@@ -2447,7 +7308,11 @@ function openSettings() {
     document.getElementById('defaultCategory').value = settings.defaultCategory;
     document.getElementById('defaultPriority').value = settings.defaultPriority;
     document.getElementById('defaultReminderHours').value = settings.defaultReminderHours;
+    document.getElementById('dailyDigestEnabled').checked = settings.dailyDigestEnabled;
+    document.getElementById('dailyDigestTime').value = settings.dailyDigestTime;
     document.getElementById('enablePin').checked = settings.pinEnabled;
+    document.getElementById('workflowStates').value = getWorkflowStates().join(', ');
+    renderCategoryManager();
     
     if (settings.pinEnabled) {
         document.getElementById('pinSettings').classList.remove('hidden');
@@ -2472,9 +7337,26 @@ async function saveSettings() {
     settings.defaultPriority = document.getElementById('defaultPriority').value;
     settings.defaultReminderHours = parseInt(document.getElementById('defaultReminderHours').value);
     
+    // *** NEW: Daily digest ***
+    settings.dailyDigestEnabled = document.getElementById('dailyDigestEnabled').checked;
+    settings.dailyDigestTime = document.getElementById('dailyDigestTime').value || '08:00';
+    if (settings.dailyDigestEnabled && 'Notification' in window && Notification.permission === 'default') {
+        Notification.requestPermission();
+    }
+    
+    // *** NEW: Workflow states are entered as a comma-separated list ***
+    const workflowStates = document.getElementById('workflowStates').value
+        .split(',')
+        .map(state => state.trim())
+        .filter((state, index, states) => state && states.indexOf(state) === index);
+    settings.workflowStates = workflowStates.length > 0 ? workflowStates : [...DEFAULT_WORKFLOW_STATES];
+    
     // *** UPDATED: Save to IndexedDB ***
     try {
         await db.put(SETTINGS_STORE, settings);
+        // The digest is scheduled with the reminders
+        syncReminders().catch(error => console.error('Failed to update reminders:', error));
+        renderTasks();
         showToast('Settings saved successfully', 'success');
     } catch (e) {
         console.error("Error saving settings:", e);
@@ -2493,7 +7375,529 @@ async function loadSettings() {
     }
 }
 
+// *** NEW: Saved Views ***
+// A view captures the whole list state: tab filter, search text, quick filter, priority
+// filter and sort. Views can be pinned as extra tabs and shared as a URL hash.
+
+const DEFAULT_VIEW_STATE = { filter: 'all', search: '', quickFilter: null, priorityFilter: null, sort: DEFAULT_SORT };
+
+function getCurrentViewState() {
+    const searchInput = document.getElementById('searchInput');
+    return {
+        filter: currentFilter,
+        search: searchInput ? searchInput.value.trim() : currentSearch,
+        quickFilter: activeQuickFilter,
+        priorityFilter: activePriorityFilter,
+        sort: currentSort
+    };
+}
+
+function isSameViewState(a, b) {
+    return Object.keys(DEFAULT_VIEW_STATE).every(key => (a[key] || null) === (b[key] || null));
+}
+
+/**
+ * Returns the saved view whose state matches what's on screen, if any.
+ */
+function getMatchingSavedView() {
+    const state = getCurrentViewState();
+    return (settings.savedViews || []).find(view => isSameViewState(view.state, state)) || null;
+}
+
+/**
+ * Sets every filter global (and the controls showing them) from a view state, then re-renders.
+ */
+function applyViewState(viewState) {
+    const state = { ...DEFAULT_VIEW_STATE, ...viewState };
+    const validFilters = [...RESERVED_FILTERS, ...getCategories().map(c => c.id)];
+    
+    currentFilter = validFilters.includes(state.filter) ? state.filter : 'all';
+    
+    const searchInput = document.getElementById('searchInput');
+    if (searchInput) searchInput.value = state.search || '';
+    currentSearch = (state.search || '').toLowerCase();
+    const clearSearchBtn = document.getElementById('clearSearchBtn');
+    if (clearSearchBtn) clearSearchBtn.classList.toggle('hidden', !currentSearch);
+    
+    const setFilterButton = (previous, next) => {
+        if (previous) {
+            const btn = document.getElementById(`filter-${previous}`);
+            if (btn) btn.classList.remove('active');
+        }
+        const btn = next && document.getElementById(`filter-${next}`);
+        if (btn) btn.classList.add('active');
+        return btn ? next : null;
+    };
+    activeQuickFilter = setFilterButton(activeQuickFilter, state.quickFilter);
+    activePriorityFilter = setFilterButton(activePriorityFilter, state.priorityFilter);
+    
+    currentSort = state.sort || DEFAULT_SORT;
+    const sortSelect = document.getElementById('sortSelect');
+    if (sortSelect) sortSelect.value = currentSort;
+    if (!viewState.sort) syncSortWithSearch(); // Links that leave the sort out rank searches too
+    
+    currentPage = 1;
+    updateClearFiltersButton();
+    updateActiveTab();
+    renderTasks();
+}
+
+/**
+ * Encodes a view state as URL hash parameters, leaving out defaults.
+ */
+function viewStateToParams(state, name) {
+    const params = new URLSearchParams();
+    if (state.filter && state.filter !== 'all') params.set('filter', state.filter);
+    if (state.search) params.set('q', state.search);
+    if (state.quickFilter) params.set('quick', state.quickFilter);
+    if (state.priorityFilter) params.set('priority', state.priorityFilter);
+    if (state.sort && state.sort !== DEFAULT_SORT) params.set('sort', state.sort);
+    if (name) params.set('name', name);
+    // Always include filter so the hash is recognised as a view even when everything is default
+    if (!params.has('filter')) params.set('filter', 'all');
+    return params;
+}
+
+function viewStateFromParams(params) {
+    return {
+        filter: params.get('filter') || 'all',
+        search: params.get('q') || '',
+        quickFilter: params.get('quick') || null,
+        priorityFilter: params.get('priority') || null,
+        sort: params.get('sort') || DEFAULT_SORT
+    };
+}
+
+/**
+ * Describes a view state in words, e.g. "Office · overdue · urgent · "report" · by priority".
+ */
+function describeViewState(state) {
+    const parts = [];
+    if (state.filter === 'all') parts.push('All');
+    else if (RESERVED_FILTERS.includes(state.filter)) parts.push(capitalize(state.filter));
+    else parts.push(getCategoryName(state.filter));
+    if (state.quickFilter) parts.push({ week: 'this week', focus: "today's focus" }[state.quickFilter] || state.quickFilter);
+    if (state.priorityFilter) parts.push(state.priorityFilter);
+    if (state.search) parts.push(`"${state.search}"`);
+    if (state.sort && state.sort !== DEFAULT_SORT) parts.push(`by ${{ order: 'manual order', dueDate: 'due date' }[state.sort] || state.sort}`);
+    return parts.join(' · ');
+}
+
+async function saveSavedViews(views, message) {
+    settings.savedViews = views;
+    try {
+        await db.put(SETTINGS_STORE, settings);
+    } catch (e) {
+        console.error("Error saving views:", e);
+        showToast('Error saving views', 'error');
+        return;
+    }
+    renderSavedViews();
+    if (message) showToast(message, 'success');
+}
+
+/**
+ * Asks for a name and saves the current list state as a view.
+ */
+function saveCurrentView() {
+    const state = getCurrentViewState();
+    showInfoModal('<i class="fas fa-bookmark"></i> Save View', `
+        <div class="form-group">
+            <label for="savedViewName">View name</label>
+            <input type="text" id="savedViewName" class="form-control" placeholder="e.g. Urgent office work" value="${escapeHtml(describeViewState(state))}">
+        </div>
+        <div class="form-group">
+            <label>
+                <input type="checkbox" id="savedViewPinned" checked>
+                Pin as a tab
+            </label>
+        </div>
+        <p style="color: var(--text-secondary);">${escapeHtml(describeViewState(state))}</p>
+        <button class="btn btn-primary" onclick="confirmSaveView()">
+            <i class="fas fa-save"></i> Save View
+        </button>
+    `);
+    setTimeout(() => {
+        const input = document.getElementById('savedViewName');
+        if (input) input.select();
+    }, 100);
+}
+
+async function confirmSaveView() {
+    const name = document.getElementById('savedViewName').value.trim();
+    if (!name) {
+        showToast('View name is required', 'error');
+        return;
+    }
+    
+    const view = {
+        id: `view-${Date.now()}`,
+        name,
+        pinned: document.getElementById('savedViewPinned').checked,
+        state: getCurrentViewState()
+    };
+    closeInfoModal();
+    await saveSavedViews([...(settings.savedViews || []), view], `View '${name}' saved`);
+}
+
+function openSavedView(viewId) {
+    // Goes through the hash so back/forward work like the other tabs
+    window.location.hash = `view=${encodeURIComponent(viewId)}`;
+}
+
+async function toggleViewPinned(viewId) {
+    const views = (settings.savedViews || []).map(v => v.id === viewId ? { ...v, pinned: !v.pinned } : v);
+    await saveSavedViews(views);
+}
+
+function deleteSavedView(viewId) {
+    const view = (settings.savedViews || []).find(v => v.id === viewId);
+    if (!view) return;
+    showConfirmModal('Delete View', `Delete the saved view '${view.name}'? Your tasks are not affected.`, async () => {
+        await saveSavedViews(settings.savedViews.filter(v => v.id !== viewId), `View '${view.name}' deleted`);
+    });
+}
+
+/**
+ * Copies a link that opens the view on any device with the same tasks.
+ */
+async function shareSavedView(viewId) {
+    const view = (settings.savedViews || []).find(v => v.id === viewId);
+    const state = view ? view.state : getCurrentViewState();
+    const url = `${window.location.origin}${window.location.pathname}#${viewStateToParams(state, view && view.name).toString()}`;
+    
+    try {
+        await navigator.clipboard.writeText(url);
+        showToast('View link copied to clipboard', 'success');
+    } catch (e) {
+        showInfoModal('Share View', `<p>Copy this link:</p><input type="text" class="form-control" value="${escapeHtml(url)}" readonly onclick="this.select()">`);
+    }
+}
+
+/**
+ * Renders the saved view list in the filter section and the pinned view tabs.
+ */
+function renderSavedViews() {
+    const views = settings.savedViews || [];
+    
+    const mainTabs = document.querySelector('.main-tabs');
+    if (mainTabs) {
+        mainTabs.querySelectorAll('.tab[data-view-id]').forEach(tab => tab.remove());
+        views.filter(v => v.pinned).forEach(view => {
+            const tab = document.createElement('button');
+            tab.className = 'tab saved-view-tab';
+            tab.dataset.viewId = view.id;
+            tab.setAttribute('onclick', `openSavedView('${view.id}')`);
+            tab.title = describeViewState(view.state);
+            tab.innerHTML = `<i class="fas fa-bookmark"></i> ${escapeHtml(view.name)} <span class="filter-count" data-view-count="${view.id}">0</span>`;
+            mainTabs.appendChild(tab);
+        });
+    }
+    
+    const list = document.getElementById('savedViewsList');
+    if (list) {
+        list.innerHTML = views.length === 0 ?
+            '<p class="saved-views-empty">Set up filters, search and sort, then save them as a view.</p>' :
+            views.map(view => `
+                <div class="saved-view-item">
+                    <button class="filter-btn" onclick="openSavedView('${view.id}')" title="${escapeHtml(describeViewState(view.state))}">
+                        <i class="fas fa-bookmark"></i>
+                        <span>${escapeHtml(view.name)}</span>
+                        <span class="filter-count" data-view-count="${view.id}">0</span>
+                    </button>
+                    <button class="task-action-btn" onclick="toggleViewPinned('${view.id}')" title="${view.pinned ? 'Unpin tab' : 'Pin as tab'}">
+                        <i class="fas fa-thumbtack ${view.pinned ? '' : 'unpinned'}"></i>
+                    </button>
+                    <button class="task-action-btn" onclick="shareSavedView('${view.id}')" title="Copy share link">
+                        <i class="fas fa-link"></i>
+                    </button>
+                    <button class="task-action-btn" onclick="deleteSavedView('${view.id}')" title="Delete view">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            `).join('');
+    }
+    
+    updateSavedViewCounts();
+    updateActiveTab();
+}
+
+/**
+ * Updates the live task count on each saved view.
+ */
+function updateSavedViewCounts() {
+    (settings.savedViews || []).forEach(view => {
+        const count = getFilteredTasks({ ...DEFAULT_VIEW_STATE, ...view.state }).length;
+        document.querySelectorAll(`[data-view-count="${view.id}"]`).forEach(el => el.textContent = count);
+    });
+}
+
+// *** NEW: User-Defined Categories ***
+// Tasks store a category id; names and colours live in settings.categories, whose order
+// is the order of the tabs and selects. Renaming keeps the id, so tasks never need rewriting.
+
+function getCategories() {
+    return settings.categories && settings.categories.length > 0 ? settings.categories : DEFAULT_CATEGORIES;
+}
+
+/**
+ * Looks up a category. Ids that are no longer in the list (e.g. from an old import)
+ * get a neutral stand-in so they still render.
+ */
+function getCategory(categoryId) {
+    return getCategories().find(c => c.id === categoryId) ||
+        (importCategories && importCategories.added.find(c => c.id === categoryId)) ||
+        { id: categoryId, name: capitalize(categoryId || 'uncategorized'), color: '#6b7280' };
+}
+
+function getCategoryName(categoryId) {
+    return getCategory(categoryId).name;
+}
+
+/**
+ * Maps an imported category value (an id or a display name) to a category id.
+ * While an import preview is open, unknown categories are created in `importCategories`
+ * (and saved if the import goes ahead) instead of falling back to the default category.
+ */
+function resolveCategoryId(value) {
+    if (!value) return settings.defaultCategory;
+    const name = String(value).trim();
+    const text = name.toLowerCase();
+    if (importCategories && importCategories.aliases[text]) return importCategories.aliases[text];
+    
+    const known = [...getCategories(), ...(importCategories ? importCategories.added : [])];
+    const match = known.find(c => c.id === text || c.name.toLowerCase() === text);
+    if (match) return match.id;
+    if (!importCategories) return settings.defaultCategory;
+    
+    const category = { id: createCategoryId(name, known), name, color: IMPORTED_CATEGORY_COLOR };
+    importCategories.added.push(category);
+    return category.id;
+}
+
+/**
+ * Takes the category list from one of our JSON exports into the import, so tasks keep their
+ * custom categories on another device. A category this device already has (by id, or by name
+ * under another id) is left as it is here.
+ */
+function registerImportedCategories(categories) {
+    if (!Array.isArray(categories)) return;
+    categories.forEach(category => {
+        if (!category || typeof category.id !== 'string' || !category.name) return;
+        const known = [...getCategories(), ...importCategories.added];
+        const name = String(category.name).trim();
+        if (known.some(c => c.id === category.id)) return;
+        
+        const sameName = known.find(c => c.name.toLowerCase() === name.toLowerCase());
+        if (sameName) {
+            importCategories.aliases[category.id] = sameName.id;
+            return;
+        }
+        
+        const id = /^[a-z0-9-]+$/.test(category.id) && !RESERVED_FILTERS.includes(category.id) ?
+            category.id : createCategoryId(name, known);
+        const color = /^#[0-9a-f]{6}$/i.test(category.color) ? category.color : IMPORTED_CATEGORY_COLOR;
+        importCategories.added.push({ id, name, color });
+        if (id !== category.id) importCategories.aliases[category.id] = id;
+    });
+}
+
+/**
+ * Adds the categories the current import introduced to the category list.
+ */
+async function saveImportedCategories() {
+    if (!importCategories || importCategories.added.length === 0) return;
+    await saveCategories([...getCategories(), ...importCategories.added]);
+}
+
+// Ids are slugs so they stay readable in URLs (#office) and exports
+function createCategoryId(name, categories) {
+    const baseId = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'category';
+    let id = baseId;
+    for (let n = 2; RESERVED_FILTERS.includes(id) || categories.some(c => c.id === id); n++) {
+        id = `${baseId}-${n}`;
+    }
+    return id;
+}
+
+function renderCategoryBadge(categoryId) {
+    const category = getCategory(categoryId);
+    return `<span class="category-badge" style="background: ${hexToRgba(category.color, 0.1)}; color: ${category.color};">${escapeHtml(category.name)}</span>`;
+}
+
+function hexToRgba(hex, alpha) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+}
+
+/**
+ * Rebuilds everything that lists categories: the filter tabs and the category selects.
+ */
+function renderCategoryUI() {
+    const categories = getCategories();
+    
+    const mainTabs = document.querySelector('.main-tabs');
+    if (mainTabs) {
+        mainTabs.querySelectorAll('.tab[data-category]').forEach(tab => tab.remove());
+        const recurringTab = [...mainTabs.querySelectorAll('.tab')].find(tab => tab.getAttribute('onclick').includes(`'recurring'`));
+        categories.forEach(category => {
+            const tab = document.createElement('button');
+            tab.className = `tab ${currentFilter === category.id ? 'active' : ''}`;
+            tab.dataset.category = category.id;
+            tab.setAttribute('onclick', `filterTasks('${category.id}')`);
+            tab.textContent = category.name;
+            mainTabs.insertBefore(tab, recurringTab || null);
+        });
+    }
+    
+    const options = categories.map(c => `<option value="${c.id}">${escapeHtml(c.name)}</option>`).join('');
+    ['taskCategory', 'defaultCategory'].forEach(id => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        const current = select.value;
+        select.innerHTML = options;
+        select.value = categories.some(c => c.id === current) ? current : settings.defaultCategory;
+    });
+}
+
+/**
+ * Renders the editable category list in the Settings modal.
+ */
+function renderCategoryManager() {
+    const list = document.getElementById('categoryManagerList');
+    if (!list) return;
+    
+    const categories = getCategories();
+    list.innerHTML = categories.map((category, index) => {
+        const count = tasks.filter(t => t.category === category.id).length;
+        return `
+            <div class="category-manager-row">
+                <input type="color" value="${category.color}" onchange="updateCategory('${category.id}', { color: this.value })" aria-label="Colour for ${escapeHtml(category.name)}">
+                <input type="text" class="form-control" value="${escapeHtml(category.name)}" onchange="updateCategory('${category.id}', { name: this.value })" aria-label="Category name">
+                <span class="category-task-count">${count} task${count === 1 ? '' : 's'}</span>
+                <button class="task-action-btn" onclick="moveCategory('${category.id}', -1)" title="Move up" ${index === 0 ? 'disabled' : ''}>
+                    <i class="fas fa-arrow-up"></i>
+                </button>
+                <button class="task-action-btn" onclick="moveCategory('${category.id}', 1)" title="Move down" ${index === categories.length - 1 ? 'disabled' : ''}>
+                    <i class="fas fa-arrow-down"></i>
+                </button>
+                <button class="task-action-btn" onclick="deleteCategory('${category.id}')" title="Delete" ${categories.length === 1 ? 'disabled' : ''}>
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Saves the category list and refreshes every view that shows categories.
+ */
+async function saveCategories(categories, message) {
+    settings.categories = categories;
+    searchIndex.queryCache.clear(); // category: terms resolve names when compiled
+    if (!categories.some(c => c.id === settings.defaultCategory)) {
+        settings.defaultCategory = categories[0].id;
+    }
+    
+    try {
+        await db.put(SETTINGS_STORE, settings);
+    } catch (e) {
+        console.error("Error saving categories:", e);
+        showToast('Error saving categories', 'error');
+        return;
+    }
+    
+    renderCategoryUI();
+    renderCategoryManager();
+    renderTasks();
+    if (message) showToast(message, 'success');
+}
+
+async function addCategory() {
+    const nameInput = document.getElementById('newCategoryName');
+    const name = nameInput.value.trim();
+    if (!name) {
+        showToast('Category name is required', 'error');
+        return;
+    }
+    
+    const categories = getCategories();
+    if (categories.some(c => c.name.toLowerCase() === name.toLowerCase())) {
+        showToast(`A category named '${name}' already exists`, 'error');
+        return;
+    }
+    
+    const id = createCategoryId(name, categories);
+    const color = document.getElementById('newCategoryColor').value;
+    nameInput.value = '';
+    await saveCategories([...categories, { id, name, color }], `Category '${name}' added`);
+}
+
+async function updateCategory(categoryId, changes) {
+    if ('name' in changes) {
+        changes.name = changes.name.trim();
+        if (!changes.name) {
+            showToast('Category name is required', 'error');
+            renderCategoryManager();
+            return;
+        }
+    }
+    
+    const categories = getCategories().map(c => c.id === categoryId ? { ...c, ...changes } : c);
+    await saveCategories(categories, 'name' in changes ? `Category renamed to '${changes.name}'` : null);
+}
+
+async function moveCategory(categoryId, direction) {
+    const categories = [...getCategories()];
+    const index = categories.findIndex(c => c.id === categoryId);
+    const target = index + direction;
+    if (index < 0 || target < 0 || target >= categories.length) return;
+    
+    [categories[index], categories[target]] = [categories[target], categories[index]];
+    await saveCategories(categories);
+}
+
+/**
+ * Deletes a category. If tasks still use it, asks which category they should move to.
+ */
+function deleteCategory(categoryId) {
+    const category = getCategory(categoryId);
+    const others = getCategories().filter(c => c.id !== categoryId);
+    if (others.length === 0) {
+        showToast('At least one category is required', 'error');
+        return;
+    }
+    
+    const affected = tasks.filter(t => t.category === categoryId);
+    const remove = async (targetId) => {
+        if (targetId) {
+            affected.forEach(t => t.category = targetId);
+            saveToHistory(`Moved ${affected.length} task(s) to ${getCategoryName(targetId)}`);
+            await saveTasks();
+        }
+        if (currentFilter === categoryId) {
+            filterTasks('all');
+        }
+        await saveCategories(others, `Category '${category.name}' deleted`);
+    };
+    
+    if (affected.length === 0) {
+        showConfirmModal('Delete Category', `Delete the category '${category.name}'?`, () => remove(null));
+        return;
+    }
+    
+    showChoiceModal('Delete Category',
+        `${affected.length} task(s) are in '${category.name}'. Choose a category to move them to:`,
+        others.map(other => ({
+            label: `Move to ${other.name}`,
+            onSelect: () => remove(other.id)
+        }))
+    );
+}
+
 // Import/Export
+const EXPORT_VERSION = '1.4-pro'; // *** UPDATED: 1.4 replaces the Excel Reminder column with Reminders
+
 function getTimestampedFilename(baseName, extension) {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
     return `${baseName}_${timestamp}.${extension}`;
@@ -2502,8 +7906,9 @@ function getTimestampedFilename(baseName, extension) {
 function exportToJSON() {
     const exportData = {
         exportedAt: new Date().toISOString(),
-        version: '1.2-pro', // *** UPDATED: Version
+        version: EXPORT_VERSION,
         totalTasks: tasks.length,
+        categories: getCategories(), // *** NEW: So category names survive a round trip
         tasks: tasks
     };
     
@@ -2527,19 +7932,30 @@ function exportToExcel() {
         'ID': task.id,
         'Title': task.title,
         'Description': task.description,
-        'Category': task.category,
+        'Category': getCategoryName(task.category),
         'Priority': task.priority,
         'Due Date': task.dueDate || '',
-        'Reminder': task.reminder || '',
+        'Reminders': task.reminders && task.reminders.length ? JSON.stringify(task.reminders) : '',
         'Repeat': task.repeat ? 'Yes' : 'No',
-        'Repeat Frequency': task.repeatFrequency || '',
+        'Repeat Rule': task.rrule || '',
+        'Recurrence Basis': task.recurrenceBasis || 'schedule',
+        'Skip Missed': task.skipMissed ? 'Yes' : 'No',
         'Tags': task.tags.join(', '),
         'Completed': task.completed ? 'Yes' : 'No',
         'Created At': task.createdAt,
         'Completed At': task.completedAt || '',
         'Previous Instance ID': task.previousInstanceId || '',
+        'Series ID': task.seriesId || '',
+        'Blocked By': (task.blockedBy || []).join(', '),
+        'Estimate (min)': task.estimateMinutes || '',
+        'Tracked (min)': Math.round(getTrackedMinutes(task)) || '',
         'Order': task.order || '',
-        'Parent ID': task.parentId || ''
+        'Parent ID': task.parentId || '',
+        // *** NEW: Everything else the importer needs to rebuild the task exactly ***
+        'Occurrence': task.occurrence || 1,
+        'Workflow State': task.workflowState || '',
+        'Calendar UID': task.icsUid || '',
+        'Series Defaults': task.seriesDefaults ? JSON.stringify(task.seriesDefaults) : ''
     }));
     
     const metadata = [{
@@ -2550,15 +7966,27 @@ function exportToExcel() {
         'Value': tasks.length
     }, {
         'Property': 'Version',
-        'Value': '1.2-pro' // *** UPDATED: Version
+        'Value': EXPORT_VERSION
     }];
     
+    // *** NEW: One row per time entry ***
+    const timeLog = tasks.flatMap(task => (task.timeEntries || []).map(entry => ({
+        'Task ID': task.id,
+        'Task': task.title,
+        'Start': entry.start,
+        'End': entry.end || '',
+        'Minutes': Math.round(getTrackedMinutes({ timeEntries: [entry] })),
+        'Entry ID': entry.id || ''
+    })));
+    
     const ws = XLSX.utils.json_to_sheet(data);
     const wsMeta = XLSX.utils.json_to_sheet(metadata);
+    const wsTimeLog = XLSX.utils.json_to_sheet(timeLog, { header: ['Task ID', 'Task', 'Start', 'End', 'Minutes', 'Entry ID'] });
     const wb = XLSX.utils.book_new();
     
     XLSX.utils.book_append_sheet(wb, ws, 'Tasks');
     XLSX.utils.book_append_sheet(wb, wsMeta, 'Metadata');
+    XLSX.utils.book_append_sheet(wb, wsTimeLog, 'Time Log');
     
     const filename = getTimestampedFilename('tasks', 'xlsx');
     XLSX.writeFile(wb, filename);
@@ -2566,124 +7994,946 @@ function exportToExcel() {
     showToast(`Tasks exported to ${filename}`, 'success');
 }
 
-function exportToPDF() {
+/**
+ * Opens the PDF report builder (scope, fields and layout); generatePDFReport writes the file.
+ */
+function exportToPDF() {
+    if (typeof jspdf === 'undefined') {
+        showToast('PDF export library not loaded. Please check your connection.', 'error');
+        return;
+    }
+    
+    lastFocusedElement = document.activeElement;
+    renderReportBuilder();
+    document.getElementById('reportBuilderModal').classList.remove('hidden');
+    setTimeout(() => document.getElementById('reportScope').focus(), 100);
+}
+
+function closeReportBuilder() {
+    document.getElementById('reportBuilderModal').classList.add('hidden');
+    if (lastFocusedElement) {
+        try { lastFocusedElement.focus(); } catch(e) {}
+    }
+}
+
+// *** NEW: PDF Report Builder ***
+
+const REPORT_SCOPES = ['view', 'all', 'due', 'completed'];
+const REPORT_LAYOUTS = ['detailed', 'table', 'weekly'];
+const REPORT_FIELDS = [
+    ['description', 'Description', task => task.description || ''],
+    ['category', 'Category', task => getCategoryName(task.category)],
+    ['priority', 'Priority', task => capitalize(task.priority)],
+    ['status', 'Status', task => task.completed ? 'Completed' : task.workflowState || 'Pending'],
+    ['dueDate', 'Due', task => formatReportDate(task.dueDate)],
+    ['tags', 'Tags', task => (task.tags || []).join(', ')],
+    ['estimate', 'Estimate', task => task.estimateMinutes ? formatDuration(task.estimateMinutes) : ''],
+    ['tracked', 'Tracked', task => getTrackedMinutes(task) >= 1 ? formatDuration(getTrackedMinutes(task)) : ''],
+    ['completedAt', 'Completed On', task => formatReportDate(task.completedAt)]
+];
+const DEFAULT_REPORT_OPTIONS = {
+    scope: 'view',
+    category: '', // Any category
+    from: '', // YYYY-MM-DD; empty means open-ended (this week for the weekly report)
+    to: '',
+    layout: 'detailed',
+    fields: ['description', 'category', 'priority', 'status', 'dueDate', 'tags']
+};
+
+// Page geometry in mm (jsPDF's default unit); font sizes are in points
+const PDF_MARGIN = 14;
+const PDF_CONTENT_TOP = 20; // Below the running header
+const PDF_CONTENT_BOTTOM = 18; // Above the footer
+const PDF_LINE_HEIGHT = 0.45; // mm per point of font size
+
+function getReportOptions() {
+    return { ...DEFAULT_REPORT_OPTIONS, ...(settings.reportOptions || {}) };
+}
+
+function formatReportDate(value) {
+    if (!value) return '';
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return '';
+    return date.toLocaleString([], { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+function renderReportBuilder() {
+    const options = getReportOptions();
+    document.getElementById('reportScope').value = options.scope;
+    document.getElementById('reportCategory').innerHTML = '<option value="">All categories</option>' +
+        getCategories().map(c => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}</option>`).join('');
+    document.getElementById('reportCategory').value = options.category;
+    document.getElementById('reportFrom').value = options.from;
+    document.getElementById('reportTo').value = options.to;
+    document.getElementById('reportLayout').value = options.layout;
+    document.getElementById('reportFields').innerHTML = REPORT_FIELDS.map(([key, label]) => `
+        <label>
+            <input type="checkbox" value="${key}" ${options.fields.includes(key) ? 'checked' : ''} onchange="updateReportBuilder()">
+            ${label}
+        </label>
+    `).join('');
+    updateReportBuilder();
+}
+
+function readReportOptions() {
+    return {
+        scope: document.getElementById('reportScope').value,
+        category: document.getElementById('reportCategory').value,
+        from: document.getElementById('reportFrom').value,
+        to: document.getElementById('reportTo').value,
+        layout: document.getElementById('reportLayout').value,
+        fields: Array.from(document.querySelectorAll('#reportFields input:checked')).map(input => input.value)
+    };
+}
+
+/**
+ * Shows the date range only when the scope or layout uses it, and how many tasks the report will hold.
+ */
+function updateReportBuilder() {
+    const options = readReportOptions();
+    const usesPeriod = options.scope === 'due' || options.scope === 'completed' || options.layout === 'weekly';
+    document.getElementById('reportDateRange').classList.toggle('hidden', !usesPeriod);
+    
+    const count = getReportTasks(options).length;
+    document.getElementById('reportTaskCount').textContent = `${count} task${count === 1 ? '' : 's'} in this report`;
+}
+
+/**
+ * The report period as Dates. Empty ends are open (null), except that the weekly report
+ * defaults to the current Monday-to-Sunday week.
+ */
+function getReportPeriod(options) {
+    let from = options.from ? new Date(`${options.from}T00:00:00`) : null;
+    let to = options.to ? new Date(`${options.to}T23:59:59.999`) : null;
+    if (options.layout === 'weekly' && !from && !to) {
+        const today = new Date();
+        from = new Date(today.getFullYear(), today.getMonth(), today.getDate() - (today.getDay() + 6) % 7);
+        to = new Date(from.getFullYear(), from.getMonth(), from.getDate() + 6, 23, 59, 59, 999);
+    }
+    return { from, to };
+}
+
+function isInReportPeriod(value, period) {
+    if (!value) return false;
+    const date = new Date(value);
+    return (!period.from || date >= period.from) && (!period.to || date <= period.to);
+}
+
+/**
+ * The tasks a report covers, in report order: the current view keeps its filters, search
+ * and sort; other scopes use the list order.
+ */
+function getReportTasks(options) {
+    const period = getReportPeriod(options);
+    let list;
+    if (options.scope === 'view') {
+        const viewState = getCurrentViewState();
+        list = sortTaskList(getViewModeTasks(viewState), currentSort, getSearchRelevance(compileSearchQuery(viewState.search)));
+    } else {
+        list = getTasksInListOrder();
+        if (options.scope === 'due') {
+            list = list.filter(t => isInReportPeriod(t.dueDate, period));
+        } else if (options.scope === 'completed') {
+            list = list.filter(t => t.completed && isInReportPeriod(t.completedAt, period));
+        }
+    }
+    return options.category ? list.filter(t => t.category === options.category) : list;
+}
+
+function describeReportScope(options) {
+    const { from, to } = getReportPeriod(options);
+    const range = [from, to].map(date => date ? date.toLocaleDateString() : '...').join(' - ');
+    const scope = {
+        view: 'Current view',
+        all: 'All tasks',
+        due: `Due ${range}`,
+        completed: `Completed ${range}`
+    }[options.scope] || 'All tasks';
+    return options.category ? `${scope}, ${getCategoryName(options.category)}` : scope;
+}
+
+async function generatePDFReport() {
     if (typeof jspdf === 'undefined') {
         showToast('PDF export library not loaded. Please check your connection.', 'error');
         return;
     }
     
-    const { jsPDF } = window.jspdf;
-    const doc = new jsPDF();
+    const options = readReportOptions();
+    if (options.from && options.to && options.from > options.to) {
+        showToast('The report period ends before it starts', 'error');
+        return;
+    }
+    const reportTasks = getReportTasks(options);
+    if (reportTasks.length === 0 && options.layout !== 'weekly') {
+        showToast('No tasks match the report scope', 'error');
+        return;
+    }
     
-    const exportTime = new Date().toLocaleString();
+    settings.reportOptions = options;
+    try {
+        await db.put(SETTINGS_STORE, settings);
+    } catch (error) {
+        console.error('Failed to save report options:', error);
+    }
     
-    doc.setFontSize(18);
-    doc.text('TaskMaster Pro - Tasks Report', 14, 20);
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF();
+    const title = options.layout === 'weekly' ? 'Weekly Status Report' : 'Tasks Report';
+    const cursor = createPDFCursor(doc);
     
-    doc.setFontSize(10);
-    doc.text(`Exported on: ${exportTime}`, 14, 28);
-    doc.text(`Total Tasks: ${tasks.length}`, 14, 34);
+    cursor.write(title, { size: 18, style: 'bold', gap: 1 });
+    cursor.write(`${describeReportScope(options)} - ${reportTasks.length} task${reportTasks.length === 1 ? '' : 's'}`, { size: 10, gap: 5 });
     
-    let y = 45;
-    const lineHeight = 7;
-    const pageHeight = doc.internal.pageSize.height;
+    if (options.layout === 'weekly') {
+        writeWeeklyReport(cursor, reportTasks, options);
+    } else if (options.layout === 'table') {
+        writeReportTable(cursor, reportTasks, options.fields, true);
+    } else {
+        writeDetailedReport(cursor, reportTasks, options.fields);
+    }
+    addPDFHeadersAndFooters(doc, title);
     
-    // *** UPDATED: Render hierarchically ***
-    const renderTaskToPDF = (task, level) => {
-        if (y > pageHeight - 30) {
-            doc.addPage();
-            y = 20;
-        }
-        
-        const indent = 14 + (level * 10);
-        
-        doc.setFontSize(12);
-        doc.setFont(undefined, 'bold');
-        doc.text(`${level > 0 ? '↳ ' : ''}${task.title}`, indent, y);
-        y += lineHeight;
+    const filename = getTimestampedFilename(options.layout === 'weekly' ? 'status_report' : 'tasks', 'pdf');
+    doc.save(filename);
+    closeReportBuilder();
+    showToast(`Tasks exported to ${filename}`, 'success');
+}
+
+/**
+ * Tracks the write position on a jsPDF document (`y` is the top of the next line) and starts
+ * a new page whenever content would run into the footer.
+ */
+function createPDFCursor(doc) {
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const cursor = {
+        doc,
+        left: PDF_MARGIN,
+        width: pageWidth - PDF_MARGIN * 2,
+        pageBottom: pageHeight - PDF_CONTENT_BOTTOM,
+        y: PDF_CONTENT_TOP,
+        onNewPage: null, // Called after a page break, e.g. to repeat a table header
         
-        doc.setFontSize(10);
-        doc.setFont(undefined, 'normal');
+        ensureSpace(height) {
+            if (cursor.y + height > cursor.pageBottom && cursor.y > PDF_CONTENT_TOP) {
+                doc.addPage();
+                cursor.y = PDF_CONTENT_TOP;
+                if (cursor.onNewPage) cursor.onNewPage();
+            }
+        },
         
-        if (task.description) {
-            const lines = doc.splitTextToSize(`Description: ${task.description}`, 180 - (level * 10));
-            doc.text(lines, indent, y);
-            y += lines.length * lineHeight;
+        // Writes text wrapped to the available width, breaking pages between lines
+        write(text, { indent = 0, size = 10, style = 'normal', gap = 0 } = {}) {
+            doc.setFontSize(size);
+            doc.setFont(undefined, style);
+            const lineHeight = size * PDF_LINE_HEIGHT;
+            doc.splitTextToSize(String(text), cursor.width - indent).forEach(line => {
+                cursor.ensureSpace(lineHeight);
+                doc.text(line, cursor.left + indent, cursor.y + lineHeight * 0.75);
+                cursor.y += lineHeight;
+            });
+            cursor.y += gap;
         }
+    };
+    return cursor;
+}
+
+function writeDetailedReport(cursor, reportTasks, fields) {
+    const details = REPORT_FIELDS.filter(([key]) => fields.includes(key) && key !== 'description');
+    const showDescription = fields.includes('description');
+    
+    forEachTaskInTree(reportTasks, (task, depth) => {
+        const indent = Math.min(depth, 4) * 8;
+        cursor.ensureSpace(12 * PDF_LINE_HEIGHT * 2); // Keep a title with its first detail line
+        cursor.write(`${depth > 0 ? '- ' : ''}${task.title}`, { indent, size: 12, style: 'bold', gap: 0.5 });
         
-        doc.text(`Category: ${capitalize(task.category)} | Priority: ${capitalize(task.priority)} | Status: ${task.completed ? 'Completed' : 'Pending'}`, indent, y);
-        y += lineHeight;
-        
-        if (task.dueDate) {
-            doc.text(`Due: ${formatDate(task.dueDate)}`, indent, y);
-            y += lineHeight;
+        const meta = details.map(([, label, value]) => [label, value(task)]).filter(([, value]) => value);
+        if (meta.length > 0) {
+            cursor.write(meta.map(([label, value]) => `${label}: ${value}`).join('  |  '), { indent, size: 9 });
         }
-        
-        if (task.tags.length > 0) {
-            doc.text(`Tags: ${task.tags.join(', ')}`, indent, y);
-            y += lineHeight;
+        if (showDescription && task.description) {
+            cursor.write(task.description, { indent, size: 9, style: 'italic' });
         }
+        cursor.y += 3;
+    });
+}
+
+/**
+ * A compact table: the title plus the chosen fields, long cells wrapped within their column.
+ * The header row repeats on every page the table spans.
+ */
+function writeReportTable(cursor, reportTasks, fields, nested = false) {
+    const doc = cursor.doc;
+    const size = 8;
+    const lineHeight = size * PDF_LINE_HEIGHT;
+    const padding = 1.5;
+    const columns = [
+        ['title', 'Task', task => task.title],
+        ...REPORT_FIELDS.filter(([key]) => fields.includes(key))
+    ];
+    // Free text gets three shares of the width, short fields one
+    const weights = columns.map(([key]) => key === 'title' || key === 'description' ? 3 : 1);
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const widths = weights.map(weight => cursor.width * weight / totalWeight);
+    // A row never grows past one page; longer cells are cut with an ellipsis
+    const maxLines = Math.floor((cursor.pageBottom - PDF_CONTENT_TOP) / lineHeight) - 4;
+    
+    const writeRow = (cells, style) => {
+        doc.setFontSize(size);
+        doc.setFont(undefined, style);
+        const cellLines = cells.map((cell, index) => {
+            const lines = doc.splitTextToSize(String(cell), widths[index] - padding * 2);
+            return lines.length > maxLines ? [...lines.slice(0, maxLines - 1), `${lines[maxLines - 1]}...`] : lines;
+        });
+        const height = Math.max(...cellLines.map(lines => lines.length)) * lineHeight + padding * 2;
+        cursor.ensureSpace(height);
         
-        y += 3; // Spacing
-        
-        // Find and render children
-        const children = tasks.filter(t => t.parentId === task.id);
-        children.forEach(child => renderTaskToPDF(child, level + 1));
+        if (style === 'bold') {
+            doc.setFillColor(235, 238, 245);
+            doc.rect(cursor.left, cursor.y, cursor.width, height, 'F');
+        }
+        let x = cursor.left;
+        cellLines.forEach((lines, index) => {
+            lines.forEach((line, lineIndex) => {
+                doc.text(line, x + padding, cursor.y + padding + lineHeight * (lineIndex + 0.75));
+            });
+            x += widths[index];
+        });
+        cursor.y += height;
+        doc.setDrawColor(220, 220, 220);
+        doc.line(cursor.left, cursor.y, cursor.left + cursor.width, cursor.y);
     };
     
-    // Start rendering with top-level tasks
-    const topLevelTasks = tasks.filter(t => !t.parentId);
-    topLevelTasks.forEach(task => renderTaskToPDF(task, 0));
+    const writeHeader = () => writeRow(columns.map(([, label]) => label), 'bold');
+    writeHeader();
+    cursor.onNewPage = writeHeader;
+    const writeTask = (task, depth) => writeRow(columns.map(([key, , value]) =>
+        key === 'title' ? `${'  '.repeat(Math.min(depth, 4))}${value(task)}` : value(task)), 'normal');
+    if (nested) {
+        forEachTaskInTree(reportTasks, writeTask);
+    } else {
+        reportTasks.forEach(task => writeTask(task, 0));
+    }
+    cursor.onNewPage = null;
+    cursor.y += 4;
+}
+
+/**
+ * Summary statistics for the period, then what was completed, what is overdue and what is
+ * due in the next seven days.
+ */
+function writeWeeklyReport(cursor, reportTasks, options) {
+    const period = getReportPeriod(options);
+    const now = new Date();
+    const nextWeek = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
+    const completed = reportTasks.filter(t => t.completed && isInReportPeriod(t.completedAt, period));
+    const onTime = completed.filter(t => t.dueDate && new Date(t.completedAt) <= new Date(t.dueDate));
+    const withDueDate = completed.filter(t => t.dueDate);
+    const overdue = reportTasks.filter(t => !t.completed && t.dueDate && new Date(t.dueDate) < now);
+    const upcoming = reportTasks.filter(t => !t.completed && t.dueDate && new Date(t.dueDate) >= now && new Date(t.dueDate) <= nextWeek)
+        .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+    
+    // Only the part of each time entry inside the period counts
+    const trackedMinutes = reportTasks.reduce((sum, task) => sum + (task.timeEntries || []).reduce((total, entry) => {
+        const start = Math.max(new Date(entry.start), period.from || -Infinity);
+        const end = Math.min(entry.end ? new Date(entry.end) : now, period.to || Infinity);
+        return total + Math.max(0, end - start) / 60000;
+    }, 0), 0);
+    
+    const stats = [
+        ['Completed', completed.length],
+        ['Completed on time', withDueDate.length ? `${onTime.length} of ${withDueDate.length}` : '-'],
+        ['Created', reportTasks.filter(t => isInReportPeriod(t.createdAt, period)).length],
+        ['Still open', reportTasks.filter(t => !t.completed).length],
+        ['Overdue', overdue.length],
+        ['Due in the next 7 days', upcoming.length],
+        ['Time tracked', formatDuration(trackedMinutes)]
+    ];
+    cursor.write('Summary', { size: 13, style: 'bold', gap: 1 });
+    stats.forEach(([label, value]) => cursor.write(`${label}: ${value}`, { size: 10 }));
+    cursor.y += 5;
+    
+    [
+        ['Completed', completed],
+        ['Overdue', overdue],
+        ['Due in the next 7 days', upcoming]
+    ].forEach(([heading, list]) => {
+        cursor.ensureSpace(20);
+        cursor.write(`${heading} (${list.length})`, { size: 13, style: 'bold', gap: 1 });
+        if (list.length === 0) {
+            cursor.write('None', { size: 9, style: 'italic', gap: 4 });
+        } else {
+            writeReportTable(cursor, list, options.fields);
+        }
+    });
+}
+
+/**
+ * Adds the running header (report title and export time) and a "Page X of Y" footer to every page.
+ */
+function addPDFHeadersAndFooters(doc, title) {
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const pages = doc.getNumberOfPages();
+    const exportTime = new Date().toLocaleString();
     
-    const filename = getTimestampedFilename('tasks', 'pdf');
-    doc.save(filename);
-    showToast(`Tasks exported to ${filename}`, 'success');
+    for (let page = 1; page <= pages; page++) {
+        doc.setPage(page);
+        doc.setFontSize(8);
+        doc.setFont(undefined, 'normal');
+        doc.setTextColor(120, 120, 120);
+        doc.setDrawColor(200, 200, 200);
+        doc.text(`TaskMaster Pro - ${title}`, PDF_MARGIN, 10);
+        doc.text(`Exported ${exportTime}`, pageWidth - PDF_MARGIN, 10, { align: 'right' });
+        doc.line(PDF_MARGIN, 12, pageWidth - PDF_MARGIN, 12);
+        doc.line(PDF_MARGIN, pageHeight - 12, pageWidth - PDF_MARGIN, pageHeight - 12);
+        doc.text(`Page ${page} of ${pages}`, pageWidth / 2, pageHeight - 7, { align: 'center' });
+    }
+    doc.setTextColor(0, 0, 0);
 }
 
+/**
+ * Exports tasks as an iCalendar (.ics) file (RFC 5545) that Google Calendar, Outlook and
+ * Apple Calendar can import. Every task becomes a VTODO; pending tasks with a due date also
+ * get a VEVENT so calendars that ignore to-dos still show them. Reminders become VALARMs and
+ * recurring series are exported once, as their next occurrence with its RRULE.
+ */
 function exportToGoogleCalendar() {
-    // ... (function is unchanged) ...
+    if (tasks.length === 0) {
+        showToast('No tasks to export', 'error');
+        return;
+    }
+    
+    const content = buildICSCalendar(tasks);
+    const filename = getTimestampedFilename('tasks', 'ics');
+    downloadFile(content, filename, 'text/calendar;charset=utf-8');
+    showToast(`Tasks exported to ${filename}`, 'success');
 }
 
+/**
+ * True when two tasks are certainly the same task: same id, or the same iCalendar UID
+ * (tasks previously exported from here or imported from the same calendar).
+ */
 function isDuplicate(newTask, existingTask) {
-    // ... (function is unchanged) ...
+    if (newTask.id && newTask.id === existingTask.id) return true;
+    return !!newTask.icsUid && newTask.icsUid === getICSUid(existingTask);
 }
 
-// *** NEW: Functions for Import Options Modal ***
+// *** NEW: iCalendar (.ics) Export and Import ***
 
-// *** NEW: Excel parsing function for smart import ***
-async function parseExcel(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = function(e) {
-            try {
-                const data = new Uint8Array(e.target.result);
-                const workbook = XLSX.read(data, {type: 'array'});
-                const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
-                const jsonData = XLSX.utils.sheet_to_json(firstSheet, {header: 1});
-                
-                if (jsonData.length < 2) {
-                    resolve([]);
-                    return;
+const ICS_PRODID = '-//TaskMaster Pro//Tasks//EN';
+const ICS_UID_DOMAIN = 'taskmaster.local';
+const ICS_DEFAULT_EVENT_MINUTES = 30; // Event length when a task has no estimate
+
+function getICSUid(task) {
+    return task.icsUid || `${task.id}@${ICS_UID_DOMAIN}`;
+}
+
+/**
+ * Folds a content line to 75 octets, continuing on lines that start with a space.
+ */
+function foldICSLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        if (octets + size > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Formats a number of minutes as an iCalendar duration, e.g. 90 -> "PT1H30M", -1440 -> "-P1D".
+ */
+function formatICSDuration(minutes) {
+    const sign = minutes < 0 ? '-' : '';
+    let rest = Math.abs(Math.round(minutes));
+    const days = Math.floor(rest / 1440);
+    rest %= 1440;
+    const hours = Math.floor(rest / 60);
+    const mins = rest % 60;
+    
+    let text = `${sign}P${days ? days + 'D' : ''}`;
+    if (hours || mins || !days) {
+        text += `T${hours ? hours + 'H' : ''}${mins || !hours ? mins + 'M' : ''}`;
+    }
+    return text;
+}
+
+/**
+ * A VALARM per reminder: relative reminders trigger before the due date, so recurring
+ * occurrences keep them, fixed ones at their date and time.
+ */
+function buildICSAlarms(task, relatedTo) {
+    return (task.reminders || []).flatMap(reminder => {
+        let trigger;
+        if (reminder.type === 'relative') {
+            if (!task.dueDate) return [];
+            trigger = `TRIGGER${relatedTo === 'END' ? ';RELATED=END' : ''}:${formatICSDuration(-reminder.minutesBefore)}`;
+        } else {
+            trigger = `TRIGGER;VALUE=DATE-TIME:${formatICSDate(new Date(reminder.at))}`;
+        }
+        return [
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `DESCRIPTION:${escapeICS(task.title)}`,
+            trigger,
+            'END:VALARM'
+        ];
+    });
+}
+
+/**
+ * The RRULE to export for the pending occurrence of a series. COUNT is reduced by the
+ * occurrences already done, since the exported series starts at this one.
+ */
+function getICSRRule(task) {
+    let rule;
+    try {
+        rule = parseRRule(task.rrule);
+    } catch (e) {
+        return null;
+    }
+    const parts = task.rrule.replace(/^RRULE:/i, '').split(';').filter(part => part && !/^COUNT=/i.test(part));
+    if (rule.count) {
+        parts.push(`COUNT=${Math.max(1, rule.count - (task.occurrence || 1) + 1)}`);
+    }
+    return parts.join(';');
+}
+
+function buildICSCalendar(taskList) {
+    const now = formatICSDate(new Date());
+    const todoUids = new Map(taskList.map(t => [t.id, getICSUid(t)]));
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICS_PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:TaskMaster Pro'
+    ];
+    
+    taskList.forEach(task => {
+        // A series is exported once, from its pending occurrence; finished ones are history
+        const template = task.repeat && !task.completed ? getSeriesTemplate(task) : task;
+        const rrule = task.repeat && !task.completed && template.dueDate ? getICSRRule(template) : null;
+        const due = task.dueDate ? new Date(task.dueDate) : null;
+        const categories = [getCategoryName(task.category), ...(task.tags || [])].map(escapeICS).join(',');
+        const duration = task.estimateMinutes || ICS_DEFAULT_EVENT_MINUTES;
+        
+        lines.push('BEGIN:VTODO', `UID:${getICSUid(task)}`, `DTSTAMP:${now}`);
+        if (task.createdAt) lines.push(`CREATED:${formatICSDate(new Date(task.createdAt))}`);
+        lines.push(`SUMMARY:${escapeICS(task.title)}`);
+        if (task.description) lines.push(`DESCRIPTION:${escapeICS(task.description)}`);
+        lines.push(`PRIORITY:${getPriorityNumber(task.priority)}`, `CATEGORIES:${categories}`);
+        if (due) {
+            // An RRULE needs a DTSTART, and DTSTART must come before DUE
+            if (rrule) lines.push(`DTSTART:${formatICSDate(new Date(due.getTime() - duration * 60000))}`);
+            lines.push(`DUE:${formatICSDate(due)}`);
+        }
+        if (rrule) lines.push(`RRULE:${rrule}`);
+        if (task.estimateMinutes) lines.push(`X-TASKMASTER-ESTIMATE:${formatICSDuration(task.estimateMinutes)}`);
+        if (task.completed) {
+            lines.push('STATUS:COMPLETED', 'PERCENT-COMPLETE:100');
+            if (task.completedAt) lines.push(`COMPLETED:${formatICSDate(new Date(task.completedAt))}`);
+        } else {
+            lines.push('STATUS:NEEDS-ACTION');
+        }
+        if (task.parentId && todoUids.has(task.parentId)) {
+            lines.push(`RELATED-TO;RELTYPE=PARENT:${todoUids.get(task.parentId)}`);
+        }
+        if (!task.completed) lines.push(...buildICSAlarms(task, 'END'));
+        lines.push('END:VTODO');
+        
+        if (due && !task.completed) {
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${getICSUid(task).replace('@', '-event@')}`,
+                `DTSTAMP:${now}`,
+                `DTSTART:${formatICSDate(due)}`,
+                `DURATION:${formatICSDuration(duration)}`,
+                `SUMMARY:${escapeICS(task.title)}`
+            );
+            if (task.description) lines.push(`DESCRIPTION:${escapeICS(task.description)}`);
+            lines.push(`CATEGORIES:${categories}`, 'TRANSP:TRANSPARENT', `X-TASKMASTER-TODO:${getICSUid(task)}`);
+            if (rrule) lines.push(`RRULE:${rrule}`);
+            lines.push(...buildICSAlarms(task, 'START'), 'END:VEVENT');
+        }
+    });
+    
+    lines.push('END:VCALENDAR');
+    return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
+
+function unescapeICS(text) {
+    return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N') ? '\n' : char);
+}
+
+/**
+ * Parses an iCalendar date or date-time. UTC values ("Z") are converted to local time;
+ * floating and TZID values are taken as local time. Date-only values are due at the end of the day.
+ * @returns {Date|null}
+ */
+function parseICSDate(value) {
+    const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!match) return null;
+    const [, y, mo, d, h, mi, sec, utc] = match;
+    if (h === undefined) return new Date(+y, mo - 1, +d, 23, 59);
+    if (utc) return new Date(Date.UTC(+y, mo - 1, +d, +h, +mi, +(sec || 0)));
+    return new Date(+y, mo - 1, +d, +h, +mi, +(sec || 0));
+}
+
+/**
+ * Parses an iCalendar duration ("-PT15M", "P1DT2H", "P1W") into minutes.
+ */
+function parseICSDuration(value) {
+    const match = (value || '').match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) return null;
+    const [, sign, weeks, days, hours, minutes, seconds] = match;
+    const total = (+weeks || 0) * 10080 + (+days || 0) * 1440 + (+hours || 0) * 60 + (+minutes || 0) + (+seconds || 0) / 60;
+    return sign === '-' ? -total : total;
+}
+
+/**
+ * Splits an .ics file into nested components: { name, props: { NAME: [{ value, params }] }, children }.
+ */
+function parseICSComponents(text) {
+    const lines = text.replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const root = { name: 'ROOT', props: {}, children: [] };
+    const stack = [root];
+    
+    lines.forEach(line => {
+        const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+        if (colon < 0) return;
+        const [name, ...paramParts] = line.slice(0, colon).split(';');
+        const value = line.slice(colon + 1);
+        const key = name.toUpperCase();
+        const current = stack[stack.length - 1];
+        
+        if (key === 'BEGIN') {
+            const component = { name: value.toUpperCase(), props: {}, children: [] };
+            current.children.push(component);
+            stack.push(component);
+        } else if (key === 'END') {
+            if (stack.length > 1) stack.pop();
+        } else {
+            const params = {};
+            paramParts.forEach(part => {
+                const [paramName, paramValue = ''] = part.split('=');
+                params[paramName.toUpperCase()] = paramValue.replace(/^"|"$/g, '');
+            });
+            (current.props[key] = current.props[key] || []).push({ value, params });
+        }
+    });
+    return root;
+}
+
+function mapICSPriority(value) {
+    const priority = parseInt(value, 10);
+    if (!priority) return 'medium';
+    if (priority <= 2) return 'urgent';
+    if (priority <= 4) return 'high';
+    if (priority === 5) return 'medium';
+    return 'low';
+}
+
+/**
+ * Converts the VTODOs and VEVENTs in an .ics file into task data for the Smart Import preview.
+ * Events exported alongside a to-do (X-TASKMASTER-TODO) are skipped so tasks don't arrive twice.
+ */
+function parseICS(text) {
+    const components = [];
+    const collect = component => {
+        if (component.name === 'VTODO' || component.name === 'VEVENT') components.push(component);
+        component.children.forEach(collect);
+    };
+    collect(parseICSComponents(text));
+    
+    const first = (component, name) => component.props[name] ? component.props[name][0] : null;
+    const value = (component, name) => {
+        const prop = first(component, name);
+        return prop ? unescapeICS(prop.value) : '';
+    };
+    const todoUids = new Set(components.filter(c => c.name === 'VTODO').map(c => value(c, 'UID')));
+    const categoryNames = getCategories().map(c => c.name.toLowerCase());
+    
+    return components
+        .filter(c => !(c.name === 'VEVENT' && todoUids.has(value(c, 'X-TASKMASTER-TODO'))))
+        .filter(c => value(c, 'STATUS').toUpperCase() !== 'CANCELLED')
+        .map(component => {
+            const isTodo = component.name === 'VTODO';
+            const start = parseICSDate(value(component, 'DTSTART'));
+            const end = parseICSDate(value(component, isTodo ? 'DUE' : 'DTEND'));
+            const durationMinutes = parseICSDuration(value(component, 'DURATION'));
+            const due = isTodo ? (end || (start && durationMinutes !== null ? new Date(start.getTime() + durationMinutes * 60000) : start)) : start;
+            let estimateMinutes = parseICSDuration(value(component, 'X-TASKMASTER-ESTIMATE'));
+            if (!isTodo && start) {
+                estimateMinutes = durationMinutes !== null ? durationMinutes : end ? (end - start) / 60000 : null;
+            }
+            
+            // *** UPDATED: A reminder per VALARM. Triggers before the due date stay relative to it;
+            // anything else (fixed times, offsets from another anchor) becomes a fixed time
+            const reminders = component.children.filter(child => child.name === 'VALARM').map(alarm => {
+                const trigger = first(alarm, 'TRIGGER');
+                if (!trigger) return null;
+                if (trigger.params.VALUE === 'DATE-TIME') {
+                    const at = parseICSDate(trigger.value);
+                    return at ? { type: 'absolute', at } : null;
                 }
-                
-                const headers = jsonData[0];
-                const tasks = [];
-                
-                for (let i = 1; i < jsonData.length; i++) {
-                    const task = {};
-                    headers.forEach((header, index) => {
-                        task[header] = jsonData[i][index] || '';
-                    });
-                    tasks.push(task);
+                const offset = parseICSDuration(trigger.value);
+                const anchor = trigger.params.RELATED === 'END' ? (isTodo ? due : end || start) : (start || due);
+                if (offset === null || !anchor) return null;
+                if (anchor === due && offset <= 0) return { type: 'relative', minutesBefore: -offset };
+                return { type: 'absolute', at: new Date(anchor.getTime() + offset * 60000) };
+            });
+            
+            // The first CATEGORIES entry naming a known category is the category; the rest are tags
+            const labels = (component.props.CATEGORIES || [])
+                .flatMap(prop => prop.value.split(/(?<!\\),/))
+                .map(label => unescapeICS(label).trim())
+                .filter(label => label);
+            const categoryLabel = labels.find(label => categoryNames.includes(label.toLowerCase()));
+            
+            let rrule = value(component, 'RRULE') || null;
+            if (rrule) {
+                try {
+                    parseRRule(rrule);
+                } catch (e) {
+                    console.warn('Skipping unsupported recurrence rule:', rrule, e);
+                    rrule = null;
                 }
-                
-                resolve(tasks);
-            } catch (error) {
-                reject(error);
             }
-        };
-        reader.readAsArrayBuffer(file);
+            
+            // *** NEW: Subtasks point at their parent's UID (RELTYPE defaults to PARENT). The UID
+            // doubles as the row id so createImportedTasks can link the two like any other import
+            const parent = (component.props['RELATED-TO'] || []).find(prop => (prop.params.RELTYPE || 'PARENT').toUpperCase() === 'PARENT');
+            
+            const completedAt = parseICSDate(value(component, 'COMPLETED'));
+            const created = parseICSDate(value(component, 'CREATED'));
+            const uid = value(component, 'UID') || null;
+            return {
+                id: uid,
+                icsUid: uid,
+                parentId: parent ? unescapeICS(parent.value) : null,
+                title: value(component, 'SUMMARY') || 'Untitled',
+                description: value(component, 'DESCRIPTION'),
+                category: categoryLabel || null,
+                priority: isTodo ? mapICSPriority(value(component, 'PRIORITY')) : settings.defaultPriority,
+                tags: labels.filter(label => label !== categoryLabel),
+                dueDate: due ? toDateTimeLocalValue(due) : null,
+                reminders: normalizeReminders(reminders),
+                repeat: !!rrule,
+                rrule,
+                estimateMinutes: estimateMinutes > 0 ? Math.round(estimateMinutes) : null,
+                completed: value(component, 'STATUS').toUpperCase() === 'COMPLETED' || !!completedAt,
+                completedAt: completedAt ? completedAt.toISOString() : null,
+                createdAt: created ? created.toISOString() : null
+            };
+        });
+}
+
+// *** NEW: Functions for Import Options Modal ***
+
+// *** UPDATED: Excel import reads our Metadata and Time Log sheets and reports invalid rows ***
+
+/**
+ * Reads an .xlsx file. Workbooks exported from here (they have a Metadata sheet) are read
+ * column by column so a round trip keeps ids, hierarchy, timestamps, recurrence links and
+ * tracked time; other spreadsheets go through normalizeTaskData's column aliases.
+ * @returns {Promise<{tasks: Object[], errors: Array<{row: number, title: string, message: string}>}>}
+ *          - Rows with invalid dates or priorities are left out of `tasks` and listed in `errors`
+ */
+async function parseExcel(file) {
+    const workbook = XLSX.read(new Uint8Array(await file.arrayBuffer()), { type: 'array', cellDates: true });
+    const sheetName = workbook.SheetNames.includes('Tasks') ? 'Tasks' : workbook.SheetNames[0];
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { defval: '' });
+    const metadata = workbook.Sheets.Metadata ? readExcelMetadata(workbook.Sheets.Metadata) : null;
+    
+    if (metadata) {
+        checkExportVersion(metadata.Version);
+    }
+    const timeEntries = workbook.Sheets['Time Log'] ? readExcelTimeLog(workbook.Sheets['Time Log']) : new Map();
+    
+    const tasks = [];
+    const errors = [];
+    rows.forEach((row, index) => {
+        const result = metadata ? excelRowToTask(row, timeEntries) : genericRowToTask(row);
+        if (result.error) {
+            // Row 1 is the header
+            errors.push({ row: index + 2, title: result.task.title || '', message: result.error });
+        } else if (result.task.title) {
+            tasks.push(result.task);
+        }
+    });
+    return { tasks, errors };
+}
+
+function readExcelMetadata(sheet) {
+    const metadata = {};
+    XLSX.utils.sheet_to_json(sheet, { defval: '' }).forEach(row => {
+        if (row.Property) metadata[String(row.Property).trim()] = row.Value;
+    });
+    return metadata;
+}
+
+/**
+ * Rejects files written by a newer version of the app, whose columns this version can't read.
+ */
+function checkExportVersion(version) {
+    const match = String(version || '').match(/^(\d+)\.(\d+)/);
+    if (!match) {
+        throw new Error('The Metadata sheet has no valid version.');
+    }
+    const [, major, minor] = match.map(Number);
+    const [, currentMajor, currentMinor] = EXPORT_VERSION.match(/^(\d+)\.(\d+)/).map(Number);
+    if (major > currentMajor || (major === currentMajor && minor > currentMinor)) {
+        throw new Error(`The file was exported by a newer version (${version}). Please update the app to import it.`);
+    }
+}
+
+/**
+ * Time Log rows grouped by task id, as timeEntries.
+ */
+function readExcelTimeLog(sheet) {
+    const entries = new Map();
+    XLSX.utils.sheet_to_json(sheet, { defval: '' }).forEach((row, index) => {
+        const taskId = String(row['Task ID'] || '').trim();
+        const start = parseImportTimestamp(row.Start);
+        if (!taskId || !start) return;
+        
+        if (!entries.has(taskId)) entries.set(taskId, []);
+        entries.get(taskId).push({
+            id: String(row['Entry ID'] || `${Date.now()}-${index}`),
+            start,
+            end: parseImportTimestamp(row.End)
+        });
     });
+    return entries;
+}
+
+function parseImportBoolean(value) {
+    return value === true || /^(yes|y|true|1|x)$/i.test(String(value || '').trim());
+}
+
+/**
+ * An ISO timestamp from a spreadsheet cell (a Date or text), or null.
+ */
+function parseImportTimestamp(value) {
+    if (value instanceof Date) return isNaN(value.getTime()) ? null : value.toISOString();
+    const text = String(value || '').trim();
+    if (!text) return null;
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * A task from a row of our own Excel export.
+ * @returns {{task: Object, error: string|null}}
+ */
+function excelRowToTask(row, timeEntries) {
+    const text = header => row[header] === undefined || row[header] === null ? '' : String(row[header]).trim();
+    const list = header => text(header).split(',').map(value => value.trim()).filter(value => value);
+    const errors = [];
+    
+    // Due dates and reminders are local times; the other timestamps are absolute
+    const localDate = (header) => {
+        const value = row[header];
+        if (!text(header)) return null;
+        const date = value instanceof Date ? toDateTimeLocalValue(value) : parseImportDate(text(header));
+        if (!date) errors.push(`invalid ${header.toLowerCase()} "${text(header)}"`);
+        return date;
+    };
+    const timestamp = (header) => {
+        if (!text(header)) return null;
+        const date = parseImportTimestamp(row[header]);
+        if (!date) errors.push(`invalid ${header.toLowerCase()} "${text(header)}"`);
+        return date;
+    };
+    
+    const priority = text('Priority').toLowerCase() || 'medium';
+    if (!['urgent', 'high', 'medium', 'low'].includes(priority)) {
+        errors.push(`invalid priority "${text('Priority')}"`);
+    }
+    let seriesDefaults = null;
+    if (text('Series Defaults')) {
+        try {
+            seriesDefaults = JSON.parse(text('Series Defaults'));
+        } catch (e) {
+            errors.push('invalid series defaults');
+        }
+    }
+    let reminders = null;
+    if (text('Reminders')) {
+        try {
+            reminders = JSON.parse(text('Reminders'));
+        } catch (e) {
+            errors.push('invalid reminders');
+        }
+    }
+    
+    const id = text('ID');
+    const task = {
+        id,
+        title: text('Title'),
+        description: text('Description'),
+        category: text('Category'),
+        priority,
+        dueDate: localDate('Due Date'),
+        reminders,
+        reminder: localDate('Reminder'), // Files before 1.4
+        repeat: parseImportBoolean(row.Repeat),
+        rrule: text('Repeat Rule') || null,
+        recurrenceBasis: text('Recurrence Basis'),
+        skipMissed: parseImportBoolean(row['Skip Missed']),
+        tags: list('Tags'),
+        completed: parseImportBoolean(row.Completed),
+        createdAt: timestamp('Created At'),
+        completedAt: timestamp('Completed At'),
+        previousInstanceId: text('Previous Instance ID') || null,
+        seriesId: text('Series ID') || null,
+        blockedBy: list('Blocked By'),
+        estimateMinutes: parseInt(text('Estimate (min)'), 10) || null,
+        order: Number(text('Order')) || null,
+        parentId: text('Parent ID') || null,
+        occurrence: parseInt(text('Occurrence'), 10) || 1,
+        workflowState: text('Workflow State') || null,
+        icsUid: text('Calendar UID') || null,
+        seriesDefaults,
+        timeEntries: timeEntries.get(id) || []
+    };
+    return { task: upgradeLegacyReminder(task), error: errors.length ? capitalize(errors.join(', ')) : null };
+}
+
+/**
+ * A task from a row of any other spreadsheet, checked for a valid due date and priority.
+ * @returns {{task: Object, error: string|null}}
+ */
+function genericRowToTask(row) {
+    const task = normalizeTaskData(row);
+    const errors = [];
+    if (task.dueDate) {
+        const raw = task.dueDate;
+        task.dueDate = raw instanceof Date ? toDateTimeLocalValue(raw) : parseImportDate(raw);
+        if (!task.dueDate) errors.push(`invalid due date "${raw}"`);
+    }
+    task.createdAt = parseImportTimestamp(task.createdAt) || new Date().toISOString();
+    task.completedAt = parseImportTimestamp(task.completedAt);
+    const priority = String(task.priority).trim().toLowerCase();
+    if (['urgent', 'high', 'medium', 'low'].includes(priority)) {
+        task.priority = priority;
+    } else {
+        errors.push(`invalid priority "${task.priority}"`);
+    }
+    return { task, error: errors.length ? capitalize(errors.join(', ')) : null };
 }
 
 // *** NEW: Smart Import System Functions (already implemented above) ***
@@ -2691,20 +8941,68 @@ async function parseExcel(file) {
 // Utility Functions
 
 // *** UPDATED: STORAGE FUNCTIONS (IndexedDB) ***
+
+// *** NEW: Dirty tracking for incremental saves ***
+// Serialized copy of each task as it was last written to IndexedDB, keyed by task id.
+let persistedTaskSnapshot = new Map();
+
+/**
+ * Records the given tasks as the current contents of the tasks store.
+ * @param {Object[]} storedTasks - Tasks exactly as they exist in IndexedDB
+ */
+function resetPersistedSnapshot(storedTasks) {
+    persistedTaskSnapshot = new Map(storedTasks.map(task => [task.id, JSON.stringify(task)]));
+}
+
+/**
+ * Compares the in-memory tasks against the persisted snapshot.
+ * @returns {{upserts: Array<{task: Object, serialized: string}>, deletes: string[]}}
+ */
+function collectDirtyTasks() {
+    const upserts = [];
+    const liveIds = new Set();
+    
+    tasks.forEach(task => {
+        liveIds.add(task.id);
+        const serialized = JSON.stringify(task);
+        if (persistedTaskSnapshot.get(task.id) !== serialized) {
+            upserts.push({ task, serialized });
+        }
+    });
+    
+    const deletes = [...persistedTaskSnapshot.keys()].filter(id => !liveIds.has(id));
+    return { upserts, deletes };
+}
+
 /**
- * Saves the entire tasks array to IndexedDB.
+ * Writes only the tasks that were added, changed or removed since the last save.
+ * All changes go through one transaction, so a failed save leaves the store untouched.
+ * @returns {Promise<boolean>} - True if the store is up to date, false if the save failed
  */
 async function saveTasks() {
+    saveToHistory('Edited tasks'); // *** NEW: Catch-all so no change skips the undo history
+    const { upserts, deletes } = collectDirtyTasks();
+    if (upserts.length === 0 && deletes.length === 0) return true;
+    
     try {
-        // Use a transaction to clear and re-populate
         const tx = db.transaction(TASK_STORE, 'readwrite');
-        await tx.objectStore(TASK_STORE).clear();
-        // Use Promise.all for efficient parallel inserts
-        await Promise.all(tasks.map(task => tx.objectStore(TASK_STORE).put(task)));
-        await tx.done;
+        await Promise.all([
+            ...upserts.map(({ task }) => tx.store.put(task)),
+            ...deletes.map(id => tx.store.delete(id)),
+            tx.done
+        ]);
+        
+        // Only advance the snapshot once the transaction has committed
+        upserts.forEach(({ task, serialized }) => persistedTaskSnapshot.set(task.id, serialized));
+        deletes.forEach(id => persistedTaskSnapshot.delete(id));
+        
+        // *** NEW: Keep the service worker's reminder schedule in step ***
+        syncReminders().catch(error => console.error('Failed to update reminders:', error));
+        return true;
     } catch (e) {
         console.error("Error saving tasks to IndexedDB:", e);
         showToast("Error saving tasks. Storage might be full.", "error");
+        return false;
     }
 }
 
@@ -2713,18 +9011,10 @@ async function saveTasks() {
  */
 async function loadTasks() {
     try {
+        // Missing fields are backfilled by DB_MIGRATIONS, not here
         tasks = await db.getAll(TASK_STORE);
-        // Ensure data integrity on load (add new properties if missing)
-        tasks = tasks.map(t => ({
-            ...t,
-            tags: Array.isArray(t.tags) ? t.tags : [],
-            priority: t.priority || 'medium',
-            category: t.category || 'personal',
-            previousInstanceId: t.previousInstanceId || null,
-            order: t.order || new Date(t.createdAt).getTime(),
-            parentId: t.parentId || null,
-            collapsed: t.collapsed || false // *** NEW: Preserve collapse state ***
-        }));
+        resetPersistedSnapshot(tasks);
+        buildSearchIndex(); // *** NEW
         renderTasks(); // Render after loading
     } catch (e) {
         console.error("Error loading tasks from IndexedDB:", e);
@@ -2781,7 +9071,11 @@ function escapeCSV(text) {
 
 function escapeICS(text) {
     if (!text) return '';
-    return String(text).replace(/\n/g, '\\n').replace(/,/g, '\\,').replace(/;/g, '\\;');
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/\r?\n/g, '\\n')
+        .replace(/,/g, '\\,')
+        .replace(/;/g, '\\;');
 }
 
 function capitalize(text) {
@@ -2938,6 +9232,61 @@ function closeConfirmModal() {
     }
 }
 
+// *** NEW: Reusable multiple-choice dialog ***
+/**
+ * Shows a dialog with several actions plus Cancel.
+ * @param {string} title
+ * @param {string} message - Plain text
+ * @param {Array<{label: string, className?: string, onSelect: Function}>} choices
+ */
+function showChoiceModal(title, message, choices) {
+    let choiceModal = document.getElementById('choiceModal');
+    if (!choiceModal) {
+        choiceModal = document.createElement('div');
+        choiceModal.id = 'choiceModal';
+        choiceModal.className = 'modal hidden';
+        choiceModal.innerHTML = `
+            <div class="modal-content small-modal">
+                <div class="modal-header">
+                    <h2 id="choiceModalTitle"></h2>
+                    <button class="close-btn" onclick="closeChoiceModal()" aria-label="Close modal">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div id="choiceModalMessage" style="padding: 1.5rem; line-height: 1.6;"></div>
+                <div class="modal-footer" id="choiceModalButtons" style="padding: 1.5rem; display: flex; flex-wrap: wrap; gap: 1rem; justify-content: flex-end; border-top: 2px solid var(--border-color);"></div>
+            </div>
+        `;
+        document.body.appendChild(choiceModal);
+    }
+    
+    document.getElementById('choiceModalTitle').textContent = title;
+    document.getElementById('choiceModalMessage').textContent = message;
+    
+    const buttons = document.getElementById('choiceModalButtons');
+    buttons.innerHTML = '<button class="btn btn-secondary" onclick="closeChoiceModal()">Cancel</button>';
+    choices.forEach(choice => {
+        const button = document.createElement('button');
+        button.className = `btn ${choice.className || 'btn-secondary'}`;
+        button.textContent = choice.label;
+        button.addEventListener('click', () => {
+            closeChoiceModal();
+            choice.onSelect(); // This might be async
+        });
+        buttons.appendChild(button);
+    });
+    
+    choiceModal.classList.remove('hidden');
+    setTimeout(() => buttons.lastElementChild.focus(), 100);
+}
+
+function closeChoiceModal() {
+    const choiceModal = document.getElementById('choiceModal');
+    if (choiceModal) {
+        choiceModal.classList.add('hidden');
+    }
+}
+
 // *** UPDATED: About/Help/Privacy Modals ***
 function showAbout() {
     showInfoModal(
@@ -2955,13 +9304,20 @@ function showHelp() {
      showInfoModal(
         '<i class="fas fa-question-circle"></i> Help',
         `<ul style="list-style-position: inside; padding-left: 1rem;">
-            <li><strong>Search:</strong> Use the search bar to find tasks by title, description, or tags.</li>
+            <li><strong>Quick Add:</strong> Type phrases like <em>Pay rent tomorrow 9am !urgent #finance @office every month</em>. Dates, times, <code>remind 30m before</code>, <code>!priority</code>, <code>#tags</code>, <code>@category</code> and <code>every ...</code> are detected as you type. Put words in "quotes" or start them with \\ to keep them in the title.</li>
+            <li><strong>Search:</strong> Use the search bar to find tasks by title, description, or tags. Narrow it with <code>priority:high</code>, <code>due:&lt;7d</code>, <code>tag:finance</code>, <code>category:office</code>, <code>is:overdue</code> or <code>has:reminder</code>, combine terms with <code>OR</code>, <code>NOT</code> / <code>-</code> and parentheses, and use "quotes" for exact phrases. Results are sorted by relevance while you search.</li>
             <li><strong>Subtasks:</strong> Click the <i class="fas fa-plus-circle"></i> icon on a task to add a subtask.</li>
             <li><strong>Drag & Drop:</strong> In the 'Manual Order' sort view, you can drag and drop top-level tasks to reorder them.</li>
+            <li><strong>Board View:</strong> Switch to <i class="fas fa-columns"></i> Board to see tasks as cards grouped by status, priority, category or workflow state. Drag a card to another column to change that field. Workflow states are set in Settings.</li>
+            <li><strong>Calendar View:</strong> <i class="fas fa-calendar-alt"></i> Calendar shows due dates and reminders by month, week or day, with upcoming recurring occurrences faded. Drag an item to another day (or hour) to reschedule it, or click a day to add a task due then.</li>
+            <li><strong>History:</strong> Undo (Ctrl+Z) and redo (Ctrl+Y) work across reloads. Click <i class="fas fa-history"></i> next to them to see every change and jump back to any point.</li>
+            <li><strong>Plan my day:</strong> Pick today's focus tasks from what is overdue, due today and suggested; they make up the <em>Today's Focus</em> quick filter. Turn on the daily digest in Settings for a morning notification that opens this screen; while TaskMaster is closed it arrives only when the browser wakes the app in the background, like other reminders.</li>
+            <li><strong>Reminders:</strong> A task can have several reminders, each at a set time or a while before the due date; those follow the due date when it moves or the task repeats. New tasks start with the default reminder from Settings. Reminders are delivered by the app's service worker. Reminders that pass while TaskMaster is closed are listed when you next open it; installed apps in supporting browsers also check in the background. Snoozing for 10 minutes or an hour from a notification needs TaskMaster open to deliver on time, so while it is closed those options open the app, or are left out, unless the browser can schedule notifications itself.</li>
             <li><strong>Filters:</strong> Use the tabs or your browser's back/forward buttons to change filters.</li>
             <li><strong>Storage:</strong> Your data is now saved securely in your browser's IndexedDB.</li>
             <li><strong>Bulk Delete:</strong> Use the leftmost checkbox on each task to select multiple items, then click **Delete Selected**.</li>
             <li><strong>Complete Task:</strong> Click the inner checkbox. Completed recurring tasks will generate their next occurrence.</li>
+            <li><strong>Recurring Series:</strong> When editing or deleting a recurring task, choose whether it applies to that occurrence only or to all future ones. Click <i class="fas fa-history"></i> to see a series' history and streak.</li>
          </ul>`
     );
 }
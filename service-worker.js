@@ -1,5 +1,25 @@
 // Updated cache name for new version
-const CACHE_NAME = 'taskmaster-v2';
+const CACHE_NAME = 'taskmaster-v8';
+
+// *** NEW: Reminder delivery. These mirror the constants in app.js ***
+const DB_NAME = 'TaskMasterDB';
+const REMINDER_STORE = 'reminders';
+const REMINDER_GRACE_MS = 5 * 60 * 1000; // Later than this, a reminder goes to the digest instead
+const REMINDER_SYNC_TAG = 'check-reminders';
+const TASK_STORE = 'tasks';
+const SNOOZE_OPTIONS = { 'snooze-10m': 10, 'snooze-1h': 60, 'snooze-tomorrow': 'tomorrow' };
+const SNOOZE_TOMORROW_HOUR = 9;
+// Periodic Background Sync runs hours apart at best, so with no window open a timed snooze
+// only arrives on time if the browser can schedule the notification itself
+const TIMED_SNOOZES = ['snooze-10m', 'snooze-1h'];
+// Browsers show only the first Notification.maxActions (often two); clicking the body opens the task
+const REMINDER_ACTIONS = [
+    { action: 'done', title: 'Mark done' },
+    { action: 'snooze-10m', title: 'Snooze 10 min' },
+    { action: 'snooze-1h', title: 'Snooze 1 hour' },
+    { action: 'snooze-tomorrow', title: 'Snooze until tomorrow' },
+    { action: 'open', title: 'Open' }
+];
 
 // Updated list of URLs to cache
 // Using relative paths and adding external resources for full offline support
@@ -74,3 +94,338 @@ self.addEventListener('activate', event => {
         }).then(() => self.clients.claim()) // Take control of open pages
     );
 });
+
+// *** NEW: Reminder pipeline ***
+// The app keeps one record per pending reminder time in IndexedDB (see syncReminders in app.js).
+// The worker checks them when the page asks (every minute while it is open) and on Periodic
+// Background Sync while it is closed; whatever passes unseen is shown as a digest on next launch.
+
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'check-reminders') {
+        event.waitUntil(checkReminders());
+    }
+});
+
+self.addEventListener('periodicsync', event => {
+    if (event.tag === REMINDER_SYNC_TAG) {
+        event.waitUntil(checkReminders());
+    }
+});
+
+// *** NEW: Reminder actions: Mark done, Snooze and Open ***
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    if (event.notification.data && event.notification.data.digest) {
+        event.waitUntil(openPlanMyDay()); // *** NEW: The daily digest ***
+        return;
+    }
+    const taskId = event.notification.data && event.notification.data.taskId;
+    if (!taskId) {
+        event.waitUntil(focusApp()); // The missed-reminders digest
+        return;
+    }
+    event.waitUntil(handleReminderAction(event.action || 'open', taskId));
+});
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Opens the app's database at whatever version it has. The worker never creates or upgrades
+ * it; that is the page's job (initDB), so an open that would need an upgrade is abandoned.
+ */
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME);
+        request.onupgradeneeded = () => request.transaction.abort();
+        request.onsuccess = () => {
+            const database = request.result;
+            // Let the page upgrade the schema while the worker holds a connection
+            database.onversionchange = () => database.close();
+            resolve(database);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Shows reminders that just came due and marks the older ones missed. Records are marked
+ * before anything is shown, so overlapping checks (page and worker) can't notify twice.
+ */
+async function checkReminders() {
+    let database;
+    try {
+        database = await openDatabase();
+    } catch (error) {
+        return; // No database yet
+    }
+    
+    try {
+        if (!database.objectStoreNames.contains(REMINDER_STORE)) return;
+        
+        const now = Date.now();
+        const tx = database.transaction(REMINDER_STORE, 'readwrite');
+        const store = tx.objectStore(REMINDER_STORE);
+        const records = await requestToPromise(store.getAll());
+        const ids = new Set(records.map(record => record.id));
+        const due = records.filter(record => record.status === 'pending' && new Date(record.at).getTime() <= now);
+        due.forEach(record => {
+            // A digest can still be shown later the same day (see getDigestRecords in app.js)
+            const deadline = record.expiresAt ? new Date(record.expiresAt).getTime() : new Date(record.at).getTime() + REMINDER_GRACE_MS;
+            record.status = now <= deadline ? 'notified' : 'missed';
+            record.firedAt = new Date(now).toISOString();
+            store.put(record);
+            
+            // The app only schedules two days ahead, so keep the digest going while it is closed
+            if (record.kind === 'digest') {
+                const next = getNextDigestRecord(record, now);
+                if (!ids.has(next.id)) store.put(next);
+            }
+        });
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+        
+        const notified = due.filter(record => record.status === 'notified');
+        const digests = notified.filter(record => record.kind === 'digest');
+        if (digests.length > 0) {
+            await refreshDigests(database, digests);
+        }
+        await Promise.all(notified
+            .map(record => record.kind === 'digest' ? showDigestNotification(record) : showReminderNotification(record)));
+        
+        // A digest from a day that has passed isn't worth showing
+        const missed = due.filter(record => record.status === 'missed' && record.kind !== 'digest');
+        if (missed.length > 0) {
+            await notifyMissedReminders(missed);
+        }
+    } catch (error) {
+        console.error('Service Worker: Reminder check failed:', error);
+    } finally {
+        database.close();
+    }
+}
+
+/**
+ * True when the browser supports Notification Triggers, i.e. can show a notification at a
+ * set time without the worker being awake.
+ */
+function canScheduleNotifications() {
+    return typeof TimestampTrigger !== 'undefined' && 'showTrigger' in Notification.prototype;
+}
+
+async function showReminderNotification(record, showTrigger = null) {
+    const due = record.dueDate ? new Date(record.dueDate).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) : null;
+    // Timed snoozes are left out when nothing could deliver them (see TIMED_SNOOZES)
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const actions = windows.length > 0 || canScheduleNotifications() ?
+        REMINDER_ACTIONS : REMINDER_ACTIONS.filter(option => !TIMED_SNOOZES.includes(option.action));
+    const options = {
+        body: due ? `Due: ${due}` : 'No due date',
+        icon: 'icons/android-chrome-192x192.png',
+        badge: 'icons/favicon-32x32.png',
+        tag: `reminder-${record.taskId}`,
+        timestamp: new Date(record.at).getTime(),
+        data: { taskId: record.taskId },
+        actions: actions.slice(0, Notification.maxActions || 0)
+    };
+    if (showTrigger) options.showTrigger = showTrigger;
+    return self.registration.showNotification(`Task Reminder: ${record.title}`, options);
+}
+
+/**
+ * The first digest after `record` that hasn't ended by `now`, at the same time of day.
+ */
+function getNextDigestRecord(record, now) {
+    const at = new Date(record.at);
+    let expiresAt;
+    do {
+        at.setDate(at.getDate() + 1);
+        expiresAt = new Date(at.getFullYear(), at.getMonth(), at.getDate() + 1);
+    } while (expiresAt.getTime() <= now);
+    return {
+        ...record,
+        id: `digest@${at.toISOString()}`,
+        at: at.toISOString(),
+        expiresAt: expiresAt.toISOString(),
+        status: 'pending',
+        firedAt: null
+    };
+}
+
+/**
+ * Recounts digests from the stored tasks, as getPlanCandidates in app.js counts them, since
+ * the app wrote them when it last ran. Insights from an earlier day are replaced too.
+ */
+async function refreshDigests(database, digests) {
+    const tasks = await requestToPromise(database.transaction(TASK_STORE).objectStore(TASK_STORE).getAll());
+    const pending = tasks.filter(task => !task.completed && task.dueDate);
+    digests.forEach(record => {
+        const at = new Date(record.at);
+        const dayStart = new Date(at.getFullYear(), at.getMonth(), at.getDate());
+        const dayEnd = new Date(at.getFullYear(), at.getMonth(), at.getDate() + 1);
+        const overdue = pending.filter(task => new Date(task.dueDate) < dayStart).length;
+        const dueToday = pending.filter(task => new Date(task.dueDate) >= dayStart && new Date(task.dueDate) < dayEnd).length;
+        record.title = `Your day: ${dueToday} due today, ${overdue} overdue`;
+        if (record.syncedOn !== toDateTimeLocalValue(at).slice(0, 10)) {
+            record.body = 'Open TaskMaster to plan your day.';
+        }
+    });
+}
+
+function showDigestNotification(record) {
+    return self.registration.showNotification(record.title, {
+        body: record.body,
+        icon: 'icons/android-chrome-192x192.png',
+        badge: 'icons/favicon-32x32.png',
+        tag: 'daily-digest',
+        timestamp: new Date(record.at).getTime(),
+        data: { digest: true },
+        actions: [{ action: 'plan', title: 'Plan my day' }]
+    });
+}
+
+/**
+ * Open windows show the digest right away; otherwise one notification stands in for it
+ * until the app is next opened.
+ */
+async function notifyMissedReminders(missed) {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length > 0) {
+        windows.forEach(client => client.postMessage({ type: 'reminders-missed', count: missed.length }));
+        return;
+    }
+    await self.registration.showNotification(`${missed.length} missed reminder${missed.length === 1 ? '' : 's'}`, {
+        body: missed.map(record => record.title).slice(0, 3).join(', ') + (missed.length > 3 ? ', ...' : ''),
+        icon: 'icons/android-chrome-192x192.png',
+        badge: 'icons/favicon-32x32.png',
+        tag: 'missed-reminders'
+    });
+}
+
+async function focusApp(taskId = null) {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length > 0) {
+        if (taskId) windows[0].postMessage({ type: 'notification-action', action: 'open', taskId });
+        return windows[0].focus();
+    }
+    return self.clients.openWindow(taskId ? `./index.html?task=${encodeURIComponent(taskId)}` : './index.html');
+}
+
+async function openPlanMyDay() {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length > 0) {
+        windows[0].postMessage({ type: 'open-plan' });
+        return windows[0].focus();
+    }
+    return self.clients.openWindow('./index.html?plan=today');
+}
+
+/**
+ * An open app applies the action itself (handleNotificationAction), so its in-memory tasks,
+ * undo history and autosave stay consistent. Otherwise the task is updated in IndexedDB here.
+ */
+async function handleReminderAction(action, taskId) {
+    if (action === 'open' || !(action === 'done' || SNOOZE_OPTIONS[action])) {
+        return focusApp(taskId);
+    }
+    
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length > 0) {
+        windows.forEach(client => client.postMessage({ type: 'notification-action', action, taskId }));
+        return;
+    }
+    if (TIMED_SNOOZES.includes(action) && !canScheduleNotifications()) {
+        // Nothing here would wake up in time; the app snoozes it and delivers it while open
+        return self.clients.openWindow(`./index.html?task=${encodeURIComponent(taskId)}&snooze=${action}`);
+    }
+    
+    let database;
+    try {
+        database = await openDatabase();
+        await updateTaskFromNotification(database, action, taskId);
+    } catch (error) {
+        console.error('Service Worker: Notification action failed:', error);
+        return focusApp(taskId); // Let the user finish it in the app
+    } finally {
+        if (database) database.close();
+    }
+}
+
+function toDateTimeLocalValue(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function getSnoozeTime(option, now = new Date()) {
+    const minutes = SNOOZE_OPTIONS[option];
+    if (minutes === 'tomorrow') {
+        return new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, SNOOZE_TOMORROW_HOUR);
+    }
+    return new Date(now.getTime() + minutes * 60 * 1000);
+}
+
+/**
+ * Marks a task done or snoozes it, together with its reminder records, in one transaction.
+ * Snoozing adds a fixed reminder and drops fixed ones that have gone off, as snoozeReminder
+ * in app.js does; where the browser supports Notification Triggers it is also scheduled.
+ * A recurring task's next occurrence is created by the app on its next launch
+ * (finishBackgroundCompletions), since the recurrence engine lives there.
+ */
+async function updateTaskFromNotification(database, action, taskId) {
+    const tx = database.transaction([TASK_STORE, REMINDER_STORE], 'readwrite');
+    const taskStore = tx.objectStore(TASK_STORE);
+    const reminderStore = tx.objectStore(REMINDER_STORE);
+    if (reminderStore.keyPath !== 'id') {
+        tx.abort();
+        throw new Error('The app has not upgraded the database yet');
+    }
+    const task = await requestToPromise(taskStore.get(taskId));
+    if (!task || task.completed) return;
+    
+    const now = new Date();
+    let snoozedRecord = null;
+    if (action === 'done') {
+        task.completed = true;
+        task.completedAt = now.toISOString();
+        task.completedFromNotification = true;
+        (task.timeEntries || []).filter(entry => !entry.end).forEach(entry => { entry.end = now.toISOString(); });
+        const ids = await requestToPromise(reminderStore.index('taskId').getAllKeys(taskId));
+        ids.forEach(id => reminderStore.delete(id));
+    } else {
+        const snoozed = getSnoozeTime(action, now);
+        task.reminders = [
+            ...(task.reminders || []).filter(reminder => reminder.type === 'relative' || new Date(reminder.at) > now),
+            { type: 'absolute', at: toDateTimeLocalValue(snoozed) }
+        ];
+        const at = new Date(toDateTimeLocalValue(snoozed)).toISOString();
+        snoozedRecord = {
+            id: `${taskId}@${at}`,
+            taskId,
+            title: task.title,
+            dueDate: task.dueDate || null,
+            at,
+            // A scheduled notification is shown by the browser, so no check should show it again
+            status: canScheduleNotifications() ? 'notified' : 'pending',
+            firedAt: null
+        };
+        reminderStore.put(snoozedRecord);
+    }
+    taskStore.put(task);
+    
+    await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+    
+    if (snoozedRecord && snoozedRecord.status === 'notified') {
+        await showReminderNotification(snoozedRecord, new TimestampTrigger(new Date(snoozedRecord.at).getTime()));
+    }
+}